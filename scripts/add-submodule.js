@@ -1,17 +1,7 @@
 #!/usr/bin/env node
-const { execCommand, logger, handleError, validators, icons } = require('./utils');
-
-function addSubmodule() {
-  const args = process.argv.slice(2);
-
-  if (args.length !== 2) {
-    logger.info('Usage: npm run submodules:add <repo-url> <local-path>');
-    logger.info('Example: npm run submodules:add https://github.com/burnt-labs/new-app new-app');
-    process.exit(1);
-  }
-
-  const [repoUrl, localPath] = args;
+const { run, logger, handleError, validators, icons } = require('./utils');
 
+async function addSubmodule(repoUrl, localPath) {
   try {
     // Validate inputs
     validators.required(repoUrl, 'Repository URL');
@@ -22,10 +12,10 @@ function addSubmodule() {
     logger.substep(`Local path: ${localPath}`);
 
     // Add the submodule
-    execCommand(`git submodule add "${repoUrl}" "${localPath}"`);
+    await run('git', ['submodule', 'add', '--', repoUrl, localPath], { stream: true });
 
     // Initialize and update the new submodule
-    execCommand(`git submodule update --init --recursive "${localPath}"`);
+    await run('git', ['submodule', 'update', '--init', '--recursive', '--', localPath], { stream: true });
 
     logger.success('Submodule added successfully!');
 
@@ -39,6 +29,20 @@ function addSubmodule() {
   }
 }
 
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length !== 2) {
+    logger.info('Usage: npm run submodules:add <repo-url> <local-path>');
+    logger.info('Example: npm run submodules:add https://github.com/burnt-labs/new-app new-app');
+    process.exit(1);
+  }
+
+  addSubmodule(args[0], args[1]);
+}
+
 if (require.main === module) {
-  addSubmodule();
-}
\ No newline at end of file
+  main();
+}
+
+module.exports = { addSubmodule };
\ No newline at end of file
@@ -0,0 +1,244 @@
+/**
+ * Advisory snapshot - Offline vulnerability data from an OSV dump
+ *
+ * A snapshot is a directory holding either
+ *   index.json    written by `xion-apps advisories update` from the OSV npm dump
+ *   *.json        OSV records as published (https://ossf.github.io/osv-schema/),
+ *                 e.g. https://osv-vulnerabilities.storage.googleapis.com/npm/all.zip unpacked
+ *
+ * Lockfile-resolved versions are checked against each record's affected ranges, so an
+ * audit needs neither the registry nor the network. The snapshot date is the newest
+ * `modified` time among its records: the data is current up to then, no later.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, commandExists } = require('./utils');
+
+const OSV_NPM_DUMP_URL = 'https://osv-vulnerabilities.storage.googleapis.com/npm/all.zip';
+const INDEX_FILE = 'index.json';
+const STALE_AFTER_DAYS = 30;
+
+const snapshotCache = new Map();
+
+/**
+ * The parts of an OSV record an audit needs, with only its npm packages
+ */
+function compactRecord(record) {
+  const affected = (record.affected || [])
+    .filter(entry => entry.package?.ecosystem === 'npm' && entry.package.name)
+    .map(entry => ({ name: entry.package.name, ranges: entry.ranges || [], versions: entry.versions || [] }));
+  if (!record.id || affected.length === 0 || record.withdrawn) return null;
+
+  return {
+    id: record.id,
+    aliases: record.aliases || [],
+    summary: record.summary || null,
+    severity: record.database_specific?.severity || null,
+    modified: record.modified || null,
+    affected
+  };
+}
+
+function readRecords(dir) {
+  const records = [];
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json') || file === INDEX_FILE) continue;
+
+    let record;
+    try {
+      record = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid OSV record ${path.join(dir, file)}: ${error.message}`);
+    }
+
+    const compact = compactRecord(record);
+    if (compact) records.push(compact);
+  }
+
+  return records;
+}
+
+function newestModified(records) {
+  return records.reduce((newest, record) => (record.modified && record.modified > newest ? record.modified : newest), '') || null;
+}
+
+/**
+ * Load the snapshot in dir: { dir, date, records, byPackage }, or null when dir
+ * holds no advisory data
+ */
+function loadSnapshot(dir) {
+  const resolved = path.resolve(dir);
+  if (snapshotCache.has(resolved)) return snapshotCache.get(resolved);
+
+  let snapshot = null;
+  if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+    const indexPath = path.join(resolved, INDEX_FILE);
+    let records;
+    let date;
+
+    if (fs.existsSync(indexPath)) {
+      try {
+        ({ records, date } = JSON.parse(fs.readFileSync(indexPath, 'utf8')));
+      } catch (error) {
+        throw new Error(`Invalid advisory snapshot ${indexPath}: ${error.message}`);
+      }
+    } else {
+      records = readRecords(resolved);
+      date = newestModified(records);
+    }
+
+    if (records?.length > 0) {
+      const byPackage = new Map();
+      for (const record of records) {
+        for (const { name } of record.affected) {
+          if (!byPackage.has(name)) byPackage.set(name, []);
+          if (!byPackage.get(name).includes(record)) byPackage.get(name).push(record);
+        }
+      }
+      snapshot = { dir, date, records: records.length, byPackage };
+    }
+  }
+
+  snapshotCache.set(resolved, snapshot);
+  return snapshot;
+}
+
+/**
+ * What a snapshot is, for reports: { type: 'snapshot', dir, date, records, ageDays, stale }
+ */
+function summarizeSnapshot(snapshot, now = new Date()) {
+  const ageDays = snapshot.date ? Math.floor((now - new Date(snapshot.date)) / 86400000) : null;
+  return {
+    type: 'snapshot',
+    dir: snapshot.dir,
+    date: snapshot.date,
+    records: snapshot.records,
+    ageDays,
+    stale: ageDays === null || ageDays > STALE_AFTER_DAYS
+  };
+}
+
+function eventVersion(version) {
+  return version === '0' ? '0.0.0-0' : version;
+}
+
+/**
+ * The affected range of an OSV package entry that contains version:
+ * { vulnerableVersions, fixedIn }, or null when version is not affected
+ */
+function findAffectedRange(affected, version) {
+  const semver = require('semver');
+  if (!semver.valid(version)) return null;
+
+  if (affected.versions.includes(version)) {
+    return { vulnerableVersions: affected.versions.join(' || '), fixedIn: null };
+  }
+
+  for (const range of affected.ranges) {
+    if (range.type !== 'SEMVER' && range.type !== 'ECOSYSTEM') continue;
+
+    const events = (range.events || [])
+      .map(event => {
+        const [kind, value] = Object.entries(event)[0] || [];
+        return { kind, version: eventVersion(value) };
+      })
+      .filter(event => ['introduced', 'fixed', 'last_affected'].includes(event.kind) && semver.valid(event.version))
+      .sort((a, b) => semver.compare(a.version, b.version));
+
+    let introduced = null;
+    for (const event of events) {
+      if (event.kind === 'introduced') {
+        introduced = introduced || event.version;
+        continue;
+      }
+      if (!introduced) continue;
+
+      const lower = introduced === '0.0.0-0' ? '' : `>=${introduced} `;
+      const inside = semver.gte(version, introduced) &&
+        (event.kind === 'fixed' ? semver.lt(version, event.version) : semver.lte(version, event.version));
+      if (inside) {
+        return event.kind === 'fixed'
+          ? { vulnerableVersions: `${lower}<${event.version}`, fixedIn: event.version }
+          : { vulnerableVersions: `${lower}<=${event.version}`, fixedIn: null };
+      }
+      introduced = null;
+    }
+
+    if (introduced && semver.gte(version, introduced)) {
+      return { vulnerableVersions: introduced === '0.0.0-0' ? '*' : `>=${introduced}`, fixedIn: null };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Records affecting resolved packages ([{ name, version }], see lockfile.js):
+ * [{ record, name, version, vulnerableVersions, fixedIn }]
+ */
+function findAffected(snapshot, packages) {
+  const matches = [];
+
+  for (const { name, version } of packages) {
+    for (const record of snapshot.byPackage.get(name) || []) {
+      for (const affected of record.affected.filter(entry => entry.name === name)) {
+        const range = findAffectedRange(affected, version);
+        if (range) {
+          matches.push({ record, name, version, ...range });
+          break;
+        }
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Download the OSV npm dump and write it to dir as a compact index.
+ * Returns the new snapshot's summary.
+ */
+async function updateSnapshot(dir, { url = OSV_NPM_DUMP_URL } = {}) {
+  for (const command of ['curl', 'unzip']) {
+    if (!commandExists(command)) {
+      throw new Error(`Updating the advisory snapshot needs ${command}, which is not installed`);
+    }
+  }
+
+  const work = fs.mkdtempSync(path.join(os.tmpdir(), 'xion-apps-osv-'));
+  try {
+    const archive = path.join(work, 'all.zip');
+    const recordsDir = path.join(work, 'records');
+    await run('curl', ['--fail', '--silent', '--show-error', '--location', '--output', archive, url]);
+    await run('unzip', ['-q', archive, '-d', recordsDir]);
+
+    const records = readRecords(recordsDir);
+    if (records.length === 0) {
+      throw new Error(`${url} held no npm advisories`);
+    }
+
+    // Write next to the old index and swap, so an interrupted update leaves the old snapshot usable
+    fs.mkdirSync(dir, { recursive: true });
+    const indexPath = path.join(dir, INDEX_FILE);
+    const index = { source: url, downloaded: new Date().toISOString(), date: newestModified(records), records };
+    fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify(index));
+    fs.renameSync(`${indexPath}.tmp`, indexPath);
+  } finally {
+    fs.rmSync(work, { recursive: true, force: true });
+  }
+
+  snapshotCache.delete(path.resolve(dir));
+  return summarizeSnapshot(loadSnapshot(dir));
+}
+
+module.exports = {
+  OSV_NPM_DUMP_URL,
+  STALE_AFTER_DAYS,
+  loadSnapshot,
+  summarizeSnapshot,
+  findAffected,
+  updateSnapshot
+};
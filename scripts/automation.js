@@ -5,42 +5,54 @@
  */
 
 const {
-  execCommand,
-  execQuiet,
+  run,
+  runSync,
   createPrompt,
   logger,
   fileUtils,
   gitUtils,
-  packageUtils,
   handleError,
   validators,
   icons
 } = require('./utils');
+const { TaskRunner } = require('./task-runner');
+const { getDefaultBranch } = require('./sync-main-branches');
+const {
+  getAuditCommand,
+  getAdvisorySource,
+  describeAdvisorySource,
+  auditSnapshot,
+  readRegistryAudit,
+  aggregateAdvisories,
+  countBySeverity
+} = require('./dependency-audit');
+const { loadSecurityExceptions, applySecurityExceptions, describeException } = require('./security-exceptions');
+const { SecurityRemediation } = require('./remediation-planner');
+const fs = require('fs');
+const path = require('path');
+
+async function updateSubmodules(force = false, options = {}) {
+  const { confirm, close } = createPrompt({ yes: options.yes, no: options.no });
 
-const { question, close } = createPrompt();
-
-async function updateSubmodules(force = false) {
   logger.step('Checking for submodule updates', icons.git);
 
-  // Get current status
-  execCommand('git submodule status > /tmp/before_status.txt');
-
   // Update all submodules to latest
-  execCommand(`git submodule foreach '
-    echo "📦 Checking $name..."
-    git fetch origin
-    DEFAULT_BRANCH=$(git symbolic-ref refs/remotes/origin/HEAD | sed "s@^refs/remotes/origin/@@" 2>/dev/null || echo "main")
-    CURRENT_COMMIT=$(git rev-parse HEAD)
-    LATEST_COMMIT=$(git rev-parse origin/$DEFAULT_BRANCH)
-
-    if [ "$CURRENT_COMMIT" != "$LATEST_COMMIT" ] || [ "${force}" = "true" ]; then
-      echo "🔄 Updating $name..."
-      git checkout $DEFAULT_BRANCH
-      git pull origin $DEFAULT_BRANCH
-    else
-      echo "✅ $name is up to date"
-    fi
-  '`);
+  for (const { path: submodule } of gitUtils.getSubmodules()) {
+    console.log(`📦 Checking ${submodule}...`);
+    await run('git', ['fetch', 'origin'], { cwd: submodule, stream: true });
+
+    const defaultBranch = getDefaultBranch(submodule);
+    const currentCommit = gitUtils.getCommitHash('HEAD', submodule);
+    const latestCommit = gitUtils.getCommitHash(`refs/remotes/origin/${defaultBranch}`, submodule);
+
+    if (currentCommit !== latestCommit || force) {
+      console.log(`🔄 Updating ${submodule}...`);
+      await run('git', ['checkout', defaultBranch], { cwd: submodule, stream: true });
+      await run('git', ['pull', 'origin', defaultBranch], { cwd: submodule, stream: true });
+    } else {
+      console.log(`✅ ${submodule} is up to date`);
+    }
+  }
 
   // Check if anything changed
   const hasChanges = gitUtils.hasChanges();
@@ -50,152 +62,220 @@ async function updateSubmodules(force = false) {
 
     // Update mirror branches
     try {
-      execCommand('npm run branches:update');
+      await run('npm', ['run', 'branches:update'], { stream: true });
     } catch (error) {
       logger.warning('Mirror branches not set up, skipping...');
     }
 
-    const shouldCommit = await question('💾 Commit submodule updates? (y/N): ');
-    if (shouldCommit.toLowerCase() === 'y') {
-      execCommand('git add .');
+    const shouldCommit = await confirm('💾 Commit submodule updates? (y/N): ');
+    if (shouldCommit) {
+      await run('git', ['add', '.'], { stream: true });
+
+      const updatedModules = runSync('git', ['submodule', 'status']).stdout.split('\n')
+        .filter(line => line.startsWith('+'))
+        .map(line => `- ${line.substring(1).split(' ')[1]}`)
+        .join('\n');
 
       const commitMsg = `Update submodules to latest versions
 
-$(git submodule status | grep "^+" | sed 's/^+/- /' | cut -d' ' -f2)
+${updatedModules}
 
 🤖 Generated automatically`;
 
-      execCommand(`git commit -m "${commitMsg}"`);
+      await run('git', ['commit', '-m', commitMsg], { stream: true });
 
-      const shouldPush = await question('🚀 Push changes? (y/N): ');
-      if (shouldPush.toLowerCase() === 'y') {
-        execCommand('git push');
+      const shouldPush = await confirm('🚀 Push changes? (y/N): ');
+      if (shouldPush) {
+        await run('git', ['push'], { stream: true });
       }
     }
   } else {
     logger.success('All submodules are up to date');
   }
-}
 
-async function runSecurityCheck() {
-  logger.step('Running security check', icons.security);
+  close();
+}
 
-  let issuesFound = false;
-  const results = [];
+/**
+ * The main repository and every submodule that has a package.json: [{ name, path }]
+ */
+function getAuditTargets() {
+  const submodules = gitUtils.getSubmodules().map(submodule => ({ name: submodule.path, path: submodule.path }));
+  return [{ name: 'Main repo', path: '.' }, ...submodules]
+    .filter(target => fs.existsSync(path.join(target.path, 'package.json')));
+}
 
-  // Check main repo
-  logger.substep('Checking main repository...');
-  const auditCmd = packageUtils.getAuditCommand();
-  const mainAudit = execQuiet(auditCmd);
-  if (mainAudit) {
+/**
+ * Audit targets in parallel, each with its own package manager, or against the offline
+ * snapshot: [{ name, path, advisories, suppressed, expiredExceptions, source, vulnerabilities }].
+ * advisories and their count are null when no advisory source could answer; advisories
+ * accepted in the security exceptions file are in suppressed instead.
+ */
+async function auditTargets(targets, runnerOptions, advisorySource = getAdvisorySource(), exceptions = loadSecurityExceptions()) {
+  const offline = advisorySource.mode === 'snapshot';
+  const runner = new TaskRunner(runnerOptions);
+  const audits = offline ? [] : await runner.run(targets.map(target => {
+    const [command, ...args] = getAuditCommand(target.path);
+    return { name: target.name, command, args, cwd: target.path, capture: true };
+  }));
+
+  return targets.map((target, index) => {
+    let audit = { advisories: null, source: null };
     try {
-      const audit = JSON.parse(mainAudit);
-      const vulnCount = audit.metadata?.vulnerabilities?.total || 0;
-      if (vulnCount > 0) {
-        issuesFound = true;
-        results.push(`Main repo: ${vulnCount} vulnerabilities`);
+      if (offline) {
+        audit = auditSnapshot(target.path, advisorySource);
+      } else {
+        // Audits exit non-zero when they find vulnerabilities; only a missing report is a failure
+        const { result, status, error, exitCode } = audits[index];
+        const stderr = status !== 'passed' && !result ? error : '';
+        audit = readRegistryAudit(target.path, advisorySource, { stdout: result || '', stderr, code: exitCode });
       }
     } catch (error) {
-      // Ignore JSON parse errors
+      logger.warning(`${target.name}: could not audit (${error.message})`);
     }
+
+    const { advisories, suppressed, expired } = applySecurityExceptions(audit.advisories || [], target.path, exceptions);
+    return {
+      ...target,
+      ...audit,
+      advisories: audit.advisories && advisories,
+      suppressed,
+      expiredExceptions: expired,
+      vulnerabilities: audit.advisories ? advisories.length : null
+    };
+  });
+}
+
+/**
+ * Which advisory data each audit used, with a warning for a stale snapshot
+ */
+function printAdvisorySources(audits) {
+  const bySource = new Map();
+  for (const audit of audits.filter(audit => audit.source)) {
+    const description = describeAdvisorySource(audit.source);
+    bySource.set(description, [...(bySource.get(description) || []), audit.name]);
   }
 
-  // Check submodules
-  execCommand(`git submodule foreach '
-    if [ -f "package.json" ]; then
-      echo "🔍 Checking $name..."
-
-      # Determine package manager and install
-      if [ -f "pnpm-lock.yaml" ]; then
-        pnpm audit --json > /tmp/${name}_audit.json 2>/dev/null || echo "{}" > /tmp/${name}_audit.json
-      elif [ -f "yarn.lock" ]; then
-        yarn audit --json > /tmp/${name}_audit.json 2>/dev/null || echo "{}" > /tmp/${name}_audit.json
-      else
-        npm audit --json > /tmp/${name}_audit.json 2>/dev/null || echo "{}" > /tmp/${name}_audit.json
-      fi
-    fi
-  '`);
-
-  // Process submodule results
-  const submodules = execQuiet('git submodule status').trim().split('\n')
-    .map(line => line.split(' ')[1]).filter(Boolean);
-
-  for (const submodule of submodules) {
-    const auditFile = `/tmp/${submodule}_audit.json`;
-    if (fs.existsSync(auditFile)) {
-      try {
-        const audit = JSON.parse(fs.readFileSync(auditFile, 'utf8'));
-        const vulnCount = audit.metadata?.vulnerabilities?.total || audit.summary?.total || 0;
-        if (vulnCount > 0) {
-          issuesFound = true;
-          results.push(`${submodule}: ${vulnCount} vulnerabilities`);
-        }
-      } catch (error) {
-        // Ignore JSON parse errors
-      }
-    }
+  for (const [description, names] of bySource) {
+    logger.substep(`Advisory data: ${description}${bySource.size > 1 ? ` for ${names.join(', ')}` : ''}`);
   }
 
-  if (issuesFound) {
-    logger.warning('Security issues found:');
-    results.forEach(result => logger.substep(result));
+  const stale = audits.find(audit => audit.source?.stale);
+  if (stale) {
+    const age = stale.source.ageDays === null ? 'of unknown age' : `${stale.source.ageDays} days old`;
+    logger.warning(`The advisory snapshot is ${age}; run xion-apps advisories update while online`);
+  }
+}
+
+/**
+ * One row per advisory, with the services it affects, and the totals by severity
+ */
+function printAdvisories(advisories) {
+  console.table(advisories.map(advisory => ({
+    Severity: advisory.severity,
+    Advisory: advisory.id,
+    Package: advisory.package,
+    'Fixed in': advisory.fixedIn || 'no fix',
+    Services: advisory.services.map(({ service }) => service).join(', ')
+  })));
+
+  const counts = countBySeverity(advisories);
+  const breakdown = Object.entries(counts)
+    .filter(([severity, count]) => severity !== 'total' && count > 0)
+    .map(([severity, count]) => `${count} ${severity}`);
+  logger.substep(`${counts.total} advisories: ${breakdown.join(', ')}`);
+}
 
-    const shouldFix = await question('🔧 Attempt to auto-fix? (y/N): ');
-    if (shouldFix.toLowerCase() === 'y') {
-      await applySecurityFixes();
+/**
+ * One row per exception that suppressed something, with the services it applied to
+ */
+function printSuppressed(audits) {
+  const byException = new Map();
+  for (const audit of audits) {
+    for (const { exception, package: name } of audit.suppressed) {
+      const row = byException.get(exception) || { packages: new Set(), services: new Set() };
+      row.packages.add(name);
+      row.services.add(audit.name);
+      byException.set(exception, row);
     }
-  } else {
-    logger.success('No security vulnerabilities found!');
   }
+
+  console.table([...byException].map(([exception, { packages, services }]) => ({
+    Advisory: exception.advisory,
+    Package: [...packages].join(', '),
+    Services: [...services].join(', '),
+    Owner: exception.owner,
+    Expires: exception.expires,
+    Reason: exception.reason
+  })));
 }
 
-async function applySecurityFixes() {
-  console.log('🔧 Applying security fixes...');
+async function runSecurityCheck(options = {}) {
+  const { confirm, close } = createPrompt({ yes: options.yes, no: options.no });
 
-  // Fix main repo
-  try {
-    execCommand('npm audit fix --force');
-    console.log('✅ Applied fixes to main repo');
-  } catch (error) {
-    console.log('⚠️  Could not auto-fix main repo');
+  logger.step('Running security check', icons.security);
+
+  const targets = getAuditTargets();
+  logger.substep(`Auditing ${targets.length} package(s)...`);
+  const audits = await auditTargets(targets, options.runner);
+  printAdvisorySources(audits);
+  const vulnerable = audits.filter(audit => audit.vulnerabilities > 0);
+  const unaudited = audits.filter(audit => audit.vulnerabilities === null);
+  const advisories = aggregateAdvisories(audits.map(audit => ({ service: audit.name, advisories: audit.advisories })));
+  const suppressed = aggregateAdvisories(audits.map(audit => ({ service: audit.name, advisories: audit.suppressed })));
+  const expired = [...new Set(audits.flatMap(audit => audit.expiredExceptions))];
+  const exceptionsFile = loadSecurityExceptions().file;
+  let remediation = null;
+
+  if (vulnerable.length > 0) {
+    logger.warning('Security issues found:');
+    printAdvisories(advisories);
+
+    const remediator = new SecurityRemediation({ allowBreaking: options.allowBreaking });
+    const plans = remediator.plan(vulnerable);
+    remediator.printPlans(plans);
+    const applicable = plans.flatMap(plan => plan.steps).filter(step => step.status === 'planned').length;
+
+    if (applicable === 0) {
+      logger.info('No fix can be applied safely; breaking updates need --allow-breaking');
+      remediation = plans.map(plan => remediator.skip(plan, plan.error || 'No fix can be applied safely'));
+    } else if (options.autoFix || await confirm(`🔧 Apply ${applicable} planned fix(es)? (y/N): `)) {
+      remediation = await remediator.remediate(plans);
+    } else {
+      remediation = plans.map(plan => remediator.skip(plan, 'Declined at the prompt'));
+    }
+  } else if (unaudited.length === 0) {
+    logger.success('No security vulnerabilities found!');
   }
 
-  // Fix submodules
-  execCommand(`git submodule foreach '
-    if [ -f "package.json" ]; then
-      echo "🔧 Fixing $name..."
-
-      if [ -f "pnpm-lock.yaml" ]; then
-        pnpm audit fix || echo "Could not auto-fix $name"
-      elif [ -f "yarn.lock" ]; then
-        yarn audit fix || echo "Could not auto-fix $name"
-      else
-        npm audit fix --force || echo "Could not auto-fix $name"
-      fi
-
-      # Commit if changes were made
-      if ! git diff --quiet; then
-        git add .
-        git commit -m "🔒 Apply security fixes (automated)"
-      fi
-    fi
-  '`);
-
-  console.log('🔄 Updating submodule pointers...');
-  execCommand('git add .');
-
-  if (!execQuiet('git diff --quiet HEAD')) {
-    execCommand('git commit -m "🔒 Apply security fixes across submodules"');
+  if (suppressed.length > 0) {
+    logger.info(`${suppressed.length} advisories suppressed by ${exceptionsFile}:`);
+    printSuppressed(audits);
+  }
+  expired.forEach(exception => logger.error(`Expired security exception: ${describeException(exception)}`));
+
+  close();
+
+  // No advisory data is not the same as no vulnerabilities
+  if (unaudited.length > 0) {
+    throw new Error(`Could not audit ${unaudited.map(audit => audit.name).join(', ')}: no advisory source answered`);
+  }
+  if (expired.length > 0) {
+    throw new Error(`${expired.length} security exception(s) in ${exceptionsFile} have expired; renew or remove them`);
   }
+
+  return { audits, advisories, suppressed, remediation };
 }
 
-async function runHealthCheck() {
+async function runHealthCheck(options = {}) {
+  const { confirm, close } = createPrompt({ yes: options.yes, no: options.no });
+
   console.log('🏥 Running health check...');
 
   let allHealthy = true;
 
   try {
-    execCommand('npm run workspace:doctor');
+    await run('npm', ['run', 'workspace:doctor'], { stream: true, readOnly: true });
     console.log('✅ Workspace health: GOOD');
   } catch (error) {
     console.log('❌ Workspace health: ISSUES FOUND');
@@ -203,7 +283,7 @@ async function runHealthCheck() {
   }
 
   try {
-    execCommand('npm run workspace:validate');
+    await run('npm', ['run', 'workspace:validate'], { stream: true, readOnly: true });
     console.log('✅ Deployment readiness: GOOD');
   } catch (error) {
     console.log('❌ Deployment readiness: ISSUES FOUND');
@@ -211,18 +291,33 @@ async function runHealthCheck() {
   }
 
   if (!allHealthy) {
-    const shouldFix = await question('🔧 Attempt to auto-fix workspace issues? (y/N): ');
-    if (shouldFix.toLowerCase() === 'y') {
-      await fixWorkspaceIssues();
+    if (options.autoFix) {
+      await autoFixWorkspace();
+    } else if (await confirm('🔧 Attempt to auto-fix workspace issues? (y/N): ')) {
+      await fixWorkspaceIssues({ confirmLockfileRemoval: confirm });
     }
   }
 
+  close();
   return allHealthy;
 }
 
-async function fixWorkspaceIssues() {
+/**
+ * Regenerate the workspace files. Returns what changed, with each file's previous
+ * content (null if it didn't exist), so the fix can be reverted.
+ *
+ * Lockfiles that conflict with pnpm-lock.yaml are only removed from the root, and only
+ * when confirmLockfileRemoval agrees: submodules keep their own lockfiles for their
+ * frozen installs, and an unattended fix never deletes one.
+ */
+async function fixWorkspaceIssues({ confirmLockfileRemoval = null } = {}) {
   console.log('🔧 Attempting to fix workspace issues...');
 
+  const changes = [];
+  const snapshot = (file, action) => {
+    changes.push({ file, action, previous: fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null });
+  };
+
   // Sync workspace configurations
   const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
   const workspaces = packageJson.workspaces || [];
@@ -236,18 +331,74 @@ ${workspaces.filter(ws => !ws.includes('*')).map(ws => `  - "${ws}"`).join('\n')
   - "packages/*"
 `;
 
-  fs.writeFileSync('pnpm-workspace.yaml', pnpmContent);
+  snapshot('pnpm-workspace.yaml', 'write');
+  fileUtils.writeText('pnpm-workspace.yaml', pnpmContent);
 
   // Remove conflicting lock files
-  if (fs.existsSync('pnpm-lock.yaml')) {
-    execQuiet('find . -name "package-lock.json" -delete');
-    execQuiet('find . -path "./node_modules" -prune -o -name "yarn.lock" -delete');
+  const conflicting = fs.existsSync('pnpm-lock.yaml') ? ['package-lock.json', 'yarn.lock'].filter(file => fs.existsSync(file)) : [];
+  if (conflicting.length > 0) {
+    const remove = confirmLockfileRemoval &&
+      await confirmLockfileRemoval(`🗑️  Remove ${conflicting.join(', ')} from the root (pnpm-lock.yaml is the lockfile)? (y/N): `);
+
+    if (remove) {
+      for (const file of conflicting) {
+        snapshot(file, 'remove');
+        fileUtils.remove(file);
+      }
+    } else {
+      logger.warning(`Left ${conflicting.join(', ')} next to pnpm-lock.yaml; remove them once nothing installs with them`);
+    }
   }
 
   console.log('✅ Applied workspace fixes');
+  return changes;
 }
 
-async function createRelease(version, type = 'minor') {
+function revertFileChanges(changes) {
+  for (const { file, previous } of [...changes].reverse()) {
+    if (previous === null) {
+      fileUtils.remove(file);
+    } else {
+      fileUtils.writeText(file, previous);
+    }
+  }
+}
+
+/**
+ * Unattended workspace fixes (--auto-fix): regenerate the workspace files, run the
+ * workspace checks again, and restore the files if that left more issues than before
+ */
+async function autoFixWorkspace() {
+  const { checkWorkspaceHealth } = require('./workspace-doctor');
+  const countIssues = () => {
+    const issues = checkWorkspaceHealth();
+    return { errors: issues.filter(issue => issue.type === 'error').length, total: issues.length };
+  };
+
+  const before = countIssues();
+  const changes = await fixWorkspaceIssues();
+  const after = countIssues();
+  const worse = after.errors > before.errors || after.total > before.total;
+
+  if (worse) {
+    revertFileChanges(changes);
+  }
+
+  logger.header('🔧 Workspace Auto-fix Summary');
+  console.log(`  Issues: ${before.total} → ${after.total} (errors: ${before.errors} → ${after.errors})`);
+  changes.forEach(({ file, action, previous }) => logger.substep(`${action === 'remove' ? 'Removed' : previous === null ? 'Created' : 'Rewrote'} ${file}`));
+  if (worse) {
+    logger.warning('The fix left more issues than before, so the files were restored');
+  } else {
+    logger.success('Kept the workspace fixes');
+  }
+
+  return { before, after, status: worse ? 'reverted' : 'kept', files: changes.map(({ file, action }) => ({ file, action })) };
+}
+
+async function createRelease(version, type = 'minor', options = {}) {
+  const { question, confirm, close } = createPrompt({ yes: options.yes, no: options.no });
+
   console.log(`🏷️  Creating ${type} release: ${version}`);
 
   // Validate inputs
@@ -257,43 +408,45 @@ async function createRelease(version, type = 'minor') {
   }
 
   // Check working directory
-  if (!execQuiet('git diff --quiet HEAD')) {
-    const proceed = await question('⚠️  Working directory has changes. Continue? (y/N): ');
-    if (proceed.toLowerCase() !== 'y') {
+  if (gitUtils.hasChanges()) {
+    const proceed = await confirm('⚠️  Working directory has changes. Continue? (y/N): ');
+    if (!proceed) {
       console.log('ℹ️  Release cancelled');
+      close();
       return;
     }
   }
 
   const message = await question(`📝 Release message for ${version} (Enter for default): `);
   const releaseMessage = message.trim() || `Release ${version}`;
+  close();
 
   // Update package.json version
   const pkg = JSON.parse(fs.readFileSync('package.json', 'utf8'));
   pkg.version = version.replace(/^v/, '');
-  fs.writeFileSync('package.json', JSON.stringify(pkg, null, 2) + '\n');
+  fileUtils.writeJson('package.json', pkg);
 
   // Commit version bump
-  execCommand(`git add package.json`);
-  execCommand(`git commit -m "🔖 Bump version to ${version}"`);
+  await run('git', ['add', 'package.json'], { stream: true });
+  await run('git', ['commit', '-m', `🔖 Bump version to ${version}`], { stream: true });
 
   // Create and push release
-  execCommand(`npm run release ${version}`);
+  await run('npm', ['run', 'release', '--', version], { stream: true });
 
   console.log(`🎉 Release ${version} created successfully!`);
 }
 
-async function dailyMaintenance() {
+async function dailyMaintenance(options = {}) {
   console.log('🌅 Running daily maintenance...');
 
   console.log('\n1️⃣  Updating submodules...');
-  await updateSubmodules();
+  await updateSubmodules(options.force, options);
 
   console.log('\n2️⃣  Running health check...');
-  const healthy = await runHealthCheck();
+  const healthy = await runHealthCheck(options);
 
   console.log('\n3️⃣  Security check...');
-  await runSecurityCheck();
+  await runSecurityCheck(options);
 
   console.log('\n📊 Daily maintenance complete!');
   console.log(`   Health: ${healthy ? '✅ Good' : '⚠️  Issues found'}`);
@@ -321,7 +474,13 @@ Examples:
 
 Options:
   --force             Force operations even if no changes detected
-  --auto-fix          Automatically apply fixes without prompting
+  --auto-fix          Apply fixes unattended, re-check, and revert any that make things worse
+  --allow-breaking    Also apply security fixes that need a breaking (major) update
+  --yes               Answer yes to all confirmation prompts
+  --no                Answer no to all confirmation prompts
+
+Prompts default to no, and take that default without asking when CI is set
+or stdin is not a terminal.
 `);
 }
 
@@ -330,7 +489,10 @@ async function main() {
   const command = args[0];
   const options = {
     force: args.includes('--force'),
-    autoFix: args.includes('--auto-fix')
+    autoFix: args.includes('--auto-fix'),
+    allowBreaking: args.includes('--allow-breaking'),
+    yes: args.includes('--yes'),
+    no: args.includes('--no')
   };
 
   console.log('🤖 Monorepo Automation Tool\n');
@@ -338,13 +500,13 @@ async function main() {
   try {
     switch (command) {
       case 'update':
-        await updateSubmodules(options.force);
+        await updateSubmodules(options.force, options);
         break;
       case 'security':
-        await runSecurityCheck();
+        await runSecurityCheck(options);
         break;
       case 'health':
-        await runHealthCheck();
+        await runHealthCheck(options);
         break;
       case 'release':
         const version = args[1];
@@ -352,10 +514,10 @@ async function main() {
           console.error('❌ Version required for release command');
           process.exit(1);
         }
-        await createRelease(version);
+        await createRelease(version, 'minor', options);
         break;
       case 'daily':
-        await dailyMaintenance();
+        await dailyMaintenance(options);
         break;
       case 'help':
       case '--help':
@@ -370,8 +532,6 @@ async function main() {
   } catch (error) {
     console.error('💥 Automation failed:', error.message);
     process.exit(1);
-  } finally {
-    close();
   }
 }
 
@@ -379,4 +539,4 @@ if (require.main === module) {
   main();
 }
 
-module.exports = { updateSubmodules, runSecurityCheck, runHealthCheck, createRelease };
\ No newline at end of file
+module.exports = { updateSubmodules, runSecurityCheck, runHealthCheck, createRelease, dailyMaintenance, showHelp };
\ No newline at end of file
@@ -0,0 +1,929 @@
+#!/usr/bin/env node
+/**
+ * xion-apps CLI - Single entry point for all monorepo tooling
+ * Usage: xion-apps <command> <subcommand> [args] [options]
+ */
+
+const { parseArgs } = require('util');
+const { Console } = require('console');
+const path = require('path');
+const fs = require('fs');
+const { run, runSync, gitUtils, logger, handleError, dryRun, icons } = require('./utils');
+const { REPORT_FORMATS } = require('./report-formatters');
+const { ENVIRONMENTS, DEFAULT_ENVIRONMENT } = require('./gate-profiles');
+const { BASELINE_STRATEGIES } = require('./contract-baseline');
+const { DEFAULT_JOBS, parseRunnerOptions } = require('./task-runner');
+
+const globalOptions = {
+  json: { type: 'boolean', description: 'Print the command result as JSON on stdout' },
+  yes: { type: 'boolean', short: 'y', description: 'Answer yes to every confirmation prompt' },
+  no: { type: 'boolean', description: 'Answer no to every confirmation prompt (the default in CI or without a terminal)' },
+  'dry-run': { type: 'boolean', description: 'Print the git/npm commands and file changes a command would make, without making them' },
+  cwd: { type: 'string', valueName: 'dir', description: 'Run as if xion-apps was started in <dir>' },
+  help: { type: 'boolean', short: 'h', description: 'Show help for a command' }
+};
+
+const reportOptions = {
+  format: { type: 'string', valueName: 'format', choices: REPORT_FORMATS, description: `Also write the report as ${REPORT_FORMATS.join(', ')}` },
+  output: { type: 'string', valueName: 'file', description: 'Report file path (default: reports/<kind>.<ext>)' }
+};
+
+const allowBreakingOption = { type: 'boolean', description: 'Also apply security fixes that need a breaking (major) update' };
+
+const environmentOption = {
+  env: { type: 'string', valueName: 'environment', choices: ENVIRONMENTS, description: `Target environment whose threshold profile applies (default: ${DEFAULT_ENVIRONMENT})` }
+};
+
+const runnerOptions = {
+  jobs: { type: 'string', valueName: 'n', description: `Services to process at once (default: ${DEFAULT_JOBS})` },
+  timeout: { type: 'string', valueName: 'seconds', description: 'Stop a service that takes longer than this' }
+};
+
+/**
+ * Write the machine-readable report requested with --format, if any
+ */
+function emitReport(reporter, report, options) {
+  if (!options.format) return;
+
+  const { writeReport } = require('./report-formatters');
+  const target = writeReport(reporter.toReportDocument(report), options.format, options.output);
+  logger.info(`Wrote ${options.format} report to ${target}`);
+}
+
+const commands = {
+  submodule: {
+    description: 'Manage service submodules',
+    commands: {
+      update: {
+        description: 'Safely update a submodule to a tag, semver range (^1.2, ~2.0.3), latest, latest-minor or latest-patch',
+        args: ['<path>', '<version>'],
+        options: {
+          prerelease: { type: 'boolean', description: 'Let ranges and latest* resolve to prerelease tags' },
+          'allow-downgrade': { type: 'boolean', description: 'Permit updating to a lower version than the current one' },
+          approve: { type: 'string', valueName: 'file', description: 'Signed approval for updates that require one (see submodule approve)' }
+        },
+        mutates: true,
+        run: async ([submodulePath, targetVersion], options) => {
+          const { SafeSubmoduleUpdater } = require('./safe-update');
+          return new SafeSubmoduleUpdater().updateSubmodule(submodulePath, targetVersion, {
+            includePrerelease: options.prerelease,
+            allowDowngrade: options['allow-downgrade'],
+            approvalFile: options.approve
+          });
+        }
+      },
+      batch: {
+        description: 'Update the submodules listed in a manifest (service → version or range)',
+        args: ['<manifest>'],
+        options: {
+          atomic: { type: 'boolean', description: 'All or nothing: one parent commit if every update passes, otherwise revert them all' },
+          'stop-on-error': { type: 'boolean', description: 'Stop at the first failed update (without --atomic)' },
+          prerelease: { type: 'boolean', description: 'Let ranges and latest* resolve to prerelease tags' },
+          'allow-downgrade': { type: 'boolean', description: 'Permit updating to a lower version than the current one' }
+        },
+        mutates: true,
+        run: async ([manifestFile], options) => {
+          const { SafeSubmoduleUpdater } = require('./safe-update');
+          const { loadUpdateManifest } = require('./update-manifest');
+
+          const updates = loadUpdateManifest(manifestFile);
+          const updater = new SafeSubmoduleUpdater();
+          const batchOptions = {
+            includePrerelease: options.prerelease,
+            allowDowngrade: options['allow-downgrade'],
+            stopOnError: options['stop-on-error']
+          };
+
+          const results = options.atomic
+            ? await updater.atomicBatchUpdate(updates, batchOptions)
+            : await updater.batchUpdate(updates, batchOptions);
+
+          if (results.failed.length > 0) {
+            process.exitCode = 1;
+          }
+          return results;
+        }
+      },
+      approve: {
+        description: 'Write a signed approval for updating a submodule from its current commit to a version',
+        args: ['<path>', '<version>'],
+        options: {
+          key: { type: 'string', valueName: 'file', description: 'SSH private key to sign with (default: git config user.signingkey)' },
+          approver: { type: 'string', valueName: 'principal', description: 'Who approves, as listed in the allowed signers file (default: git config user.email)' },
+          output: { type: 'string', valueName: 'file', description: 'Where to write the approval (default: <service>-<version>.approval.json)' },
+          'expires-in': { type: 'string', valueName: 'days', description: 'Days until the approval expires, 0 for never (default: 7)' },
+          prerelease: { type: 'boolean', description: 'Let ranges and latest* resolve to prerelease tags' }
+        },
+        mutates: true,
+        run: async ([submodulePath, targetVersion], options) => {
+          const { SafeSubmoduleUpdater } = require('./safe-update');
+          const { DEFAULT_EXPIRY_DAYS } = require('./update-approval');
+
+          const expiresInDays = options['expires-in'] === undefined ? DEFAULT_EXPIRY_DAYS : Number(options['expires-in']);
+          if (!Number.isInteger(expiresInDays) || expiresInDays < 0) {
+            throw new Error('--expires-in must be a whole number of days');
+          }
+
+          return new SafeSubmoduleUpdater().approveUpdate(submodulePath, targetVersion, {
+            keyFile: options.key,
+            approvedBy: options.approver,
+            output: options.output,
+            expiresInDays,
+            includePrerelease: options.prerelease
+          });
+        }
+      },
+      pull: {
+        description: 'Update every submodule to the latest commit on its default branch',
+        mutates: true,
+        previewable: true,
+        run: async (args, options, context) => {
+          const { updateSubmodules } = require('./update-submodules');
+          return updateSubmodules({ yes: context.yes, no: context.no });
+        }
+      },
+      add: {
+        description: 'Add a new service submodule',
+        args: ['<repo-url>', '<path>'],
+        mutates: true,
+        previewable: true,
+        run: async ([repoUrl, localPath]) => {
+          const { addSubmodule } = require('./add-submodule');
+          return addSubmodule(repoUrl, localPath);
+        }
+      },
+      remove: {
+        description: 'Remove a service submodule',
+        args: ['<path>'],
+        mutates: true,
+        previewable: true,
+        run: async ([localPath]) => {
+          const { removeSubmodule } = require('./remove-submodule');
+          return removeSubmodule(localPath);
+        }
+      },
+      status: {
+        description: 'Show the pinned commit of every submodule',
+        run: async () => {
+          const submodules = gitUtils.getSubmodules();
+          submodules.forEach(sub => console.log(`  ${sub.commit.substring(0, 8)}  ${sub.path} ${sub.ref}`));
+          return submodules;
+        }
+      },
+      sync: {
+        description: 'Sync submodule URLs from .gitmodules and check out pinned commits',
+        mutates: true,
+        previewable: true,
+        run: async () => {
+          await run('git', ['submodule', 'sync', '--recursive'], { stream: true });
+          await run('git', ['submodule', 'update', '--recursive', '--jobs=8'], { stream: true });
+        }
+      },
+      health: {
+        description: 'Assess production health of every submodule',
+        options: { ...reportOptions, ...runnerOptions },
+        run: async (args, options) => {
+          const { SubmoduleHealthMonitor } = require('./submodule-health');
+          const monitor = new SubmoduleHealthMonitor({ runner: parseRunnerOptions(options) });
+          const report = await monitor.checkSubmoduleHealth();
+          emitReport(monitor, report, options);
+
+          const criticalIssues = report.actionItems.filter(item => item.includes('🚨')).length;
+          if (criticalIssues > 0) {
+            logger.error(`Found ${criticalIssues} critical deployment issues`);
+            process.exitCode = 1;
+          }
+
+          return report;
+        }
+      }
+    }
+  },
+
+  rollback: {
+    description: 'Undo a safe submodule update recorded in the update journal (default: the last one)',
+    options: {
+      last: { type: 'boolean', description: 'Roll back the most recent update that is not rolled back yet' },
+      id: { type: 'string', valueName: 'id', description: 'Roll back this update (see --list)' },
+      list: { type: 'boolean', description: 'List recorded updates instead of rolling back' }
+    },
+    mutates: true,
+    run: async (args, options) => {
+      const { SafeSubmoduleUpdater } = require('./safe-update');
+      const updater = new SafeSubmoduleUpdater();
+
+      if (options.list) {
+        const updates = updater.getJournal().list();
+        updater.printJournal(updates);
+        return updates;
+      }
+
+      if (options.last && options.id) {
+        throw new Error('Use either --last or --id');
+      }
+
+      return updater.rollbackFromJournal({ id: options.id, last: options.last });
+    }
+  },
+
+  resume: {
+    description: 'Finish a safe submodule update that was interrupted (default: the last one)',
+    options: {
+      id: { type: 'string', valueName: 'id', description: 'Resume this update (see rollback --list)' }
+    },
+    mutates: true,
+    run: async (args, options) => {
+      const { SafeSubmoduleUpdater } = require('./safe-update');
+      return new SafeSubmoduleUpdater().resumeUpdate({ id: options.id });
+    }
+  },
+
+  gates: {
+    description: 'Production quality gates',
+    commands: {
+      run: {
+        description: 'Evaluate quality gates for one service, or all services',
+        args: ['[service]'],
+        options: {
+          'skip-build': { type: 'boolean', description: 'Do not run service builds (use when dependencies are not installed)' },
+          ...environmentOption,
+          ...reportOptions,
+          ...runnerOptions
+        },
+        run: async ([servicePath], options) => {
+          const { ProductionQualityGates } = require('./quality-gates');
+          const gates = new ProductionQualityGates({ build: !options['skip-build'], environment: options.env, runner: parseRunnerOptions(options) });
+          const report = await gates.validateDeploymentReadiness(servicePath);
+          emitReport(gates, report, options);
+
+          if (report.criticalIssues.length > 0) {
+            logger.error(`Found ${report.criticalIssues.length} critical quality gate failures`);
+            process.exitCode = 1;
+          }
+
+          return report;
+        }
+      },
+      list: {
+        description: 'List registered quality gates, including plugins',
+        run: async () => {
+          const { createGateRegistry } = require('./gate-registry');
+          const registry = createGateRegistry();
+          const gates = registry.list().map(gate => ({
+            id: gate.id,
+            name: gate.name,
+            weight: gate.weight,
+            critical: gate.critical,
+            threshold: gate.threshold ?? null,
+            source: registry.getSource(gate.id)
+          }));
+
+          console.table(gates);
+          return gates;
+        }
+      },
+      profile: {
+        description: 'Show the thresholds and gate settings that apply to a service',
+        args: ['<service>'],
+        options: environmentOption,
+        run: async ([servicePath], options) => {
+          const { ProductionQualityGates } = require('./quality-gates');
+          const { loadServiceConfig } = require('./service-config');
+          const { describeProfile } = require('./gate-profiles');
+
+          const gates = new ProductionQualityGates({ environment: options.env });
+          const policy = gates.resolveGatePolicy(loadServiceConfig(servicePath));
+
+          logger.info(`Threshold profile ${describeProfile(policy)}`);
+          console.table(policy.gates.map(gate => ({
+            id: gate.id,
+            weight: gate.weight,
+            critical: gate.critical,
+            threshold: gate.threshold ?? policy.criticalGateThreshold
+          })));
+
+          return {
+            service: servicePath,
+            profile: policy.profile,
+            minimumScore: policy.minimumScore,
+            criticalGateThreshold: policy.criticalGateThreshold,
+            gates: policy.gates.map(({ id, weight, critical, threshold }) => ({
+              id, weight, critical, threshold: threshold ?? policy.criticalGateThreshold
+            }))
+          };
+        }
+      }
+    }
+  },
+
+  contracts: {
+    description: 'Service API contracts',
+    commands: {
+      validate: {
+        description: 'Validate API contracts for one service, or all services',
+        args: ['[service]'],
+        options: {
+          baseline: { type: 'string', valueName: 'strategy', choices: BASELINE_STRATEGIES, description: 'Contract version to check compatibility against (default: contracts.baseline in xion-apps.config.json)' },
+          'baseline-ref': { type: 'string', valueName: 'ref', description: 'Tag, branch or commit to compare against (implies --baseline ref)' },
+          ...reportOptions,
+          ...runnerOptions
+        },
+        run: async ([servicePath], options) => {
+          const { ContractValidator } = require('./contract-validator');
+
+          let baseline = null;
+          if (options['baseline-ref']) {
+            baseline = { strategy: 'ref', ref: options['baseline-ref'] };
+          } else if (options.baseline === 'ref') {
+            throw new Error('--baseline ref needs --baseline-ref <ref>');
+          } else if (options.baseline) {
+            baseline = { strategy: options.baseline };
+          }
+
+          const validator = new ContractValidator({ baseline, runner: parseRunnerOptions(options) });
+          const report = await validator.validateAllContracts(servicePath);
+          emitReport(validator, report, options);
+
+          if (report.criticalIssues.length > 0) {
+            logger.error(`Found ${report.criticalIssues.length} critical contract issues`);
+            process.exitCode = 1;
+          }
+
+          return report;
+        }
+      },
+      matrix: {
+        description: 'Check what services consume of each other against provider contracts',
+        args: ['[provider]'],
+        options: {
+          ref: { type: 'string', valueName: 'ref', description: 'Check the provider contract at this tag, branch or commit' },
+          ...reportOptions
+        },
+        run: async ([provider], options) => {
+          if (options.ref && !provider) {
+            throw new Error('--ref needs a provider');
+          }
+
+          const { ServiceCompatibilityChecker } = require('./service-compatibility');
+          const checker = new ServiceCompatibilityChecker();
+          const report = checker.buildMatrix({
+            providers: provider ? [provider] : null,
+            refs: options.ref ? { [provider]: options.ref } : {}
+          });
+          checker.printMatrix(report);
+          emitReport(checker, report, options);
+
+          if (!report.compatible) {
+            logger.error(`Found ${report.mismatches.length} consumer/provider mismatches`);
+            process.exitCode = 1;
+          }
+
+          return report;
+        }
+      }
+    }
+  },
+
+  service: {
+    description: 'Per-service configuration (xion-service.json)',
+    commands: {
+      config: {
+        description: 'Show the resolved configuration of a service',
+        args: ['<service>'],
+        run: async ([servicePath]) => {
+          const { loadServiceConfig, SERVICE_CONFIG_FILE } = require('./service-config');
+          if (!fs.existsSync(servicePath)) {
+            throw new Error(`Service not found: ${servicePath}`);
+          }
+
+          const { declared, ...config } = loadServiceConfig(servicePath);
+          logger.info(config.file ? `Loaded ${config.file}` : `No ${SERVICE_CONFIG_FILE} in ${servicePath}, showing inferred values`);
+          console.log(JSON.stringify(config, null, 2));
+          return config;
+        }
+      },
+      validate: {
+        description: 'Validate xion-service.json for one service, or all services',
+        args: ['[service]'],
+        run: async ([servicePath]) => {
+          const { loadServiceConfig, SERVICE_CONFIG_FILE } = require('./service-config');
+          const services = servicePath ? [servicePath] : gitUtils.getSubmodules().map(sub => sub.path);
+          const results = [];
+
+          for (const service of services.filter(service => fs.existsSync(path.join(service, SERVICE_CONFIG_FILE)))) {
+            try {
+              loadServiceConfig(service);
+              logger.success(`${service}/${SERVICE_CONFIG_FILE} is valid`);
+              results.push({ service, valid: true, errors: [] });
+            } catch (error) {
+              logger.error(error.message);
+              results.push({ service, valid: false, errors: [error.message] });
+            }
+          }
+
+          if (results.length === 0) {
+            logger.info(`No ${SERVICE_CONFIG_FILE} files found`);
+          }
+          if (results.some(result => !result.valid)) {
+            process.exitCode = 1;
+          }
+
+          return results;
+        }
+      }
+    }
+  },
+
+  release: {
+    description: 'Monorepo releases',
+    commands: {
+      create: {
+        description: 'Tag a release and replicate the tag to every submodule',
+        args: ['<version>'],
+        mutates: true,
+        previewable: true,
+        run: async ([tagName], options, context) => {
+          const { createRelease } = require('./create-release');
+          return createRelease(tagName, { yes: context.yes, no: context.no });
+        }
+      }
+    }
+  },
+
+  tags: {
+    description: 'Release tags',
+    commands: {
+      replicate: {
+        description: 'Replicate one tag, or every tag, to all submodules',
+        args: ['[tag]'],
+        options: runnerOptions,
+        mutates: true,
+        previewable: true,
+        run: async ([tagName], options, context) => {
+          const { replicateTags } = require('./replicate-tags');
+          return replicateTags(tagName, { yes: context.yes, no: context.no, runner: parseRunnerOptions(options) });
+        }
+      },
+      list: {
+        description: 'List tags in the main repository',
+        run: async () => {
+          const tags = runSync('git', ['tag', '--list']).stdout.split('\n').filter(Boolean);
+          tags.forEach(tag => console.log(`  ${tag}`));
+          return tags;
+        }
+      }
+    }
+  },
+
+  branches: {
+    description: 'Submodule mirror branches',
+    commands: {
+      sync: {
+        description: 'Create <submodule>/<default-branch> mirror branches',
+        options: runnerOptions,
+        mutates: true,
+        previewable: true,
+        run: async (args, options, context) => {
+          const { syncMainBranches } = require('./sync-main-branches');
+          return syncMainBranches({ yes: context.yes, no: context.no, runner: parseRunnerOptions(options) });
+        }
+      },
+      update: {
+        description: 'Fast-forward existing mirror branches to their upstream',
+        options: runnerOptions,
+        mutates: true,
+        previewable: true,
+        run: async (args, options) => {
+          const { updateMirrorBranches } = require('./update-mirror-branches');
+          return updateMirrorBranches({ runner: parseRunnerOptions(options) });
+        }
+      },
+      list: {
+        description: 'List mirror branches',
+        run: async () => {
+          const branches = runSync('git', ['branch', '--list', '*/main', '*/master']).stdout
+            .split('\n')
+            .map(branch => branch.replace(/^\*?\s*/, ''))
+            .filter(Boolean);
+          branches.forEach(branch => console.log(`  ${branch}`));
+          return branches;
+        }
+      }
+    }
+  },
+
+  workspace: {
+    description: 'Workspace configuration',
+    commands: {
+      doctor: {
+        description: 'Check workspace configuration and dependency health',
+        run: async () => {
+          const { generateHealthReport } = require('./workspace-doctor');
+          return generateHealthReport();
+        }
+      },
+      validate: {
+        description: 'Check every workspace package for deployment blockers',
+        run: async () => {
+          const { validateWorkspaces } = require('./validate-deployments');
+          return validateWorkspaces();
+        }
+      }
+    }
+  },
+
+  automate: {
+    description: 'Scheduled maintenance tasks',
+    commands: {
+      daily: {
+        description: 'Run daily maintenance (update + health + security)',
+        options: {
+          force: { type: 'boolean', description: 'Update submodules even if no changes are detected' },
+          'auto-fix': { type: 'boolean', description: 'Apply fixes unattended, re-check, and revert any that make things worse' },
+          'allow-breaking': allowBreakingOption,
+          ...runnerOptions
+        },
+        mutates: true,
+        previewable: true,
+        run: async (args, options, context) => {
+          const { dailyMaintenance } = require('./automation');
+          return dailyMaintenance({ force: options.force, autoFix: options['auto-fix'], allowBreaking: options['allow-breaking'], yes: context.yes, no: context.no, runner: parseRunnerOptions(options) });
+        }
+      },
+      update: {
+        description: 'Update all submodules to latest and offer to commit',
+        options: {
+          force: { type: 'boolean', description: 'Update submodules even if no changes are detected' }
+        },
+        mutates: true,
+        previewable: true,
+        run: async (args, options, context) => {
+          const { updateSubmodules } = require('./automation');
+          return updateSubmodules(options.force, { yes: context.yes, no: context.no });
+        }
+      },
+      security: {
+        description: 'Audit dependencies across all services',
+        options: {
+          'auto-fix': { type: 'boolean', description: 'Apply fixes unattended, re-check, and revert any that make things worse' },
+          'allow-breaking': allowBreakingOption,
+          ...reportOptions,
+          ...runnerOptions
+        },
+        run: async (args, options, context) => {
+          const { runSecurityCheck } = require('./automation');
+          const { SecurityRemediation } = require('./remediation-planner');
+          const result = await runSecurityCheck({ autoFix: options['auto-fix'], allowBreaking: options['allow-breaking'], yes: context.yes, no: context.no, runner: parseRunnerOptions(options) });
+
+          // No remediation means nothing was vulnerable: an empty report still says so
+          emitReport(new SecurityRemediation(), result.remediation || [], options);
+
+          // Suppressed advisories are already left out of these counts; null means the re-audit failed
+          const remaining = (result.remediation || []).filter(service => service.after !== 0);
+          if (remaining.length > 0) {
+            logger.error(`Vulnerabilities remain in ${remaining.map(service => service.name).join(', ')}`);
+            process.exitCode = 1;
+          }
+
+          return result;
+        }
+      },
+      health: {
+        description: 'Run workspace doctor and deployment validation',
+        options: {
+          'auto-fix': { type: 'boolean', description: 'Apply fixes unattended, re-check, and revert any that make things worse' }
+        },
+        run: async (args, options, context) => {
+          const { runHealthCheck } = require('./automation');
+          return runHealthCheck({ autoFix: options['auto-fix'], yes: context.yes, no: context.no });
+        }
+      }
+    }
+  },
+
+  advisories: {
+    description: 'Offline vulnerability data (OSV snapshot) for dependency audits',
+    commands: {
+      update: {
+        description: 'Download the OSV npm advisories into the snapshot directory',
+        options: {
+          url: { type: 'string', valueName: 'url', description: 'OSV dump to download (default: the npm ecosystem dump)' }
+        },
+        mutates: true,
+        run: async (args, options) => {
+          const { loadRepoConfig } = require('./repo-config');
+          const { updateSnapshot } = require('./advisory-snapshot');
+          const { describeAdvisorySource } = require('./dependency-audit');
+          const dir = loadRepoConfig().security.advisorySnapshot;
+
+          logger.step(`Downloading advisories into ${dir}`, icons.security);
+          const snapshot = await updateSnapshot(dir, options.url ? { url: options.url } : {});
+          logger.success(`Updated: ${describeAdvisorySource(snapshot)}`);
+          return snapshot;
+        }
+      },
+      status: {
+        description: 'Show where audits get advisories and how old the snapshot is',
+        run: async () => {
+          const { getAdvisorySource, describeAdvisorySource } = require('./dependency-audit');
+          const { summarizeSnapshot, STALE_AFTER_DAYS } = require('./advisory-snapshot');
+          const { mode, snapshotDir, snapshot } = getAdvisorySource();
+          const summary = snapshot && summarizeSnapshot(snapshot);
+
+          logger.info(`Advisory source: ${mode}`);
+          if (summary) {
+            logger.substep(describeAdvisorySource(summary));
+            if (summary.stale) {
+              logger.warning(`The snapshot is more than ${STALE_AFTER_DAYS} days old; run xion-apps advisories update while online`);
+            }
+          } else if (mode !== 'registry') {
+            logger.warning(`No advisory snapshot in ${snapshotDir}; audits fail when the registry can't be reached`);
+          }
+
+          return { mode, snapshot: summary };
+        }
+      }
+    }
+  },
+
+  secrets: {
+    description: 'Committed credentials in services and their history',
+    commands: {
+      scan: {
+        description: 'Scan one service, or the main repo and every submodule, for committed secrets',
+        args: ['[service]'],
+        options: {
+          history: { type: 'boolean', description: 'Also scan every commit reachable from a ref' },
+          'update-baseline': { type: 'boolean', description: 'Accept the current findings in the secrets baseline' },
+          reason: { type: 'string', valueName: 'text', description: 'Why the findings are accepted (with --update-baseline)' },
+          owner: { type: 'string', valueName: 'owner', description: 'Who answers for accepting them (with --update-baseline)' },
+          expires: { type: 'string', valueName: 'date', description: 'Last day (YYYY-MM-DD) they are accepted (with --update-baseline)' },
+          ...reportOptions
+        },
+        mutates: true,
+        previewable: true,
+        run: async ([servicePath], options) => {
+          const { SecretScanner } = require('./secret-scanner');
+          const targets = servicePath
+            ? [{ name: servicePath, path: servicePath }]
+            : [{ name: 'Main repo', path: '.' }, ...gitUtils.getSubmodules().map(submodule => ({ name: submodule.path, path: submodule.path }))];
+
+          logger.step('Scanning for committed secrets', icons.security);
+          const scanner = new SecretScanner({ history: options.history });
+          const results = scanner.scan(targets);
+          scanner.printResults(results);
+
+          if (options['update-baseline']) {
+            const added = scanner.updateBaseline(results, { reason: options.reason, owner: options.owner, expires: options.expires });
+            logger.success(`Accepted ${added} finding(s) in the secrets baseline`);
+            return results;
+          }
+          emitReport(scanner, results, options);
+
+          const findings = results.reduce((sum, result) => sum + result.findings.length, 0);
+          const failed = results.filter(result => result.error);
+          if (findings > 0 || failed.length > 0) {
+            logger.error(`Found ${findings} committed secret(s)${failed.length > 0 ? `; could not scan ${failed.map(result => result.name).join(', ')}` : ''}`);
+            process.exitCode = 1;
+          } else {
+            logger.success('No committed secrets found');
+          }
+
+          return results;
+        }
+      }
+    }
+  },
+
+  direnv: {
+    description: 'direnv integration',
+    commands: {
+      setup: {
+        description: 'Create .envrc files for the root and every submodule',
+        mutates: true,
+        run: async () => {
+          const { DirectoryEnvironmentSetup } = require('./setup-direnv');
+          return new DirectoryEnvironmentSetup().setupDirectoryEnvironments();
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Walk argv positionals down the command tree, skipping global options
+ * (and the value of string options) that may appear before the command
+ */
+function resolveCommand(argv) {
+  const commandPath = [];
+  let node = { commands };
+
+  for (let i = 0; i < argv.length; i++) {
+    const token = argv[i];
+
+    if (token.startsWith('-')) {
+      const name = token.replace(/^--?/, '').split('=')[0];
+      const option = globalOptions[name] || Object.values(globalOptions).find(opt => opt.short === name);
+      if (option && option.type === 'string' && !token.includes('=')) i++;
+      continue;
+    }
+
+    if (!node.commands || !node.commands[token]) break;
+
+    node = node.commands[token];
+    commandPath.push(token);
+  }
+
+  return { node, commandPath };
+}
+
+function formatUsage(commandPath, command) {
+  const args = command.args ? ` ${command.args.join(' ')}` : '';
+  return `xion-apps ${commandPath.join(' ')}${args}`;
+}
+
+function formatOptions(options) {
+  const rows = Object.entries(options).map(([name, option]) => {
+    const short = option.short ? `-${option.short}, ` : '    ';
+    const value = option.type === 'string' ? ` <${option.valueName || 'value'}>` : '';
+    return [`${short}--${name}${value}`, option.description];
+  });
+
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return rows.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`).join('\n');
+}
+
+function showHelp(node, commandPath) {
+  const lines = [];
+
+  if (node.run) {
+    lines.push(`Usage: ${formatUsage(commandPath, node)} [options]`, '', node.description);
+
+    if (node.options) {
+      lines.push('', 'Options:', formatOptions(node.options));
+    }
+  } else {
+    const prefix = commandPath.length > 0 ? `${commandPath.join(' ')} ` : '';
+    lines.push(`Usage: xion-apps ${prefix}<command> [options]`);
+
+    if (node.description) {
+      lines.push('', node.description);
+    }
+
+    const rows = [];
+    for (const [name, child] of Object.entries(node.commands)) {
+      if (child.run) {
+        rows.push([formatUsage([...commandPath, name], child).replace(/^xion-apps /, ''), child.description]);
+      } else {
+        for (const [subName, subCommand] of Object.entries(child.commands)) {
+          rows.push([formatUsage([...commandPath, name, subName], subCommand).replace(/^xion-apps /, ''), subCommand.description]);
+        }
+      }
+    }
+
+    const width = Math.max(...rows.map(([usage]) => usage.length));
+    lines.push('', 'Commands:', ...rows.map(([usage, description]) => `  ${usage.padEnd(width)}  ${description}`));
+  }
+
+  lines.push('', 'Global options:', formatOptions(globalOptions));
+  console.log(lines.join('\n'));
+}
+
+/**
+ * The changes a --dry-run skipped, in the order they would have been made.
+ * Commands after a skipped one ran against the unchanged tree.
+ */
+function showDryRunPlan(plan) {
+  if (plan.length === 0) {
+    logger.info('Dry run: no changes would be made');
+    return;
+  }
+
+  logger.header(`📝 Dry run plan: ${plan.length} change(s), none made`);
+  plan.forEach((step, index) => console.log(`  ${index + 1}. ${dryRun.describe(step)}`));
+}
+
+/**
+ * In --json mode stdout carries only the result, so human-readable logging
+ * from the underlying scripts is redirected to stderr
+ */
+function routeConsoleToStderr() {
+  const stderrConsole = new Console({ stdout: process.stderr, stderr: process.stderr });
+
+  for (const method of ['log', 'info', 'warn', 'table', 'group', 'groupEnd']) {
+    console[method] = stderrConsole[method].bind(stderrConsole);
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { node, commandPath } = resolveCommand(argv);
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: { ...globalOptions, ...(node.options || {}) },
+      allowPositionals: true,
+      strict: true
+    });
+  } catch (error) {
+    logger.error(error.message);
+    showHelp(node, commandPath);
+    process.exit(1);
+  }
+
+  const { values, positionals } = parsed;
+
+  if (values.help || !node.run) {
+    const unknown = positionals[commandPath.length];
+    if (!values.help && unknown) {
+      logger.error(`Unknown command: ${[...commandPath, unknown].join(' ')}`);
+      process.exitCode = 1;
+    }
+    showHelp(node, commandPath);
+    return;
+  }
+
+  const args = positionals.slice(commandPath.length);
+  const expected = node.args || [];
+  const required = expected.filter(arg => arg.startsWith('<')).length;
+
+  if (args.length < required || args.length > expected.length) {
+    logger.error(`Expected ${expected.join(' ') || 'no arguments'}, got ${args.length} argument(s)`);
+    showHelp(node, commandPath);
+    process.exit(1);
+  }
+
+  const context = {
+    json: Boolean(values.json),
+    yes: Boolean(values.yes),
+    no: Boolean(values.no),
+    dryRun: Boolean(values['dry-run']),
+    cwd: values.cwd ? path.resolve(values.cwd) : process.cwd()
+  };
+
+  if (context.yes && context.no) {
+    logger.error('Use either --yes or --no, not both');
+    process.exit(1);
+  }
+
+  const options = {};
+  for (const [name, option] of Object.entries(node.options || {})) {
+    if (option.choices && values[name] !== undefined && !option.choices.includes(values[name])) {
+      logger.error(`--${name} must be one of: ${option.choices.join(', ')}`);
+      process.exit(1);
+    }
+    options[name] = values[name];
+  }
+
+  if (!fs.existsSync(context.cwd)) {
+    logger.error(`Directory not found: ${context.cwd}`);
+    process.exit(1);
+  }
+  process.chdir(context.cwd);
+
+  if (context.json) {
+    routeConsoleToStderr();
+  }
+
+  const commandName = commandPath.join(' ');
+
+  // Commands that change things outside run()/fileUtils (the update journal,
+  // approval files, .envrc) can't be previewed step by step
+  if (context.dryRun && node.mutates && !node.previewable) {
+    logger.info(`Dry run: would run "xion-apps ${[commandName, ...args].join(' ')}" in ${context.cwd}`);
+    logger.info('Nothing was changed');
+    if (context.json) {
+      process.stdout.write(JSON.stringify({ dryRun: true, command: commandName, args, options, plan: null }, null, 2) + '\n');
+    }
+    return;
+  }
+
+  if (context.dryRun) {
+    dryRun.enable();
+  }
+
+  try {
+    let result = await node.run(args, options, context);
+
+    if (context.dryRun) {
+      showDryRunPlan(dryRun.plan);
+      result = { dryRun: true, command: commandName, args, options, plan: dryRun.plan, result: result === undefined ? null : result };
+    }
+
+    if (context.json) {
+      process.stdout.write(JSON.stringify(result === undefined ? null : result, null, 2) + '\n');
+    }
+  } catch (error) {
+    if (context.dryRun) {
+      showDryRunPlan(dryRun.plan);
+    }
+    handleError(error, `xion-apps ${commandName}`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main, commands, globalOptions };
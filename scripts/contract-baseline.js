@@ -0,0 +1,94 @@
+/**
+ * Contract baseline - Which earlier version of a service's contract to compare against
+ *
+ * Strategies, all resolved inside the service's own git history:
+ *   stable-tag   the latest vX.Y.Z tag reachable from the service's HEAD (default)
+ *   pinned       the commit the parent repository currently pins the submodule at
+ *   ref          an explicit tag, branch or commit
+ */
+
+const { runSync } = require('./utils');
+const path = require('path');
+
+const BASELINE_STRATEGIES = ['stable-tag', 'pinned', 'ref'];
+const DEFAULT_BASELINE = 'stable-tag';
+const STABLE_TAG_PATTERN = /^v?\d+\.\d+\.\d+$/;
+
+function git(servicePath, args) {
+  const { stdout, error } = runSync('git', args, { cwd: servicePath, reject: false });
+  return error ? null : stdout.trim() || null;
+}
+
+/**
+ * Resolve a ref to a full commit hash in the service's repository, or null
+ */
+function resolveCommit(servicePath, ref) {
+  return git(servicePath, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+}
+
+function findLatestStableTag(servicePath) {
+  const tags = git(servicePath, ['tag', '-l', '--merged', 'HEAD', '--sort=-version:refname']);
+  return tags?.split('\n').find(tag => STABLE_TAG_PATTERN.test(tag)) || null;
+}
+
+/**
+ * The commit the parent repository's HEAD records for a submodule, or null
+ * when the service is not a submodule
+ */
+function findPinnedCommit(servicePath) {
+  const superproject = git(servicePath, ['rev-parse', '--show-superproject-working-tree']);
+  if (!superproject) return null;
+
+  const serviceRoot = git(servicePath, ['rev-parse', '--show-toplevel']);
+  const relativePath = path.relative(superproject, serviceRoot).split(path.sep).join('/');
+  const entry = git(superproject, ['ls-tree', 'HEAD', '--', relativePath]);
+
+  // <mode> commit <sha>\t<path>
+  const match = entry?.match(/^160000 commit ([0-9a-f]+)\t/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolve the baseline of a service.
+ * Returns { strategy, ref, commit } or null when there is no such baseline
+ * (no stable tag yet, not a submodule); throws for an explicit ref that doesn't exist.
+ */
+function resolveBaseline(servicePath, { strategy = DEFAULT_BASELINE, ref = null } = {}) {
+  if (!BASELINE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown contract baseline "${strategy}" (expected ${BASELINE_STRATEGIES.join(', ')})`);
+  }
+
+  if (strategy === 'ref') {
+    if (!ref) throw new Error('The ref baseline needs a ref');
+
+    const commit = resolveCommit(servicePath, ref);
+    if (!commit) throw new Error(`Baseline ref ${ref} does not exist in ${servicePath}`);
+    return { strategy, ref, commit };
+  }
+
+  if (strategy === 'pinned') {
+    const commit = findPinnedCommit(servicePath);
+    return commit ? { strategy, ref: commit.slice(0, 8), commit } : null;
+  }
+
+  const tag = findLatestStableTag(servicePath);
+  return tag ? { strategy, ref: tag, commit: resolveCommit(servicePath, tag) } : null;
+}
+
+/**
+ * Content of a service file at a commit, or null if it didn't exist there
+ */
+function readFileAtCommit(servicePath, commit, file) {
+  const relativePath = path.relative(servicePath, file).split(path.sep).join('/');
+  const { stdout, error } = runSync('git', ['show', `${commit}:./${relativePath}`], { cwd: servicePath, reject: false });
+  return error ? null : stdout;
+}
+
+module.exports = {
+  BASELINE_STRATEGIES,
+  DEFAULT_BASELINE,
+  resolveBaseline,
+  resolveCommit,
+  findPinnedCommit,
+  readFileAtCommit
+};
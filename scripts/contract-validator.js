@@ -4,31 +4,49 @@
  * Ensures service compatibility before deployment
  */
 
-const { execCommand, execQuiet, logger, fileUtils, icons } = require('./utils');
+const { logger, fileUtils, icons } = require('./utils');
+const { createReportDocument, getServiceLocation } = require('./report-formatters');
+const { loadServiceConfig, SERVICE_CONFIG_FILE } = require('./service-config');
+const { loadRepoConfig } = require('./repo-config');
+const { parseOpenApi, diffOpenApi } = require('./openapi-diff');
+const { isTypeScriptContract, extractTypeScriptContract, diffTypeScriptContracts } = require('./typescript-contract');
+const { resolveBaseline, resolveCommit, readFileAtCommit } = require('./contract-baseline');
+const { TaskRunner } = require('./task-runner');
 const fs = require('fs');
 const path = require('path');
 
 class ContractValidator {
-  constructor() {
-    this.contractTypes = [
-      'openapi.yml',
-      'swagger.json',
-      'api.contract.ts',
-      'contracts/api.json',
-      'src/contracts/index.ts'
-    ];
+  /**
+   * @param {object} options - { baseline: { strategy, ref } } overrides the configured
+   *   contract baseline for every service (see contract-baseline.js);
+   *   { runner: { jobs, timeout } } controls how services are validated in parallel
+   */
+  constructor(options = {}) {
+    this.baseline = options.baseline || null;
+    this.runnerOptions = options.runner || {};
   }
 
-  async validateAllContracts() {
+  async validateAllContracts(servicePath = null) {
     logger.header('🔗 Service Contract Validation');
 
-    const services = this.getServices();
-    const validationResults = [];
+    const services = servicePath ? [servicePath] : this.getServices();
+    const runner = new TaskRunner(this.runnerOptions);
+    const outcomes = await runner.run(services.map(service => ({
+      name: service,
+      module: './contract-validator',
+      exportName: 'ContractValidator',
+      options: { baseline: this.baseline },
+      method: 'validateServiceContract',
+      args: [service]
+    })));
+
+    const validationResults = outcomes.map((outcome, index) => {
+      if (outcome.status === 'passed') return outcome.result;
 
-    for (const service of services) {
-      const result = await this.validateServiceContract(service);
-      validationResults.push(result);
-    }
+      const validation = this.createValidationRecord(services[index]);
+      validation.warnings.push(`Validation ${outcome.status}: ${outcome.error}`);
+      return validation;
+    });
 
     return this.generateValidationReport(validationResults);
   }
@@ -54,30 +72,48 @@ class ContractValidator {
     return services;
   }
 
-  async validateServiceContract(servicePath) {
-    logger.step(`Validating contracts for ${servicePath}`, icons.package);
-
-    const validation = {
+  /**
+   * Validation result for a service before anything is checked
+   */
+  createValidationRecord(servicePath) {
+    return {
       service: servicePath,
       hasContract: false,
       contractType: null,
       isValid: false,
       compatibilityScore: 0,
       breakingChanges: [],
+      contractChanges: [],
+      baseline: null,
       warnings: [],
       version: null,
       lastValidated: new Date().toISOString()
     };
+  }
+
+  async validateServiceContract(servicePath) {
+    logger.step(`Validating contracts for ${servicePath}`, icons.package);
+
+    const validation = this.createValidationRecord(servicePath);
 
     try {
       // Find contract files
       const contractFile = this.findContractFile(servicePath);
       if (!contractFile) {
-        validation.warnings.push('No API contract found');
+        // A service that declares "contract": null has opted out on purpose
+        if (!('contract' in loadServiceConfig(servicePath).declared)) {
+          validation.warnings.push('No API contract found');
+        }
+        return validation;
+      }
+
+      if (!fs.existsSync(contractFile)) {
+        validation.warnings.push(`Contract ${contractFile} declared in ${SERVICE_CONFIG_FILE} does not exist`);
         return validation;
       }
 
       validation.hasContract = true;
+      validation.contractFile = contractFile;
       validation.contractType = path.basename(contractFile);
 
       // Validate contract syntax
@@ -92,6 +128,9 @@ class ContractValidator {
       const compatibilityCheck = await this.checkBackwardCompatibility(servicePath, contractFile);
       validation.compatibilityScore = compatibilityCheck.score;
       validation.breakingChanges = compatibilityCheck.breakingChanges;
+      validation.contractChanges = compatibilityCheck.changes;
+      validation.baseline = compatibilityCheck.baseline;
+      validation.warnings.push(...compatibilityCheck.warnings);
 
       // Production readiness checks
       const readinessChecks = await this.checkProductionReadiness(servicePath, contractFile);
@@ -105,13 +144,8 @@ class ContractValidator {
   }
 
   findContractFile(servicePath) {
-    for (const contractFile of this.contractTypes) {
-      const fullPath = path.join(servicePath, contractFile);
-      if (fs.existsSync(fullPath)) {
-        return fullPath;
-      }
-    }
-    return null;
+    const { contract } = loadServiceConfig(servicePath);
+    return contract ? path.join(servicePath, contract.path) : null;
   }
 
   async validateContractSyntax(contractFile) {
@@ -127,17 +161,15 @@ class ContractValidator {
           break;
         case '.yml':
         case '.yaml':
-          // Basic YAML validation
-          if (content.includes('\t')) {
-            result.warnings.push('YAML contains tabs, should use spaces');
-          }
+          require('yaml').parse(content);
           break;
-        case '.ts':
-          // Check TypeScript contract structure
-          if (!content.includes('interface') && !content.includes('type')) {
-            result.warnings.push('TypeScript contract missing interface/type definitions');
+        case '.ts': {
+          const snapshot = extractTypeScriptContract(content, contractFile);
+          if (Object.keys(snapshot.exports).length === 0) {
+            result.warnings.push('TypeScript contract exports no interfaces, types or functions');
           }
           break;
+        }
       }
 
       // Check for required fields
@@ -178,68 +210,134 @@ class ContractValidator {
     }
   }
 
+  /**
+   * Baseline strategy for a service: constructor option, then xion-service.json, then xion-apps.config.json
+   */
+  getBaselineOptions(servicePath) {
+    if (this.baseline) return this.baseline;
+
+    const declared = loadServiceConfig(servicePath).contract?.baseline;
+    return { strategy: declared || loadRepoConfig().contracts.baseline };
+  }
+
   async checkBackwardCompatibility(servicePath, contractFile) {
     const result = {
       score: 100,
-      breakingChanges: []
+      breakingChanges: [],
+      changes: [],
+      baseline: null,
+      warnings: []
     };
 
     try {
-      // Get previous version of contract from git
-      const relativePath = path.relative('.', contractFile);
-      const previousContent = execQuiet(`git show HEAD~1:${relativePath} 2>/dev/null`);
+      const options = this.getBaselineOptions(servicePath);
+      const baseline = resolveBaseline(servicePath, options);
+
+      if (!baseline) {
+        result.score = 90; // Nothing released to compare against yet
+        result.warnings.push(options.strategy === 'pinned'
+          ? 'Not a submodule of the parent repository, so there is no pinned contract to compare against'
+          : 'No stable release tag, so backward compatibility was not checked');
+        return result;
+      }
+
+      result.baseline = baseline;
+      const previousContent = readFileAtCommit(servicePath, baseline.commit, contractFile);
 
-      if (!previousContent) {
+      if (previousContent === null) {
         result.score = 90; // New contract, assume compatible
         return result;
       }
 
       const currentContent = fs.readFileSync(contractFile, 'utf8');
-      const changes = this.detectContractChanges(previousContent, currentContent);
+      const changes = this.detectContractChanges(previousContent, currentContent, contractFile);
 
       result.breakingChanges = changes.breaking;
+      result.changes = changes.findings;
       result.score = Math.max(0, 100 - (changes.breaking.length * 20));
 
     } catch (error) {
       // If we can't check compatibility, assume it's risky
       result.score = 70;
-      result.breakingChanges.push('Unable to validate backward compatibility');
+      result.breakingChanges.push(`Unable to validate backward compatibility: ${error.message}`);
     }
 
     return result;
   }
 
-  detectContractChanges(oldContent, newContent) {
+  /**
+   * Diff a service's contract between two refs of its own history, e.g. the
+   * commit the parent repository pins and an update target.
+   * Returns null when the service has no contract.
+   */
+  compareContractRevisions(servicePath, fromRef, toRef) {
+    const contractFile = this.findContractFile(servicePath);
+    if (!contractFile) return null;
+
+    const commits = {};
+    for (const ref of [fromRef, toRef]) {
+      commits[ref] = resolveCommit(servicePath, ref);
+      if (!commits[ref]) throw new Error(`${ref} does not exist in ${servicePath}`);
+    }
+
+    const oldContent = readFileAtCommit(servicePath, commits[fromRef], contractFile);
+    const newContent = readFileAtCommit(servicePath, commits[toRef], contractFile);
+    const comparison = { from: fromRef, to: toRef, contractFile };
+
+    if (oldContent !== null && newContent === null) {
+      const message = `Contract ${path.basename(contractFile)} was removed`;
+      return { ...comparison, breaking: [message], additions: [], modifications: [], findings: [] };
+    }
+
+    if (oldContent === null) {
+      return { ...comparison, breaking: [], additions: [], modifications: [], findings: [] };
+    }
+
+    return { ...comparison, ...this.detectContractChanges(oldContent, newContent, contractFile) };
+  }
+
+  /**
+   * Structural diff of two versions of a contract (see openapi-diff.js and typescript-contract.js).
+   * breaking/additions/modifications hold the messages of breaking, non-breaking
+   * and informational findings; findings keeps them with their JSON pointers.
+   */
+  detectContractChanges(oldContent, newContent, contractFile) {
     const changes = {
       breaking: [],
       additions: [],
-      modifications: []
+      modifications: [],
+      findings: []
     };
 
-    // Simple heuristics for breaking changes
-    const breakingPatterns = [
-      { pattern: /required:\s*true/g, description: 'New required field added' },
-      { pattern: /type:\s*["']?(\w+)["']?/g, description: 'Field type changed' },
-      { pattern: /enum:\s*\[([^\]]+)\]/g, description: 'Enum values changed' }
-    ];
-
-    for (const { pattern, description } of breakingPatterns) {
-      const oldMatches = [...(oldContent.matchAll(pattern) || [])];
-      const newMatches = [...(newContent.matchAll(pattern) || [])];
+    if (oldContent === newContent) {
+      return changes;
+    }
 
-      if (newMatches.length > oldMatches.length) {
-        changes.breaking.push(description);
+    if (isTypeScriptContract(contractFile)) {
+      changes.findings = diffTypeScriptContracts(
+        extractTypeScriptContract(oldContent, contractFile),
+        extractTypeScriptContract(newContent, contractFile)
+      );
+    } else {
+      const oldDocument = parseOpenApi(oldContent, contractFile);
+      const newDocument = parseOpenApi(newContent, contractFile);
+
+      if (!oldDocument || !newDocument) {
+        changes.modifications.push(`${path.basename(contractFile)} changed, but only OpenAPI/Swagger and TypeScript contracts can be compared structurally`);
+        return changes;
       }
+
+      changes.findings = diffOpenApi(oldDocument, newDocument);
     }
 
-    // Check for removed endpoints (basic check)
-    const pathPattern = /path[s]?[:\s]*["']([^"']+)["']/gi;
-    const oldPaths = [...(oldContent.matchAll(pathPattern) || [])].map(m => m[1]);
-    const newPaths = [...(newContent.matchAll(pathPattern) || [])].map(m => m[1]);
+    const buckets = {
+      breaking: changes.breaking,
+      'non-breaking': changes.additions,
+      informational: changes.modifications
+    };
 
-    const removedPaths = oldPaths.filter(path => !newPaths.includes(path));
-    if (removedPaths.length > 0) {
-      changes.breaking.push(`Removed endpoints: ${removedPaths.join(', ')}`);
+    for (const finding of changes.findings) {
+      buckets[finding.severity].push(finding.message);
     }
 
     return changes;
@@ -306,10 +404,22 @@ class ContractValidator {
       Type: v.contractType || 'None',
       Valid: v.isValid ? '✅' : '❌',
       Version: v.version || 'N/A',
+      Baseline: v.baseline ? `${v.baseline.strategy} ${v.baseline.ref}` : 'N/A',
       'Compat Score': v.compatibilityScore,
       'Breaking Changes': v.breakingChanges.length
     })));
 
+    // Breaking changes, with where to find them in the contract
+    const breaking = validationResults.flatMap(v =>
+      (v.contractChanges || []).filter(c => c.severity === 'breaking').map(c => ({ service: v.service, ...c }))
+    );
+    if (breaking.length > 0) {
+      console.log('\n💥 Breaking Contract Changes:');
+      for (const change of breaking) {
+        console.log(`  ${change.service}: ${change.message} (${change.pointer})`);
+      }
+    }
+
     // Critical issues
     const criticalIssues = this.identifyCriticalIssues(validationResults);
     if (criticalIssues.length > 0) {
@@ -326,6 +436,74 @@ class ContractValidator {
     };
   }
 
+  toReportDocument(report) {
+    const rules = {
+      'contracts/has-contract': 'Service should publish an API contract',
+      'contracts/valid': 'API contract must be syntactically valid',
+      'contracts/compatible': 'API contract must stay backward compatible',
+      'contracts/changed': 'Non-breaking and informational API contract changes',
+      'contracts/readiness': 'API contract should document production concerns'
+    };
+
+    const services = [];
+    const findings = [];
+
+    for (const validation of report.validationResults) {
+      const location = validation.contractFile ? { file: validation.contractFile } : getServiceLocation(validation.service);
+      const add = (id, severity, message, change = null) => {
+        findings.push({
+          ruleId: `contracts/${id}`,
+          severity,
+          message,
+          service: validation.service,
+          location: change ? { ...location, pointer: change.pointer, ...(change.line && { line: change.line }) } : location
+        });
+      };
+
+      const checks = [{ id: 'has-contract', name: 'Has contract', passed: validation.hasContract }];
+
+      if (!validation.hasContract) {
+        add('has-contract', 'warning', 'No API contract found');
+      } else {
+        checks.push(
+          { id: 'valid', name: 'Valid', passed: validation.isValid },
+          { id: 'compatible', name: 'Compatible', passed: validation.breakingChanges.length === 0, score: validation.compatibilityScore }
+        );
+
+        if (!validation.isValid) {
+          add('valid', 'error', `Contract ${validation.contractType} is invalid`);
+        }
+        const changes = validation.contractChanges || [];
+        for (const change of changes) {
+          if (change.severity === 'breaking') {
+            add('compatible', 'error', change.message, change);
+          } else {
+            add('changed', 'note', `[${change.severity}] ${change.message}`, change);
+          }
+        }
+        // Breaking changes that don't come from the structural diff (e.g. comparison failures)
+        for (const change of validation.breakingChanges) {
+          if (!changes.some(c => c.severity === 'breaking' && c.message === change)) {
+            add('compatible', 'error', change);
+          }
+        }
+        for (const warning of validation.warnings) {
+          add('readiness', 'note', warning);
+        }
+      }
+
+      services.push({
+        name: validation.service,
+        passed: checks.every(c => c.passed),
+        score: validation.compatibilityScore,
+        baseline: validation.baseline,
+        checks
+      });
+    }
+
+    return createReportDocument({ kind: 'contracts', summary: report.metrics, rules, services, findings });
+  }
+
   identifyCriticalIssues(validationResults) {
     const issues = [];
 
@@ -360,8 +538,10 @@ class ContractValidator {
 async function main() {
   const validator = new ContractValidator();
 
+  const servicePath = process.argv[2];
+
   try {
-    const report = await validator.validateAllContracts();
+    const report = await validator.validateAllContracts(servicePath);
 
     // Exit with error if critical issues found
     if (report.criticalIssues.length > 0) {
@@ -1,34 +1,8 @@
 #!/usr/bin/env node
-const { execSync } = require('child_process');
-const readline = require('readline');
+const { run, runSync, gitUtils, createPrompt } = require('./utils');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-function execCommand(command, options = {}) {
-  try {
-    return execSync(command, { encoding: 'utf8', ...options });
-  } catch (error) {
-    throw error;
-  }
-}
-
-function question(query) {
-  return new Promise(resolve => rl.question(query, resolve));
-}
-
-async function createRelease() {
-  const args = process.argv.slice(2);
-
-  if (args.length !== 1) {
-    console.log('Usage: npm run release <tag-name>');
-    console.log('Example: npm run release v1.0.0');
-    process.exit(1);
-  }
-
-  const tagName = args[0];
+async function createRelease(tagName, options = {}) {
+  const { question, confirm, close } = createPrompt({ yes: options.yes, no: options.no });
 
   try {
     console.log(`🏷️  Creating release ${tagName}...`);
@@ -36,33 +10,28 @@ async function createRelease() {
     // Validate tag format
     if (!tagName.match(/^v?\d+\.\d+\.\d+/)) {
       console.log('⚠️  Warning: Tag name doesn\'t follow semantic versioning (e.g., v1.0.0)');
-      const proceed = await question('Continue anyway? (y/N): ');
-      if (proceed.toLowerCase() !== 'y') {
+      if (!(await confirm('Continue anyway? (y/N): '))) {
         console.log('ℹ️  Operation cancelled');
-        rl.close();
         return;
       }
     }
 
+    if (runSync('git', ['check-ref-format', `refs/tags/${tagName}`], { reject: false }).error) {
+      console.error(`❌ '${tagName}' is not a valid tag name`);
+      return;
+    }
+
     // Check if tag already exists
-    try {
-      execCommand(`git rev-parse ${tagName}`, { stdio: 'pipe' });
+    if (!runSync('git', ['rev-parse', '--verify', '--quiet', `refs/tags/${tagName}`], { reject: false }).error) {
       console.error(`❌ Tag '${tagName}' already exists`);
-      rl.close();
       return;
-    } catch (error) {
-      // Tag doesn't exist, continue
     }
 
     // Check if working directory is clean
-    try {
-      execCommand('git diff --quiet HEAD', { stdio: 'pipe' });
-    } catch (error) {
+    if (gitUtils.hasChanges()) {
       console.log('⚠️  Working directory has uncommitted changes');
-      const proceed = await question('Continue anyway? (y/N): ');
-      if (proceed.toLowerCase() !== 'y') {
+      if (!(await confirm('Continue anyway? (y/N): '))) {
         console.log('ℹ️  Operation cancelled - commit changes first');
-        rl.close();
         return;
       }
     }
@@ -74,44 +43,35 @@ async function createRelease() {
     console.log('\n🔄 Creating release...');
 
     // Create the tag
-    execCommand(`git tag -a ${tagName} -m "${releaseMessage}"`, { stdio: 'inherit' });
+    await run('git', ['tag', '-a', tagName, '-m', releaseMessage], { stream: true });
     console.log(`✅ Created tag ${tagName}`);
 
     // Push the tag
-    execCommand(`git push origin ${tagName}`, { stdio: 'inherit' });
+    await run('git', ['push', 'origin', `refs/tags/${tagName}`], { stream: true });
     console.log(`🚀 Pushed tag ${tagName} to origin`);
 
     console.log('\n🏷️  Replicating tag to all submodules...');
 
     // Replicate to all submodules
-    const submodules = execCommand('git submodule status', { stdio: 'pipe' })
-      .trim()
-      .split('\n')
-      .map(line => line.split(' ')[1])
-      .filter(path => path);
+    const submodules = gitUtils.getSubmodules().map(submodule => submodule.path);
 
     let successCount = 0;
     let errorCount = 0;
 
     for (const submodule of submodules) {
       try {
-        process.chdir(submodule);
-
         // Check if submodule has a remote
-        try {
-          execCommand('git remote get-url origin', { stdio: 'pipe' });
-        } catch (error) {
+        if ((await run('git', ['remote', 'get-url', 'origin'], { cwd: submodule, reject: false })).error) {
           console.log(`  ⚠️  Skipping ${submodule} (no remote origin)`);
-          process.chdir('..');
           continue;
         }
 
         // Get the current commit
-        const currentCommit = execCommand('git rev-parse HEAD', { stdio: 'pipe' }).trim();
+        const currentCommit = (await run('git', ['rev-parse', 'HEAD'], { cwd: submodule })).stdout.trim();
 
         // Create and push the tag
-        execCommand(`git tag -a ${tagName} -m "${releaseMessage}" ${currentCommit}`, { stdio: 'pipe' });
-        execCommand(`git push origin ${tagName}`, { stdio: 'pipe' });
+        await run('git', ['tag', '-a', tagName, '-m', releaseMessage, currentCommit], { cwd: submodule });
+        await run('git', ['push', 'origin', `refs/tags/${tagName}`], { cwd: submodule });
 
         console.log(`  ✅ Tagged ${submodule}`);
         successCount++;
@@ -119,8 +79,6 @@ async function createRelease() {
       } catch (error) {
         console.log(`  ❌ Failed to tag ${submodule}: ${error.message}`);
         errorCount++;
-      } finally {
-        process.chdir('..');
       }
     }
 
@@ -136,8 +94,25 @@ async function createRelease() {
     console.error('❌ Error creating release:', error.message);
     process.exit(1);
   } finally {
-    rl.close();
+    close();
+  }
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const args = argv.filter(arg => !arg.startsWith('--'));
+
+  if (args.length !== 1) {
+    console.log('Usage: npm run release <tag-name> [--yes | --no]');
+    console.log('Example: npm run release v1.0.0');
+    process.exit(1);
   }
+
+  createRelease(args[0], { yes: argv.includes('--yes'), no: argv.includes('--no') });
+}
+
+if (require.main === module) {
+  main();
 }
 
-createRelease();
\ No newline at end of file
+module.exports = { createRelease };
\ No newline at end of file
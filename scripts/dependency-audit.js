@@ -0,0 +1,371 @@
+/**
+ * Dependency audit - Run a service's package manager audit and normalise the output
+ *
+ * Audit output formats, recognised by their shape:
+ *   npm v7+        { auditReportVersion: 2, vulnerabilities: { <package>: { via, nodes } } }
+ *   advisories     { advisories: { <id>: { module_name, findings } } } - npm 6, pnpm, yarn 2-3
+ *   yarn classic   one JSON object per line; { type: 'auditAdvisory' } lines carry the advisories
+ *   yarn 4         one JSON object per line and package: { value: <package>, children: { ID, ... } }
+ *
+ * Each becomes a list of advisories:
+ *   { id, package, severity, title, url, vulnerableVersions, fixedIn, paths }
+ * id is the GHSA id when the audit gives one, otherwise the registry's advisory number.
+ * paths are dependency paths like "app > lodash"; fixedIn is null when no fix is known.
+ *
+ * Advisories come from the registry audit, or from the offline OSV snapshot (see
+ * advisory-snapshot.js) as the security section of xion-apps.config.json says. The
+ * snapshot knows resolved versions but not how they were pulled in, so its paths
+ * are "lodash@4.17.20". An audit with no source to ask throws rather than report nothing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { run, runSync, packageUtils } = require('./utils');
+const { findLockfile, isYarnBerryLock, readLockfile } = require('./lockfile');
+const { loadRepoConfig } = require('./repo-config');
+const { loadSnapshot, summarizeSnapshot, findAffected } = require('./advisory-snapshot');
+
+const SEVERITIES = ['info', 'low', 'moderate', 'high', 'critical'];
+const REGISTRY_SOURCE = { type: 'registry' };
+
+/**
+ * The audit command for a service's package manager, as an argument array
+ */
+function getAuditCommand(servicePath) {
+  const lockfile = findLockfile(servicePath);
+  if (lockfile?.manager === 'yarn' && isYarnBerryLock(fs.readFileSync(lockfile.path, 'utf8'))) {
+    // yarn 2+ only audits direct dependencies unless asked to recurse
+    return ['yarn', 'npm', 'audit', '--all', '--recursive', '--json'];
+  }
+
+  return packageUtils.getAuditCommand(lockfile?.manager || packageUtils.detectPackageManager(servicePath));
+}
+
+function normalizeSeverity(severity) {
+  const normalized = String(severity || '').toLowerCase();
+  if (normalized === 'medium') return 'moderate';
+  return SEVERITIES.includes(normalized) ? normalized : 'info';
+}
+
+function advisoryId({ githubId, url, id }) {
+  const ghsa = githubId || url?.match(/GHSA(-[0-9a-z]{4}){3}/i)?.[0];
+  return ghsa ? `GHSA${ghsa.slice(4).toLowerCase()}` : String(id);
+}
+
+/**
+ * The lowest fixed version: from the patched range, or else from the upper bound
+ * of the vulnerable range ("<4.17.21" is fixed in 4.17.21)
+ */
+function fixedVersion(patchedVersions, vulnerableVersions) {
+  const semver = require('semver');
+
+  if (patchedVersions) {
+    try {
+      const version = semver.minVersion(patchedVersions);
+      if (version && version.version !== '0.0.0') return version.version;
+    } catch (error) {
+      // not a range semver understands
+    }
+  }
+
+  const upperBound = vulnerableVersions?.split('||').pop().trim().match(/<\s*v?(\d+\.\d+\.\d+[^\s]*)$/);
+  return upperBound ? upperBound[1] : null;
+}
+
+// "a>b>c" (npm 6, yarn classic) or ".>a>b" (pnpm) → "a > b > c"
+function dependencyPath(findingPath) {
+  return findingPath.split('>').filter(part => part && part !== '.').join(' > ');
+}
+
+// "node_modules/a/node_modules/b" (npm v7+) → "a > b"
+function installPath(node) {
+  return node.split('node_modules/').map(part => part.replace(/\/$/, '')).filter(Boolean).join(' > ');
+}
+
+function parseNpmReport(report) {
+  const advisories = [];
+
+  for (const [name, vulnerability] of Object.entries(report.vulnerabilities || {})) {
+    for (const via of vulnerability.via || []) {
+      // A string names a vulnerable dependency, which has its own entry
+      if (typeof via !== 'object') continue;
+
+      const vulnerablePackage = via.name || name;
+      advisories.push({
+        id: advisoryId({ url: via.url, id: via.source }),
+        package: vulnerablePackage,
+        severity: normalizeSeverity(via.severity),
+        title: via.title || null,
+        url: via.url || null,
+        vulnerableVersions: via.range || null,
+        fixedIn: fixedVersion(null, via.range),
+        paths: (report.vulnerabilities[vulnerablePackage]?.nodes || vulnerability.nodes || []).map(installPath)
+      });
+    }
+  }
+
+  return advisories;
+}
+
+function parseAdvisory(advisory, paths) {
+  return {
+    id: advisoryId({ githubId: advisory.github_advisory_id, url: advisory.url, id: advisory.id }),
+    package: advisory.module_name,
+    severity: normalizeSeverity(advisory.severity),
+    title: advisory.title || null,
+    url: advisory.url || null,
+    vulnerableVersions: advisory.vulnerable_versions || null,
+    fixedIn: fixedVersion(advisory.patched_versions, advisory.vulnerable_versions),
+    paths: paths.map(dependencyPath)
+  };
+}
+
+function parseAdvisoriesReport(report) {
+  return Object.values(report.advisories || {}).map(advisory =>
+    parseAdvisory(advisory, (advisory.findings || []).flatMap(finding => finding.paths || []))
+  );
+}
+
+function parseYarnBerryEntry({ value, children }) {
+  return {
+    id: advisoryId({ url: children.URL, id: children.ID }),
+    package: value,
+    severity: normalizeSeverity(children.Severity),
+    title: children.Issue || null,
+    url: children.URL || null,
+    vulnerableVersions: children['Vulnerable Versions'] || null,
+    fixedIn: fixedVersion(null, children['Vulnerable Versions']),
+    paths: (children.Dependents || []).map(dependent => `${dependent.replace(/@(npm|workspace|patch):.*$/, '')} > ${value}`)
+  };
+}
+
+function parseSnapshotMatch({ record, name, version, vulnerableVersions, fixedIn }) {
+  return {
+    id: advisoryId({ githubId: [record.id, ...record.aliases].find(id => id.startsWith('GHSA-')), id: record.id }),
+    package: name,
+    // OSV MAL- records are malicious packages, which carry no severity of their own
+    severity: record.id.startsWith('MAL-') ? 'critical' : normalizeSeverity(record.severity),
+    title: record.summary,
+    url: `https://osv.dev/vulnerability/${record.id}`,
+    vulnerableVersions,
+    fixedIn,
+    paths: [`${name}@${version}`]
+  };
+}
+
+/**
+ * One entry per advisory and package, with the paths of all its findings
+ */
+function mergeAdvisories(advisories) {
+  const merged = new Map();
+
+  for (const advisory of advisories) {
+    const key = `${advisory.id}|${advisory.package}`;
+    const existing = merged.get(key);
+    if (existing) {
+      existing.paths = [...new Set([...existing.paths, ...advisory.paths])];
+    } else {
+      merged.set(key, { ...advisory, paths: [...new Set(advisory.paths)] });
+    }
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Advisories from npm, pnpm or yarn audit JSON output; throws when the output
+ * is an error report or not an audit at all
+ */
+function parseAuditOutput(output) {
+  const text = output.trim();
+  if (!text) {
+    throw new Error('The audit printed nothing');
+  }
+
+  let report = null;
+  try {
+    report = JSON.parse(text);
+  } catch (error) {
+    // yarn prints one JSON object per line
+  }
+
+  if (report && !report.type && !report.children) {
+    if (report.error) {
+      throw new Error(report.error.summary || report.error.message || JSON.stringify(report.error));
+    }
+    if (report.auditReportVersion && report.vulnerabilities) return mergeAdvisories(parseNpmReport(report));
+    if (report.advisories) return mergeAdvisories(parseAdvisoriesReport(report));
+    throw new Error('Unrecognised audit output');
+  }
+
+  const advisories = [];
+  let recognised = false;
+
+  for (const line of text.split('\n')) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      continue; // progress or warning text between the JSON lines
+    }
+
+    if (entry.type === 'error') {
+      throw new Error(typeof entry.data === 'string' ? entry.data : JSON.stringify(entry.data));
+    }
+    if (entry.type === 'auditAdvisory') {
+      advisories.push(parseAdvisory(entry.data.advisory, [entry.data.resolution?.path].filter(Boolean)));
+    } else if (entry.value && entry.children) {
+      advisories.push(parseYarnBerryEntry(entry));
+    }
+    recognised = recognised || entry.type === 'auditSummary' || entry.type === 'auditAdvisory' || Boolean(entry.children);
+  }
+
+  if (!recognised) {
+    throw new Error('Unrecognised audit output');
+  }
+
+  return mergeAdvisories(advisories);
+}
+
+/**
+ * Advisories from a finished audit command ({ stdout, stderr, code }). yarn 4 prints
+ * nothing when it finds nothing, so empty output from a successful audit is clean.
+ */
+function readAuditResult({ stdout, stderr, code }) {
+  if (!stdout.trim()) {
+    if (code === 0) return [];
+    const reason = stderr?.trim().split('\n').pop();
+    throw new Error(reason ? `The audit failed: ${reason}` : `The audit exited with code ${code} and printed nothing`);
+  }
+  return parseAuditOutput(stdout);
+}
+
+/**
+ * Where advisories come from, per the security section of xion-apps.config.json:
+ * { mode: 'auto' | 'registry' | 'snapshot', snapshotDir, snapshot }, snapshot null when
+ * there is none. Throws when the config asks for a snapshot that isn't there.
+ */
+function getAdvisorySource(root = process.cwd()) {
+  const { security } = loadRepoConfig(root);
+  const snapshotDir = security.advisorySnapshot;
+  const snapshot = security.advisorySource === 'registry' ? null : loadSnapshot(path.resolve(root, snapshotDir));
+
+  if (security.advisorySource === 'snapshot' && !snapshot) {
+    throw new Error(`No advisory snapshot in ${snapshotDir}; run xion-apps advisories update while online`);
+  }
+
+  return { mode: security.advisorySource, snapshotDir, snapshot };
+}
+
+/**
+ * A one-line description of where a service's advisories came from
+ */
+function describeAdvisorySource(source) {
+  if (source?.type !== 'snapshot') return 'registry audit';
+  const age = source.ageDays === null ? 'date unknown' : `${source.ageDays} days old`;
+  return `OSV snapshot of ${source.date?.slice(0, 10) || 'unknown date'} (${age}, ${source.records} advisories in ${path.relative(process.cwd(), source.dir) || '.'})`;
+}
+
+/**
+ * Advisories for a service's lockfile from the offline snapshot: { advisories, source }
+ */
+function auditSnapshot(servicePath, { snapshot }) {
+  const lockfile = readLockfile(servicePath);
+  if (!lockfile) {
+    throw new Error(`${servicePath} has no lockfile, so there are no resolved versions to check against the advisory snapshot`);
+  }
+
+  const advisories = mergeAdvisories(findAffected(snapshot, lockfile.packages).map(parseSnapshotMatch));
+  return { advisories, source: summarizeSnapshot(snapshot) };
+}
+
+/**
+ * Advisories from a finished registry audit of a service ({ stdout, stderr, code }):
+ * { advisories, source }. When the audit failed (offline, rate limited, no lockfile)
+ * the snapshot answers instead, if the source allows it and there is one.
+ */
+function readRegistryAudit(servicePath, source, result) {
+  try {
+    return { advisories: readAuditResult(result), source: REGISTRY_SOURCE };
+  } catch (error) {
+    if (source.mode === 'registry') throw error;
+    if (!source.snapshot) {
+      throw new Error(`${error.message}, and there is no advisory snapshot in ${source.snapshotDir} to fall back on (run xion-apps advisories update while online)`);
+    }
+    return auditSnapshot(servicePath, source);
+  }
+}
+
+function hasPackageJson(servicePath) {
+  return fs.existsSync(path.join(servicePath, 'package.json'));
+}
+
+/**
+ * Audit a service: { advisories, source }, source null when it has no package.json and
+ * so nothing to audit. Throws when no advisory source could answer.
+ */
+async function auditService(servicePath, source = getAdvisorySource()) {
+  if (!hasPackageJson(servicePath)) return { advisories: [], source: null };
+  if (source.mode === 'snapshot') return auditSnapshot(servicePath, source);
+
+  const [command, ...args] = getAuditCommand(servicePath);
+  // Audits exit non-zero when they find vulnerabilities, so only the output counts
+  return readRegistryAudit(servicePath, source, await run(command, args, { cwd: servicePath, reject: false }));
+}
+
+function auditServiceSync(servicePath, source = getAdvisorySource()) {
+  if (!hasPackageJson(servicePath)) return { advisories: [], source: null };
+  if (source.mode === 'snapshot') return auditSnapshot(servicePath, source);
+
+  const [command, ...args] = getAuditCommand(servicePath);
+  return readRegistryAudit(servicePath, source, runSync(command, args, { cwd: servicePath, reject: false }));
+}
+
+/**
+ * Merge the advisories of several services ([{ service, advisories }]) into one entry per
+ * advisory, listing the services it affects: [{ ...advisory, services: [{ service, paths }] }],
+ * most severe first
+ */
+function aggregateAdvisories(serviceAudits) {
+  const byAdvisory = new Map();
+
+  for (const { service, advisories } of serviceAudits) {
+    for (const { paths, ...advisory } of advisories || []) {
+      const key = `${advisory.id}|${advisory.package}`;
+      if (!byAdvisory.has(key)) {
+        byAdvisory.set(key, { ...advisory, services: [] });
+      }
+      byAdvisory.get(key).services.push({ service, paths });
+    }
+  }
+
+  return [...byAdvisory.values()].sort((a, b) =>
+    SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) ||
+    b.services.length - a.services.length ||
+    a.package.localeCompare(b.package)
+  );
+}
+
+/**
+ * Advisory counts by severity: { critical, high, moderate, low, info, total }
+ */
+function countBySeverity(advisories) {
+  const counts = Object.fromEntries([...SEVERITIES].reverse().map(severity => [severity, 0]));
+  advisories.forEach(advisory => counts[advisory.severity]++);
+  return { ...counts, total: advisories.length };
+}
+
+module.exports = {
+  SEVERITIES,
+  getAuditCommand,
+  parseAuditOutput,
+  readAuditResult,
+  getAdvisorySource,
+  describeAdvisorySource,
+  auditSnapshot,
+  readRegistryAudit,
+  auditService,
+  auditServiceSync,
+  aggregateAdvisories,
+  countBySeverity
+};
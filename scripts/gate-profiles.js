@@ -0,0 +1,93 @@
+/**
+ * Gate profiles - Thresholds, weights and critical flags per service and environment
+ *
+ * A profile is { minimumScore, criticalGateThreshold, <gate id>: { enabled, critical, weight, threshold } }.
+ * Profiles are layered, later layers winning:
+ *   1. built-in defaults (below, and each gate's own weight/critical/threshold)
+ *   2. gates.thresholds in xion-apps.config.json
+ *   3. gates.thresholds.environments.<environment> in xion-apps.config.json
+ *   4. gates in the service's xion-service.json
+ *   5. gates.environments.<environment> in the service's xion-service.json
+ */
+
+const path = require('path');
+const { REPO_CONFIG_FILE } = require('./repo-config');
+const { SERVICE_CONFIG_FILE } = require('./service-config');
+
+const ENVIRONMENTS = ['preview', 'staging', 'production'];
+const DEFAULT_ENVIRONMENT = 'production';
+
+const DEFAULT_THRESHOLDS = {
+  minimumScore: 80,
+  criticalGateThreshold: 90
+};
+
+function hasSettings(profile) {
+  return Boolean(profile) && Object.keys(profile).some(key => key !== 'environments');
+}
+
+/**
+ * Resolve the gate policy of one service for a target environment.
+ * Returns { minimumScore, criticalGateThreshold, gates, profile, unknownGates }, where
+ * profile names the environment and the layers that contributed to it.
+ */
+function resolveGateProfile({ gates, repoConfig, serviceConfig, environment = DEFAULT_ENVIRONMENT }) {
+  if (!ENVIRONMENTS.includes(environment)) {
+    throw new Error(`Unknown environment "${environment}" (expected ${ENVIRONMENTS.join(', ')})`);
+  }
+
+  const repoProfile = repoConfig.gates.thresholds || {};
+  const serviceProfile = serviceConfig.gates || {};
+  const serviceFile = path.join(serviceConfig.service, SERVICE_CONFIG_FILE);
+
+  const layers = [
+    { source: REPO_CONFIG_FILE, profile: repoProfile },
+    { source: `${REPO_CONFIG_FILE} (${environment})`, profile: repoProfile.environments?.[environment] },
+    { source: serviceFile, profile: serviceProfile },
+    { source: `${serviceFile} (${environment})`, profile: serviceProfile.environments?.[environment] }
+  ].filter(layer => hasSettings(layer.profile));
+
+  const thresholds = { ...DEFAULT_THRESHOLDS };
+  const gateOverrides = {};
+
+  for (const { profile } of layers) {
+    const { minimumScore, criticalGateThreshold, environments, ...overrides } = profile;
+    if (minimumScore !== undefined) thresholds.minimumScore = minimumScore;
+    if (criticalGateThreshold !== undefined) thresholds.criticalGateThreshold = criticalGateThreshold;
+
+    for (const [gateId, override] of Object.entries(overrides)) {
+      gateOverrides[gateId] = { ...gateOverrides[gateId], ...override };
+    }
+  }
+
+  const knownIds = new Set(gates.map(gate => gate.id));
+
+  return {
+    ...thresholds,
+    gates: gates
+      .map(gate => ({ ...gate, ...gateOverrides[gate.id] }))
+      .filter(gate => gate.enabled !== false),
+    profile: {
+      name: environment,
+      sources: ['defaults', ...layers.map(layer => layer.source)]
+    },
+    unknownGates: Object.keys(gateOverrides).filter(gateId => !knownIds.has(gateId))
+  };
+}
+
+/**
+ * One-line description of a resolved profile, for console output and reports
+ */
+function describeProfile(policy) {
+  const inherited = policy.profile.sources.slice(1);
+  const from = inherited.length > 0 ? ` from ${inherited.join(' → ')}` : ' (defaults)';
+  return `${policy.profile.name}: minimum ${policy.minimumScore}, critical ${policy.criticalGateThreshold}${from}`;
+}
+
+module.exports = {
+  ENVIRONMENTS,
+  DEFAULT_ENVIRONMENT,
+  DEFAULT_THRESHOLDS,
+  resolveGateProfile,
+  describeProfile
+};
@@ -0,0 +1,120 @@
+/**
+ * Gate Registry - Built-in and plugin quality gates
+ *
+ * A gate module exports one gate, or an array of gates, shaped like:
+ *   {
+ *     id: 'license',               // key for results and xion-service.json overrides
+ *     name: 'License Gate',
+ *     weight: 10,                  // share of the overall score
+ *     critical: false,             // critical gates must pass for a service to deploy
+ *     threshold: 70,               // optional; defaults to the critical gate threshold
+ *     async evaluate(context) {    // context: see scripts/gates/service-context.js
+ *       return { score: 0-100, checks: {...}, issues: ['...'], passed?: boolean,
+ *                suppressed?: [{ message, suppression }] };   // accepted findings, reported apart
+ *     }
+ *   }
+ *
+ * Plugins are listed under gates.plugins in xion-apps.config.json, or dropped
+ * into the gates/ directory at the repository root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const builtinGates = require('./gates');
+const { loadRepoConfig, REPO_CONFIG_FILE } = require('./repo-config');
+
+class GateRegistry {
+  constructor() {
+    this.gates = new Map();
+    this.sources = new Map();
+  }
+
+  register(gate, source = 'built-in') {
+    const problems = [];
+    if (typeof gate?.id !== 'string' || !/^[a-z][a-z0-9-]*$/.test(gate.id)) problems.push('id must be a lowercase identifier');
+    if (gate?.id === 'environments') problems.push('id "environments" is reserved for environment profiles');
+    if (typeof gate?.name !== 'string' || !gate.name) problems.push('name is required');
+    if (typeof gate?.weight !== 'number' || gate.weight < 0) problems.push('weight must be a non-negative number');
+    if (typeof gate?.critical !== 'boolean') problems.push('critical must be true or false');
+    if (gate?.threshold !== undefined && (typeof gate.threshold !== 'number' || gate.threshold < 0 || gate.threshold > 100)) {
+      problems.push('threshold must be between 0 and 100');
+    }
+    if (typeof gate?.evaluate !== 'function') problems.push('evaluate(context) must be a function');
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid gate ${gate?.id ? `"${gate.id}" ` : ''}from ${source}: ${problems.join(', ')}`);
+    }
+
+    if (this.gates.has(gate.id)) {
+      throw new Error(`Gate "${gate.id}" from ${source} is already registered by ${this.sources.get(gate.id)}`);
+    }
+
+    this.gates.set(gate.id, gate);
+    this.sources.set(gate.id, source);
+    return this;
+  }
+
+  has(id) {
+    return this.gates.has(id);
+  }
+
+  get(id) {
+    return this.gates.get(id);
+  }
+
+  getSource(id) {
+    return this.sources.get(id);
+  }
+
+  list() {
+    return [...this.gates.values()];
+  }
+
+  loadPlugin(modulePath, source = modulePath) {
+    let exported;
+    try {
+      exported = require(modulePath);
+    } catch (error) {
+      throw new Error(`Failed to load gate plugin ${source}: ${error.message}`);
+    }
+
+    for (const gate of Array.isArray(exported) ? exported : [exported]) {
+      this.register(gate, source);
+    }
+  }
+
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) return;
+
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+      this.loadPlugin(path.join(dir, file), path.relative(process.cwd(), path.join(dir, file)));
+    }
+  }
+}
+
+/**
+ * Registry with the built-in gates plus every plugin configured for the repository at root
+ */
+function createGateRegistry(root = process.cwd()) {
+  const registry = new GateRegistry();
+  builtinGates.forEach(gate => registry.register(gate));
+
+  const { gates: gateConfig } = loadRepoConfig(root);
+
+  for (const plugin of gateConfig.plugins) {
+    let modulePath;
+    try {
+      modulePath = require.resolve(plugin.startsWith('.') ? path.resolve(root, plugin) : plugin, { paths: [root] });
+    } catch (error) {
+      throw new Error(`Gate plugin "${plugin}" listed in ${REPO_CONFIG_FILE} was not found`);
+    }
+    registry.loadPlugin(modulePath, plugin);
+  }
+
+  registry.loadDirectory(path.resolve(root, gateConfig.directory));
+
+  return registry;
+}
+
+module.exports = { GateRegistry, createGateRegistry };
@@ -0,0 +1,58 @@
+/**
+ * Contract Gate - API contract presence, validity, versioning and backward compatibility
+ */
+
+const { ContractValidator } = require('../contract-validator');
+
+function collectIssues(checks, result) {
+  const issues = [];
+
+  if (!checks.hasContract) {
+    issues.push(result.warnings[0] || 'No API contract found');
+    return issues;
+  }
+
+  if (!checks.contractValid) {
+    const syntaxErrors = result.warnings.filter(warning => warning.startsWith('Syntax error'));
+    issues.push(`Contract ${result.contractType} is not valid${syntaxErrors.length > 0 ? `: ${syntaxErrors.join('; ')}` : ''}`);
+  }
+  if (!checks.hasVersion) issues.push(`Contract ${result.contractType} has no version`);
+  for (const change of result.breakingChanges) {
+    issues.push(`Breaking change: ${change}`);
+  }
+  if (checks.compatibilityScore < 100 && result.breakingChanges.length === 0) {
+    issues.push(`Compatibility score is ${checks.compatibilityScore}/100`);
+  }
+
+  return issues;
+}
+
+module.exports = {
+  id: 'contract',
+  name: 'Contract Gate',
+  weight: 20,
+  critical: true,
+
+  async evaluate(context) {
+    const validator = new ContractValidator();
+    const contractResult = await validator.validateServiceContract(context.servicePath);
+
+    const checks = {
+      hasContract: contractResult.hasContract,
+      contractValid: contractResult.isValid,
+      compatibilityScore: contractResult.compatibilityScore,
+      breakingChanges: contractResult.breakingChanges.length,
+      hasVersion: !!contractResult.version && contractResult.version !== 'unknown'
+    };
+
+    // Calculate contract score
+    let score = 0;
+    score += checks.hasContract ? 30 : 0;
+    score += checks.contractValid ? 25 : 0;
+    score += Math.min(checks.compatibilityScore || 0, 25);
+    score += checks.hasVersion ? 10 : 0;
+    score += checks.breakingChanges === 0 ? 10 : 0;
+
+    return { score, checks, issues: collectIssues(checks, contractResult) };
+  }
+};
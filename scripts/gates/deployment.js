@@ -0,0 +1,131 @@
+/**
+ * Deployment Gate - Build/start commands, deploy target configuration, environment and health checks
+ */
+
+const { SERVICE_CONFIG_FILE } = require('../service-config');
+const { checkPackageJson } = require('../validate-deployments');
+
+const ENV_EXAMPLE_FILES = ['.env.example', '.env.sample', '.env.template', '.dev.vars.example'];
+
+// Files each deploy target needs in the service directory
+const DEPLOY_CONFIG_FILES = {
+  'cloudflare-workers': ['wrangler.toml', 'wrangler.json', 'wrangler.jsonc'],
+  netlify: ['netlify.toml'],
+  docker: ['Dockerfile'],
+  'expo-eas': ['eas.json'],
+  npm: ['package.json']
+};
+
+function checkStartScript(context) {
+  const { config } = context;
+
+  // Hosted platforms and published libraries don't need a start script
+  if (config.type === 'library' || ['cloudflare-workers', 'vercel', 'netlify', 'expo-eas', 'npm'].includes(config.deploy.target)) {
+    return null;
+  }
+
+  if (config.deploy.target === 'docker') {
+    return context.exists('Dockerfile') && /^\s*(CMD|ENTRYPOINT)\b/m.test(context.readFile('Dockerfile'));
+  }
+
+  return !!context.readPackageJson()?.scripts?.start;
+}
+
+function checkDeploymentConfig(context) {
+  const { config } = context;
+
+  if (config.deploy.target === 'none') {
+    return config.type === 'library' ? null : false;
+  }
+
+  const expectedFiles = DEPLOY_CONFIG_FILES[config.deploy.target];
+  return expectedFiles ? expectedFiles.some(file => context.exists(file)) : true;
+}
+
+function checkEnvironmentConfig(context) {
+  const usesEnv = ['.env', '.env.local', '.env.production', '.dev.vars'].some(file => context.exists(file)) ||
+    context.sourceContains(/process\.env\.|import\.meta\.env\./);
+  if (!usesEnv) return null;
+
+  return ENV_EXAMPLE_FILES.some(file => context.exists(file));
+}
+
+function checkHealthCheckScript(context) {
+  const scripts = context.readPackageJson()?.scripts || {};
+  return !!(context.config.health.url || scripts.health || scripts['health-check']);
+}
+
+function getProductionBlockers(context) {
+  if (!context.exists('package.json')) return [];
+
+  const { issues } = checkPackageJson(context.resolve('package.json'), context.config);
+  return issues.filter(issue => issue.type === 'error').map(issue => issue.message);
+}
+
+function collectIssues(checks) {
+  const issues = [];
+
+  if (!checks.hasPackageJson) issues.push('Missing package.json');
+  if (!checks.hasBuildScript) issues.push(`No build command (add a build script or commands.build in ${SERVICE_CONFIG_FILE})`);
+  if (checks.hasStartScript === false) {
+    issues.push(checks.deployTarget === 'docker' ? 'Dockerfile has no CMD or ENTRYPOINT' : 'No start script in package.json');
+  }
+  if (checks.hasDeploymentConfig === false) {
+    issues.push(checks.deployTarget === 'none'
+      ? `No deploy target (set deploy.target in ${SERVICE_CONFIG_FILE})`
+      : `Deploy target ${checks.deployTarget} needs ${DEPLOY_CONFIG_FILES[checks.deployTarget].join(' or ')}`);
+  }
+  if (checks.hasEnvConfig === false) issues.push(`Environment variables are used but there is no ${ENV_EXAMPLE_FILES.join(' / ')}`);
+  if (!checks.hasHealthCheck) issues.push(`No health check (set health.url in ${SERVICE_CONFIG_FILE} or add a health script)`);
+  issues.push(...checks.productionBlockers);
+
+  return issues;
+}
+
+module.exports = {
+  id: 'deployment',
+  name: 'Deployment Gate',
+  weight: 20,
+  critical: true,
+
+  async evaluate(context) {
+    const checks = {};
+
+    // Package.json and scripts
+    checks.hasPackageJson = context.exists('package.json');
+    checks.hasBuildScript = !!context.config.commands.build;
+    checks.hasStartScript = checkStartScript(context);
+
+    // Deployment configuration
+    checks.deployTarget = context.config.deploy.target;
+    checks.hasDeploymentConfig = checkDeploymentConfig(context);
+    checks.hasDockerfile = context.exists('Dockerfile');
+
+    // Environment configuration
+    checks.hasEnvConfig = checkEnvironmentConfig(context);
+
+    // Health checks
+    checks.hasHealthCheck = checkHealthCheckScript(context);
+
+    // Production readiness (deployment blockers from package.json)
+    checks.productionBlockers = getProductionBlockers(context);
+    checks.prodReady = checks.productionBlockers.length === 0;
+
+    // Calculate deployment score over the checks that apply (null = not applicable)
+    const applicable = [
+      checks.hasPackageJson,
+      checks.hasBuildScript,
+      checks.hasStartScript,
+      checks.hasDeploymentConfig,
+      checks.hasEnvConfig,
+      checks.hasHealthCheck,
+      checks.prodReady
+    ].filter(check => check !== null);
+
+    return {
+      score: (applicable.filter(Boolean).length / applicable.length) * 100,
+      checks,
+      issues: collectIssues(checks)
+    };
+  }
+};
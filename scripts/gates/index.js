@@ -0,0 +1,11 @@
+/**
+ * Built-in quality gates, in evaluation order
+ */
+
+module.exports = [
+  require('./security'),
+  require('./stability'),
+  require('./performance'),
+  require('./contract'),
+  require('./deployment')
+];
@@ -0,0 +1,81 @@
+/**
+ * Performance Gate - Build output size, build time and dependency footprint (non-critical)
+ */
+
+const BUILD_OUTPUT_DIRS = ['dist', 'build', '.next', 'out', '.output'];
+
+const budgets = {
+  outputSize: 5 * 1024 * 1024, // 5MB
+  buildTime: 300, // 5 minutes
+  dependencyCount: 1500 // resolved packages in the lockfile
+};
+
+function formatBytes(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function checkBundleSize(context) {
+  const outputDir = BUILD_OUTPUT_DIRS.find(dir => context.exists(dir));
+  return outputDir ? context.getDirectorySize(context.resolve(outputDir)) : null;
+}
+
+function countDependencies(context) {
+  const lockfile = context.readLockfile();
+  return lockfile ? lockfile.packages.length : null;
+}
+
+function checkLazyLoading(context) {
+  if (context.config.type === 'library') return null;
+  return context.sourceContains(/\bimport\s*\(|\blazy\s*\(|next\/dynamic/);
+}
+
+module.exports = {
+  id: 'performance',
+  name: 'Performance Gate',
+  weight: 15,
+  critical: false,
+  threshold: 70, // Lower threshold for performance
+  budgets,
+
+  async evaluate(context) {
+    const checks = {};
+    const issues = [];
+
+    // Build time (runs the build first, so the output size below is fresh)
+    const build = context.runBuild();
+    checks.buildTime = build?.passed ? build.seconds : null;
+
+    // Bundle size check (built output directory)
+    checks.bundleSize = checkBundleSize(context);
+
+    // Dependencies count
+    checks.dependencyCount = countDependencies(context);
+
+    // Lazy loading
+    checks.hasLazyLoading = checkLazyLoading(context);
+
+    // Performance scoring, assuming good performance unless proven otherwise
+    let score = 85;
+
+    if (checks.bundleSize > budgets.outputSize) {
+      score -= 15;
+      issues.push(`Build output is ${formatBytes(checks.bundleSize)} (budget ${formatBytes(budgets.outputSize)})`);
+    }
+
+    if (checks.buildTime > budgets.buildTime) {
+      score -= 10;
+      issues.push(`Build took ${Math.round(checks.buildTime)}s (budget ${budgets.buildTime}s)`);
+    }
+
+    if (checks.dependencyCount > budgets.dependencyCount) {
+      score -= 5;
+      issues.push(`${checks.dependencyCount} resolved dependencies in the lockfile (budget ${budgets.dependencyCount})`);
+    }
+
+    if (checks.dependencyCount === null) {
+      issues.push('No lockfile, so dependency versions are not pinned');
+    }
+
+    return { score: Math.max(0, score), checks, issues };
+  }
+};
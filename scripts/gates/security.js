@@ -0,0 +1,149 @@
+/**
+ * Security Gate - Secrets hygiene, dependency vulnerabilities, HTTPS and authentication
+ */
+
+const { auditServiceSync, describeAdvisorySource } = require('../dependency-audit');
+const { loadSecurityExceptions, applySecurityExceptions, describeException, toSuppression } = require('../security-exceptions');
+const { scanSecrets, loadSecretsBaseline, describeFinding, toSuppression: toSecretSuppression } = require('../secret-scanner');
+
+const AUTH_PACKAGES = ['@burnt-labs/abstraxion', 'next-auth', '@auth', 'jsonwebtoken', 'jose', '@clerk', 'passport'];
+
+function checkSecureGitignore(context) {
+  if (!context.exists('.gitignore')) return false;
+
+  const content = context.readFile('.gitignore');
+  const requiredPatterns = ['.env', '*.key', '*.pem', 'node_modules'];
+
+  return requiredPatterns.every(pattern => content.includes(pattern));
+}
+
+/**
+ * Committed secrets in the service, less those accepted in the secrets baseline
+ */
+function checkForHardcodedSecrets(context) {
+  const baseline = loadSecretsBaseline();
+  const { findings, baselined } = scanSecrets(context.servicePath, { baseline });
+
+  return {
+    findings: findings.map(describeFinding),
+    suppressed: baselined.map(finding => ({
+      message: describeFinding(finding),
+      suppression: toSecretSuppression(finding.entry, baseline.file)
+    }))
+  };
+}
+
+/**
+ * Known vulnerabilities in the service's dependencies, less those accepted in the
+ * security exceptions file. Throws when no advisory source could answer, which fails
+ * the gate rather than pass it on no data.
+ */
+function checkVulnerabilities(context) {
+  const { advisories, source } = auditServiceSync(context.servicePath);
+  const exceptions = loadSecurityExceptions();
+  const { advisories: active, suppressed, expired } = applySecurityExceptions(advisories, context.servicePath, exceptions);
+
+  return {
+    count: active.length,
+    source: source && describeAdvisorySource(source),
+    expired,
+    suppressed: suppressed.map(({ id, package: name, exception }) => ({
+      message: `${id} in ${name}`,
+      suppression: toSuppression(exception, exceptions.file)
+    }))
+  };
+}
+
+function findPlainHttpUrls(context) {
+  return context.findSourceMatches(/http:\/\/(?!localhost|127\.0\.0\.1|0\.0\.0\.0|\[::1\]|www\.w3\.org|schemas\.)[a-z0-9-]+\.[a-z0-9.-]+/i, 5);
+}
+
+function checkAuthImplementation(context) {
+  // Authentication only matters for services that expose an API
+  if (context.config.type === 'library' || !context.config.contract) return null;
+
+  const pkg = context.readPackageJson();
+  const deps = Object.keys({ ...pkg?.dependencies, ...pkg?.devDependencies });
+  if (deps.some(dep => AUTH_PACKAGES.some(authPackage => dep === authPackage || dep.startsWith(`${authPackage}/`)))) {
+    return true;
+  }
+
+  return context.sourceContains(/['"`]authorization['"`]|\bAuthorization\b|verifyJwt|jwtVerify/i);
+}
+
+function collectIssues(checks) {
+  const issues = [];
+
+  if (!checks.hasSecurityPolicy) issues.push('Missing SECURITY.md security policy');
+  if (!checks.secureGitignore) issues.push('.gitignore must exclude .env, *.key, *.pem and node_modules');
+  if (!checks.hasEnvExample) issues.push('Missing .env.example documenting required environment variables');
+  checks.secretFindings.forEach(finding => issues.push(`Committed secret: ${finding}`));
+  if (checks.vulnerabilityCount > 0) issues.push(`${checks.vulnerabilityCount} known vulnerabilities in dependencies (${checks.advisorySource})`);
+  checks.expiredExceptions.forEach(exception => issues.push(`Security exception expired: ${exception}`));
+  if (!checks.httpsEnforced) issues.push(`Plain http:// URLs in ${checks.plainHttpFiles.join(', ')}`);
+  if (checks.hasAuth === false) issues.push('Service exposes an API but no authentication library or Authorization header handling was found');
+
+  return issues;
+}
+
+module.exports = {
+  id: 'security',
+  name: 'Security Gate',
+  weight: 25,
+  critical: true,
+
+  async evaluate(context) {
+    const checks = {};
+
+    // Security policy check
+    checks.hasSecurityPolicy = context.exists('SECURITY.md');
+
+    // Gitignore security
+    checks.secureGitignore = checkSecureGitignore(context);
+
+    // Environment variables
+    checks.hasEnvExample = context.exists('.env.example');
+    const secrets = checkForHardcodedSecrets(context);
+    checks.secretFindings = secrets.findings;
+    checks.noHardcodedSecrets = secrets.findings.length === 0;
+
+    // Dependencies security
+    const vulnerabilities = checkVulnerabilities(context);
+    checks.vulnerabilityCount = vulnerabilities.count;
+    checks.suppressedVulnerabilities = vulnerabilities.suppressed.map(({ message }) => message);
+    checks.expiredExceptions = vulnerabilities.expired.map(describeException);
+    checks.advisorySource = vulnerabilities.source;
+    checks.hasSecurityAudit = checks.vulnerabilityCount === 0;
+
+    // HTTPS enforcement
+    checks.plainHttpFiles = findPlainHttpUrls(context);
+    checks.httpsEnforced = checks.plainHttpFiles.length === 0;
+
+    // Authentication/Authorization (null when the service exposes no API)
+    checks.hasAuth = checkAuthImplementation(context);
+
+    // Calculate security score over the checks that apply
+    const applicable = [
+      checks.hasSecurityPolicy,
+      checks.secureGitignore,
+      checks.hasEnvExample,
+      checks.noHardcodedSecrets,
+      checks.hasSecurityAudit,
+      checks.httpsEnforced,
+      checks.hasAuth
+    ].filter(check => check !== null);
+    const baseScore = (applicable.filter(Boolean).length / applicable.length) * 100;
+
+    // Penalty for vulnerabilities
+    const vulnPenalty = Math.min(checks.vulnerabilityCount * 5, 30);
+
+    return {
+      score: Math.max(0, baseScore - vulnPenalty),
+      checks,
+      issues: collectIssues(checks),
+      // An expired exception fails the gate whatever the score
+      passed: checks.expiredExceptions.length > 0 ? false : undefined,
+      suppressed: [...vulnerabilities.suppressed, ...secrets.suppressed]
+    };
+  }
+};
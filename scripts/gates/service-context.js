@@ -0,0 +1,182 @@
+/**
+ * Service context - What a quality gate's evaluate() gets to inspect a service
+ * One context is created per service evaluation, so expensive work (builds,
+ * source listings) is shared between gates.
+ */
+
+const { runSync, logger } = require('../utils');
+const { readLockfile } = require('../lockfile');
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.vue', '.svelte'];
+const IGNORED_SOURCE_DIRS = ['node_modules', '.git', 'dist', 'build', '.next', 'out', '.output', 'coverage', '.turbo', '.wrangler', '.expo', 'ios', 'android'];
+const SOURCE_FILE_LIMIT = 5000;
+
+class ServiceContext {
+  /**
+   * @param {string} servicePath - Service directory
+   * @param {object} config - Resolved xion-service.json (see service-config.js)
+   * @param {object} policy - Gates and thresholds that apply to this service
+   * @param {object} options - { build: false } skips running the build
+   */
+  constructor(servicePath, config, policy, options = {}) {
+    this.servicePath = servicePath;
+    this.config = config;
+    this.policy = policy;
+
+    // Builds only run when the service's dependencies are installed
+    this.buildEnabled = options.build !== false;
+    this.buildTimeout = options.buildTimeout || 10 * 60 * 1000;
+
+    this.buildResult = undefined;
+    this.sourceFiles = null;
+    this.packageJson = undefined;
+  }
+
+  resolve(...segments) {
+    return path.join(this.servicePath, ...segments);
+  }
+
+  exists(file) {
+    return fs.existsSync(this.resolve(file));
+  }
+
+  readFile(file) {
+    return fs.readFileSync(this.resolve(file), 'utf8');
+  }
+
+  readPackageJson() {
+    if (this.packageJson === undefined) {
+      try {
+        this.packageJson = JSON.parse(this.readFile('package.json'));
+      } catch (error) {
+        this.packageJson = null;
+      }
+    }
+    return this.packageJson;
+  }
+
+  readLockfile() {
+    return readLockfile(this.servicePath);
+  }
+
+  listSourceFiles() {
+    if (this.sourceFiles) return this.sourceFiles;
+
+    const files = [];
+    const walk = (dir) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (files.length >= SOURCE_FILE_LIMIT) return;
+        const fullPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory() && !IGNORED_SOURCE_DIRS.includes(entry.name)) {
+          walk(fullPath);
+        } else if (entry.isFile() && SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+          files.push(fullPath);
+        }
+      }
+    };
+
+    walk(this.servicePath);
+    this.sourceFiles = files;
+    return files;
+  }
+
+  /**
+   * Source files (relative to the service) whose content matches pattern
+   */
+  findSourceMatches(pattern, limit = Infinity) {
+    const matches = [];
+
+    for (const file of this.listSourceFiles()) {
+      try {
+        if (fs.statSync(file).size > 512 * 1024) continue;
+        if (pattern.test(fs.readFileSync(file, 'utf8'))) {
+          matches.push(path.relative(this.servicePath, file));
+          if (matches.length >= limit) break;
+        }
+      } catch (error) {
+        // Unreadable files don't count as matches
+      }
+    }
+
+    return matches;
+  }
+
+  sourceContains(pattern) {
+    return this.findSourceMatches(pattern, 1).length > 0;
+  }
+
+  getDirectorySize(dir) {
+    let size = 0;
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        // Next.js keeps its build cache inside the output directory
+        if (entry.name === 'cache' && path.basename(dir) === '.next') continue;
+        size += this.getDirectorySize(fullPath);
+      } else if (entry.isFile()) {
+        size += fs.statSync(fullPath).size;
+      }
+    }
+
+    return size;
+  }
+
+  getStableTags() {
+    const { stdout: tags } = runSync('git', ['tag', '-l', '--sort=-version:refname'], { cwd: this.servicePath, reject: false });
+
+    return tags.trim().split('\n').filter(tag => /^v?\d+\.\d+\.\d+$/.test(tag));
+  }
+
+  /**
+   * Run the build command once and remember the outcome, so stability
+   * (did it pass) and performance (how long) share one build.
+   * Returns null when builds are disabled, there is nothing to build, or the
+   * service's dependencies aren't installed (a build would only fail on them).
+   */
+  runBuild() {
+    const command = this.config.commands.build;
+    if (!this.buildEnabled || !command) return null;
+    if (this.buildResult !== undefined) return this.buildResult;
+
+    // Yarn Plug'n'Play installs without a node_modules directory
+    if (this.readPackageJson() && !this.exists('node_modules') && !this.exists('.pnp.cjs')) {
+      logger.substep(`Skipping build of ${this.servicePath}: dependencies are not installed (install them to check the build)`);
+      this.buildResult = null;
+      return null;
+    }
+
+    logger.substep(`Building ${this.servicePath}: ${command}`);
+    const startedAt = Date.now();
+    const result = { passed: true, error: null, seconds: 0 };
+
+    // The build command is a command line from xion-service.json, so it runs in a shell.
+    // It only produces build output, so it still runs under a dry run.
+    const { error } = runSync('sh', ['-c', command], { cwd: this.servicePath, timeout: this.buildTimeout, reject: false, readOnly: true });
+    if (error) {
+      result.passed = false;
+      if (error.timedOut || error.signal === 'SIGTERM') {
+        result.error = `\`${command}\` timed out after ${this.buildTimeout / 1000}s`;
+      } else {
+        const lastLine = `${error.stderr || error.stdout || ''}`.trim().split('\n').pop();
+        result.error = `\`${command}\` exited with code ${error.code}${lastLine ? `: ${lastLine}` : ''}`;
+      }
+    }
+
+    result.seconds = (Date.now() - startedAt) / 1000;
+    this.buildResult = result;
+    return result;
+  }
+}
+
+module.exports = { ServiceContext, SOURCE_EXTENSIONS };
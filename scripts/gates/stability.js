@@ -0,0 +1,114 @@
+/**
+ * Stability Gate - Release tags, tests and coverage, build health, rollback and health endpoint
+ */
+
+const { runSync } = require('../utils');
+const { SERVICE_CONFIG_FILE } = require('../service-config');
+const { SOURCE_EXTENSIONS } = require('./service-context');
+const path = require('path');
+
+function checkStableTag(context) {
+  try {
+    const { stdout } = runSync('git', ['tag', '-l', '--sort=-version:refname'], { cwd: context.servicePath, reject: false });
+    const latestTag = stdout.split('\n')[0].trim();
+    return /^v?\d+\.\d+\.\d+$/.test(latestTag);
+  } catch (error) {
+    return false;
+  }
+}
+
+function checkTestExistence(context) {
+  return context.exists('tests') ||
+    context.exists('__tests__') ||
+    context.listSourceFiles().some(file => /\.(test|spec)\.[cm]?[jt]sx?$/.test(file));
+}
+
+function getTestCoverage(context) {
+  // istanbul / c8 "json-summary" reporter output
+  const summaryFile = path.join('coverage', 'coverage-summary.json');
+  if (!context.exists(summaryFile)) return null;
+
+  try {
+    const { total } = JSON.parse(context.readFile(summaryFile));
+    const pct = total?.lines?.pct ?? total?.statements?.pct;
+    return typeof pct === 'number' ? pct : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function checkErrorHandling(context) {
+  const errorPages = ['app/error', 'app/global-error', 'src/app/error', 'pages/_error', 'src/pages/_error'];
+  const hasErrorPage = errorPages.some(page => SOURCE_EXTENSIONS.some(ext => context.exists(`${page}${ext}`)));
+
+  return hasErrorPage || context.sourceContains(/ErrorBoundary|componentDidCatch|\bcatch\s*\(/);
+}
+
+function checkHealthEndpoint(context) {
+  if (context.config.declared.health?.url) return true;
+  return context.sourceContains(/['"`]\/(health|healthz|api\/health)['"`/?]/);
+}
+
+function collectIssues(checks) {
+  const issues = [];
+
+  if (!checks.hasStableTag) issues.push('No stable release tag (vX.Y.Z)');
+  if (!checks.hasTests) issues.push('No tests found (tests/, __tests__ or *.test.* / *.spec.* files)');
+  if (checks.testCoverage === null) {
+    issues.push('No coverage report at coverage/coverage-summary.json (use the json-summary reporter)');
+  } else if (checks.testCoverage < 80) {
+    issues.push(`Line coverage is ${checks.testCoverage}%`);
+  }
+  if (checks.buildPasses === false) issues.push(`Build failed: ${checks.buildError}`);
+  if (!checks.hasErrorHandling) issues.push('No error handling found (error page, error boundary or try/catch)');
+  if (!checks.canRollback) issues.push('Fewer than two stable tags, so there is no version to roll back to');
+  if (!checks.hasHealthEndpoint) issues.push(`No health endpoint (serve /health or set health.url in ${SERVICE_CONFIG_FILE})`);
+
+  return issues;
+}
+
+module.exports = {
+  id: 'stability',
+  name: 'Stability Gate',
+  weight: 20,
+  critical: true,
+
+  async evaluate(context) {
+    const checks = {};
+    const stableTags = context.getStableTags();
+
+    // Release tagging
+    checks.hasStableTag = checkStableTag(context);
+    checks.tagVersion = checks.hasStableTag ? stableTags[0] || null : null;
+
+    // Test coverage
+    checks.hasTests = checkTestExistence(context);
+    checks.testCoverage = getTestCoverage(context);
+
+    // Build stability (null when the build was skipped or there is nothing to build)
+    const build = context.runBuild();
+    checks.buildPasses = build ? build.passed : null;
+    checks.buildError = build?.error || null;
+
+    // Error handling
+    checks.hasErrorHandling = checkErrorHandling(context);
+
+    // Rollback capability
+    checks.canRollback = stableTags.length >= 2;
+
+    // Health checks
+    checks.hasHealthEndpoint = checkHealthEndpoint(context);
+
+    // Calculate stability score
+    let score = 0;
+    score += checks.hasStableTag ? 20 : 0;
+    score += checks.hasTests ? 15 : 0;
+    score += ((checks.testCoverage || 0) / 100) * 20;
+    score += checks.buildPasses !== false ? 15 : 0;
+    score += checks.hasErrorHandling ? 10 : 0;
+    score += checks.canRollback ? 10 : 0;
+    score += checks.hasHealthEndpoint ? 10 : 0;
+
+    return { score, checks, issues: collectIssues(checks) };
+  }
+};
@@ -0,0 +1,191 @@
+/**
+ * Lockfile reader - Resolved packages from npm, pnpm and yarn lockfiles
+ * Supports package-lock.json v1-v3, pnpm-lock.yaml v5-v9, yarn classic and yarn berry
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { packageUtils } = require('./utils');
+
+/**
+ * Whether a yarn.lock was written by yarn 2+ (berry) rather than yarn classic
+ */
+function isYarnBerryLock(content) {
+  return content.includes('__metadata:');
+}
+
+/**
+ * Find the lockfile of the service's package manager (see packageUtils.detectPackageManager)
+ */
+function findLockfile(servicePath) {
+  const manager = packageUtils.detectPackageManager(servicePath);
+  const lockfilePath = path.join(servicePath, packageUtils.LOCKFILES[manager]);
+  return fs.existsSync(lockfilePath) ? { path: lockfilePath, manager } : null;
+}
+
+function parsePackageLock(content) {
+  const lock = JSON.parse(content);
+  const packages = [];
+
+  if (lock.packages) {
+    // v2/v3: flat map keyed by install path
+    for (const [installPath, entry] of Object.entries(lock.packages)) {
+      if (!installPath || entry.link || !entry.version) continue;
+      const name = entry.name || installPath.slice(installPath.lastIndexOf('node_modules/') + 'node_modules/'.length);
+      packages.push({ name, version: entry.version, dev: Boolean(entry.dev) });
+    }
+    return packages;
+  }
+
+  // v1: nested dependency tree
+  const walk = (dependencies = {}) => {
+    for (const [name, entry] of Object.entries(dependencies)) {
+      if (entry.version && !entry.version.startsWith('file:')) {
+        packages.push({ name, version: entry.version, dev: Boolean(entry.dev) });
+      }
+      walk(entry.dependencies);
+    }
+  };
+  walk(lock.dependencies);
+
+  return packages;
+}
+
+function parsePnpmLock(content) {
+  const YAML = require('yaml');
+  const lock = YAML.parse(content) || {};
+  const packages = [];
+
+  for (const [key, entry] of Object.entries(lock.packages || {})) {
+    // v6+: /name@1.2.3(peer@1.0.0) or name@1.2.3; v5: /name/1.2.3_peer@1.0.0
+    const match = key.match(/^\/?((?:@[^/@]+\/)?[^/@]+)@([^(]+)/) ||
+      key.match(/^\/((?:@[^/]+\/)?[^/]+)\/([^_/]+)/);
+    if (!match) continue;
+
+    packages.push({ name: match[1], version: entry?.version || match[2], dev: Boolean(entry?.dev) });
+  }
+
+  return packages;
+}
+
+function getSpecName(spec) {
+  const unquoted = spec.trim().replace(/^"|"$/g, '');
+  const at = unquoted.indexOf('@', 1);
+  return at === -1 ? unquoted : unquoted.slice(0, at);
+}
+
+function parseYarnClassicLock(content) {
+  const packages = [];
+  let currentName = null;
+
+  for (const line of content.split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+
+    if (!line.startsWith(' ') && line.endsWith(':')) {
+      currentName = getSpecName(line.slice(0, -1).split(',')[0]);
+      continue;
+    }
+
+    const version = line.match(/^ {2}version "?([^"]+)"?$/);
+    if (version && currentName) {
+      packages.push({ name: currentName, version: version[1], dev: false });
+      currentName = null;
+    }
+  }
+
+  return packages;
+}
+
+function parseYarnBerryLock(content) {
+  const YAML = require('yaml');
+  const lock = YAML.parse(content) || {};
+  const packages = [];
+
+  for (const [key, entry] of Object.entries(lock)) {
+    if (key === '__metadata' || !entry?.version) continue;
+
+    const resolution = entry.resolution || key.split(',')[0];
+    if (/@(workspace|link|portal|file):/.test(resolution)) continue;
+
+    packages.push({ name: getSpecName(resolution), version: entry.version, dev: false });
+  }
+
+  return packages;
+}
+
+/**
+ * Read the resolved packages of a service's lockfile.
+ * Returns null when the service has no lockfile; throws when it can't be parsed.
+ */
+function readLockfile(servicePath) {
+  const lockfile = findLockfile(servicePath);
+  if (!lockfile) return null;
+
+  const content = fs.readFileSync(lockfile.path, 'utf8');
+  let format = lockfile.manager;
+  let packages;
+
+  try {
+    if (lockfile.manager === 'npm') {
+      packages = parsePackageLock(content);
+    } else if (lockfile.manager === 'pnpm') {
+      packages = parsePnpmLock(content);
+    } else if (isYarnBerryLock(content)) {
+      format = 'yarn-berry';
+      packages = parseYarnBerryLock(content);
+    } else {
+      format = 'yarn-classic';
+      packages = parseYarnClassicLock(content);
+    }
+  } catch (error) {
+    throw new Error(`Failed to parse ${lockfile.path}: ${error.message}`);
+  }
+
+  // The same version can be installed at several paths; keep one entry each
+  const unique = new Map();
+  for (const pkg of packages) {
+    const key = `${pkg.name}@${pkg.version}`;
+    const existing = unique.get(key);
+    unique.set(key, existing ? { ...existing, dev: existing.dev && pkg.dev } : pkg);
+  }
+
+  return { path: lockfile.path, manager: lockfile.manager, format, packages: [...unique.values()] };
+}
+
+/**
+ * Packages whose resolved versions differ between two readLockfile() results:
+ * [{ name, from: [versions], to: [versions] }], sorted by name. An empty from is an
+ * added package, an empty to a removed one.
+ */
+function diffLockfiles(before, after) {
+  const versionsByName = lockfile => {
+    const versions = new Map();
+    for (const { name, version } of lockfile?.packages || []) {
+      versions.set(name, [...(versions.get(name) || []), version]);
+    }
+    return versions;
+  };
+
+  const old = versionsByName(before);
+  const current = versionsByName(after);
+  const changes = [];
+
+  for (const name of new Set([...old.keys(), ...current.keys()])) {
+    const from = old.get(name) || [];
+    const to = current.get(name) || [];
+    const removed = from.filter(version => !to.includes(version)).sort();
+    const added = to.filter(version => !from.includes(version)).sort();
+    if (removed.length > 0 || added.length > 0) {
+      changes.push({ name, from: removed, to: added });
+    }
+  }
+
+  return changes.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  findLockfile,
+  isYarnBerryLock,
+  readLockfile,
+  diffLockfiles
+};
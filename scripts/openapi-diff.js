@@ -0,0 +1,630 @@
+/**
+ * OpenAPI diff - Structural comparison of two OpenAPI 3.x / Swagger 2.0 documents
+ *
+ * Both documents are normalized into an operation model (parameters, request
+ * bodies, responses) and compared semantically. Every finding is classified:
+ *   breaking       existing clients can fail (removed operation, new required field, narrowed enum...)
+ *   non-breaking   additive changes existing clients keep working with
+ *   informational  worth knowing, but not a compatibility concern on its own
+ *
+ * Findings carry a JSON pointer (RFC 6901) into the new document, or into the
+ * old one for things that were removed.
+ */
+
+const path = require('path');
+
+const SEVERITIES = ['breaking', 'non-breaking', 'informational'];
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+const MAX_SCHEMA_DEPTH = 32;
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function pointer(base, ...segments) {
+  return segments.reduce((result, segment) => `${result}/${escapePointer(segment)}`, base);
+}
+
+function resolvePointer(document, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) return undefined;
+
+  return ref.slice(1).split('/').slice(1)
+    .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, segment) => (node === undefined || node === null ? undefined : node[segment]), document);
+}
+
+/**
+ * Parse an OpenAPI or Swagger document from JSON or YAML.
+ * Returns null when the content is not an OpenAPI/Swagger document; throws when it can't be parsed.
+ */
+function parseOpenApi(content, file = '') {
+  const extension = path.extname(file).toLowerCase();
+  let document;
+
+  if (extension === '.json' || (!extension && content.trim().startsWith('{'))) {
+    document = JSON.parse(content);
+  } else {
+    const YAML = require('yaml');
+    document = YAML.parse(content);
+  }
+
+  if (!document || typeof document !== 'object') return null;
+  if (typeof document.openapi !== 'string' && typeof document.swagger !== 'string') return null;
+
+  return document;
+}
+
+/**
+ * Follow local $refs. Returns { node, pointer } where pointer is where the
+ * resolved node actually lives, so findings point at the component, not the reference.
+ */
+function deref(document, node, nodePointer) {
+  const seen = new Set();
+
+  while (node && typeof node.$ref === 'string' && !seen.has(node.$ref)) {
+    seen.add(node.$ref);
+    const target = resolvePointer(document, node.$ref);
+    if (target === undefined) break;
+
+    nodePointer = node.$ref.slice(1);
+    node = target;
+  }
+
+  return { node, pointer: nodePointer };
+}
+
+/**
+ * Merge allOf members into one schema so their properties and required lists compare as a whole
+ */
+function flattenSchema(document, schema, schemaPointer) {
+  const resolved = deref(document, schema, schemaPointer);
+  const node = resolved.node;
+  if (!node || typeof node !== 'object' || !Array.isArray(node.allOf)) return resolved;
+
+  const merged = { ...node, properties: { ...node.properties }, required: [...(node.required || [])] };
+  const propertyPointers = {};
+  delete merged.allOf;
+
+  node.allOf.forEach((member, index) => {
+    const part = flattenSchema(document, member, pointer(resolved.pointer, 'allOf', index));
+    if (!part.node || typeof part.node !== 'object') return;
+
+    for (const [name, property] of Object.entries(part.node.properties || {})) {
+      merged.properties[name] = property;
+      propertyPointers[name] = part.node.propertyPointers?.[name] || pointer(part.pointer, 'properties', name);
+    }
+    merged.required.push(...(part.node.required || []));
+    if (!merged.type && part.node.type) merged.type = part.node.type;
+  });
+
+  Object.defineProperty(merged, 'propertyPointers', { value: propertyPointers, enumerable: false });
+  return { node: merged, pointer: resolved.pointer };
+}
+
+function schemaTypes(schema) {
+  if (!schema || typeof schema !== 'object') return [];
+
+  const types = Array.isArray(schema.type) ? [...schema.type] : schema.type ? [schema.type] : [];
+  if (schema.nullable === true && !types.includes('null')) types.push('null');
+  if (types.length === 0 && schema.properties) types.push('object');
+  if (types.length === 0 && schema.items) types.push('array');
+
+  return types.sort();
+}
+
+// number accepts every integer
+function typeAccepts(types, type) {
+  return types.includes(type) || (type === 'integer' && types.includes('number'));
+}
+
+function formatValues(values) {
+  return values.map(value => JSON.stringify(value)).join(', ');
+}
+
+function normalizeTemplate(apiPath) {
+  return apiPath.replace(/\{[^}]+\}/g, '{}');
+}
+
+/**
+ * Normalize a document into { version, operations: Map<key, operation> }
+ */
+function buildModel(document) {
+  const isSwagger = typeof document.swagger === 'string';
+  const operations = new Map();
+
+  for (const [apiPath, pathItem] of Object.entries(document.paths || {})) {
+    const pathPointer = pointer('', 'paths', apiPath);
+    const resolvedPathItem = deref(document, pathItem, pathPointer);
+    if (!resolvedPathItem.node || typeof resolvedPathItem.node !== 'object') continue;
+
+    const templateNames = [...apiPath.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+
+    for (const method of HTTP_METHODS) {
+      const operation = resolvedPathItem.node[method];
+      if (!operation || typeof operation !== 'object') continue;
+
+      const operationPointer = pointer(resolvedPathItem.pointer, method);
+      const key = `${method.toUpperCase()} ${normalizeTemplate(apiPath)}`;
+
+      operations.set(key, {
+        key,
+        label: `${method.toUpperCase()} ${apiPath}`,
+        pointer: operationPointer,
+        deprecated: operation.deprecated === true,
+        ...collectParameters(document, resolvedPathItem, operation, operationPointer, templateNames, isSwagger),
+        responses: collectResponses(document, operation, operationPointer, isSwagger)
+      });
+    }
+  }
+
+  return { version: document.info?.version ?? null, operations };
+}
+
+function collectParameters(document, pathItem, operation, operationPointer, templateNames, isSwagger) {
+  const parameters = new Map();
+  let requestBody = null;
+
+  const sources = [
+    [pathItem.node.parameters, pointer(pathItem.pointer, 'parameters')],
+    [operation.parameters, pointer(operationPointer, 'parameters')]
+  ];
+
+  for (const [list, listPointer] of sources) {
+    (Array.isArray(list) ? list : []).forEach((parameter, index) => {
+      const resolved = deref(document, parameter, pointer(listPointer, index));
+      const node = resolved.node;
+      if (!node || typeof node !== 'object' || !node.name || !node.in) return;
+
+      if (isSwagger && node.in === 'body') {
+        const mediaTypes = operation.consumes || document.consumes || ['application/json'];
+        requestBody = {
+          required: node.required === true,
+          pointer: resolved.pointer,
+          content: Object.fromEntries(mediaTypes.map(mediaType => [
+            mediaType,
+            { schema: node.schema, pointer: pointer(resolved.pointer, 'schema') }
+          ]))
+        };
+        return;
+      }
+
+      // Path parameters are positional, so /users/{id} and /users/{userId} take the same argument
+      const position = node.in === 'path' ? templateNames.indexOf(node.name) : -1;
+      const key = position !== -1 ? `path:#${position}` : `${node.in}:${node.name}`;
+
+      // Swagger 2.0 describes non-body parameters inline instead of with a schema
+      const schema = node.schema || (isSwagger ? node : null);
+      const schemaPointer = node.schema ? pointer(resolved.pointer, 'schema') : resolved.pointer;
+
+      parameters.set(key, {
+        name: node.name,
+        in: node.in,
+        required: node.required === true,
+        deprecated: node.deprecated === true,
+        schema,
+        schemaPointer,
+        pointer: resolved.pointer
+      });
+    });
+  }
+
+  if (!isSwagger && operation.requestBody) {
+    const resolved = deref(document, operation.requestBody, pointer(operationPointer, 'requestBody'));
+    if (resolved.node && typeof resolved.node === 'object') {
+      requestBody = {
+        required: resolved.node.required === true,
+        pointer: resolved.pointer,
+        content: Object.fromEntries(Object.entries(resolved.node.content || {}).map(([mediaType, media]) => [
+          mediaType,
+          { schema: media?.schema, pointer: pointer(resolved.pointer, 'content', mediaType, 'schema') }
+        ]))
+      };
+    }
+  }
+
+  return { parameters, requestBody };
+}
+
+function collectResponses(document, operation, operationPointer, isSwagger) {
+  const responses = new Map();
+
+  for (const [status, response] of Object.entries(operation.responses || {})) {
+    const resolved = deref(document, response, pointer(operationPointer, 'responses', status));
+    if (!resolved.node || typeof resolved.node !== 'object') continue;
+
+    let content;
+    if (isSwagger) {
+      const mediaTypes = operation.produces || document.produces || ['application/json'];
+      content = resolved.node.schema
+        ? Object.fromEntries(mediaTypes.map(mediaType => [
+          mediaType,
+          { schema: resolved.node.schema, pointer: pointer(resolved.pointer, 'schema') }
+        ]))
+        : {};
+    } else {
+      content = Object.fromEntries(Object.entries(resolved.node.content || {}).map(([mediaType, media]) => [
+        mediaType,
+        { schema: media?.schema, pointer: pointer(resolved.pointer, 'content', mediaType, 'schema') }
+      ]));
+    }
+
+    responses.set(String(status), { pointer: resolved.pointer, content });
+  }
+
+  return responses;
+}
+
+class OpenApiDiff {
+  constructor(oldDocument, newDocument) {
+    this.oldDocument = oldDocument;
+    this.newDocument = newDocument;
+    this.findings = new Map();
+  }
+
+  /**
+   * Record a finding. The same schema change reached from several operations
+   * (through a shared component) is reported once, listing every operation.
+   */
+  add(severity, code, message, location, operation = null) {
+    const key = `${code}|${location}|${message}`;
+    const existing = this.findings.get(key);
+
+    if (existing) {
+      if (operation && !existing.operations.includes(operation)) existing.operations.push(operation);
+      return;
+    }
+
+    this.findings.set(key, { severity, code, message, pointer: location, operations: operation ? [operation] : [] });
+  }
+
+  run() {
+    const oldModel = buildModel(this.oldDocument);
+    const newModel = buildModel(this.newDocument);
+
+    if (oldModel.version !== newModel.version) {
+      this.add('informational', 'version-changed',
+        `API version changed from ${oldModel.version ?? 'none'} to ${newModel.version ?? 'none'}`, '/info/version');
+    }
+
+    for (const [key, oldOperation] of oldModel.operations) {
+      const newOperation = newModel.operations.get(key);
+      if (!newOperation) {
+        this.add('breaking', 'operation-removed', `Operation ${oldOperation.label} was removed`, oldOperation.pointer);
+        continue;
+      }
+      this.compareOperations(oldOperation, newOperation);
+    }
+
+    for (const [key, newOperation] of newModel.operations) {
+      if (!oldModel.operations.has(key)) {
+        this.add('non-breaking', 'operation-added', `Operation ${newOperation.label} was added`, newOperation.pointer);
+      }
+    }
+
+    return [...this.findings.values()].map(finding => {
+      const message = `${finding.message[0].toUpperCase()}${finding.message.slice(1)}`;
+      return { ...finding, message: finding.operations.length > 0 ? `${finding.operations.join(', ')}: ${message}` : message };
+    });
+  }
+
+  compareOperations(oldOperation, newOperation) {
+    const operation = newOperation.label;
+
+    if (!oldOperation.deprecated && newOperation.deprecated) {
+      this.add('informational', 'operation-deprecated', 'Operation is now deprecated', pointer(newOperation.pointer, 'deprecated'), operation);
+    }
+
+    this.compareParameters(oldOperation, newOperation, operation);
+    this.compareRequestBodies(oldOperation.requestBody, newOperation.requestBody, newOperation, operation);
+    this.compareResponses(oldOperation.responses, newOperation.responses, operation);
+  }
+
+  compareParameters(oldOperation, newOperation, operation) {
+    const removed = [...oldOperation.parameters].filter(([key]) => !newOperation.parameters.has(key));
+    const added = [...newOperation.parameters].filter(([key]) => !oldOperation.parameters.has(key));
+
+    for (const [, oldParameter] of removed) {
+      // A parameter removed and another added in the same place with the same type reads as a rename
+      const renamedTo = added.find(([, candidate]) => candidate.in === oldParameter.in &&
+        JSON.stringify(schemaTypes(deref(this.newDocument, candidate.schema).node)) ===
+        JSON.stringify(schemaTypes(deref(this.oldDocument, oldParameter.schema).node)));
+
+      if (renamedTo) {
+        added.splice(added.indexOf(renamedTo), 1);
+        this.add('breaking', 'parameter-renamed',
+          `${oldParameter.in} parameter "${oldParameter.name}" was renamed to "${renamedTo[1].name}"`, renamedTo[1].pointer, operation);
+      } else {
+        this.add('breaking', 'parameter-removed',
+          `${oldParameter.in} parameter "${oldParameter.name}" was removed`, oldParameter.pointer, operation);
+      }
+    }
+
+    for (const [, newParameter] of added) {
+      if (newParameter.required) {
+        this.add('breaking', 'required-parameter-added',
+          `Required ${newParameter.in} parameter "${newParameter.name}" was added`, newParameter.pointer, operation);
+      } else {
+        this.add('non-breaking', 'optional-parameter-added',
+          `Optional ${newParameter.in} parameter "${newParameter.name}" was added`, newParameter.pointer, operation);
+      }
+    }
+
+    for (const [key, oldParameter] of oldOperation.parameters) {
+      const newParameter = newOperation.parameters.get(key);
+      if (!newParameter) continue;
+
+      const label = `${newParameter.in} parameter "${newParameter.name}"`;
+      if (!oldParameter.required && newParameter.required) {
+        this.add('breaking', 'parameter-now-required', `${label} is now required`, pointer(newParameter.pointer, 'required'), operation);
+      } else if (oldParameter.required && !newParameter.required) {
+        this.add('non-breaking', 'parameter-now-optional', `${label} is now optional`, newParameter.pointer, operation);
+      }
+
+      if (!oldParameter.deprecated && newParameter.deprecated) {
+        this.add('informational', 'parameter-deprecated', `${label} is now deprecated`, pointer(newParameter.pointer, 'deprecated'), operation);
+      }
+
+      this.compareSchemas(oldParameter.schema, newParameter.schema, {
+        direction: 'request',
+        label,
+        oldPointer: oldParameter.schemaPointer,
+        newPointer: newParameter.schemaPointer,
+        operation
+      });
+    }
+  }
+
+  compareRequestBodies(oldBody, newBody, newOperation, operation) {
+    if (!oldBody && !newBody) return;
+
+    if (!oldBody) {
+      const severity = newBody.required ? 'breaking' : 'non-breaking';
+      this.add(severity, newBody.required ? 'required-request-body-added' : 'request-body-added',
+        `${newBody.required ? 'Required' : 'Optional'} request body was added`, newBody.pointer, operation);
+      return;
+    }
+
+    if (!newBody) {
+      this.add('informational', 'request-body-removed', 'Request body was removed', oldBody.pointer, operation);
+      return;
+    }
+
+    if (!oldBody.required && newBody.required) {
+      this.add('breaking', 'request-body-now-required', 'Request body is now required', pointer(newBody.pointer, 'required'), operation);
+    }
+
+    for (const [mediaType, oldMedia] of Object.entries(oldBody.content)) {
+      const newMedia = newBody.content[mediaType];
+      if (!newMedia) {
+        this.add('breaking', 'request-media-type-removed', `Request body no longer accepts ${mediaType}`, oldMedia.pointer, operation);
+        continue;
+      }
+
+      this.compareSchemas(oldMedia.schema, newMedia.schema, {
+        direction: 'request',
+        label: 'request body',
+        oldPointer: oldMedia.pointer,
+        newPointer: newMedia.pointer,
+        operation
+      });
+    }
+
+    for (const [mediaType, newMedia] of Object.entries(newBody.content)) {
+      if (!oldBody.content[mediaType]) {
+        this.add('non-breaking', 'request-media-type-added', `Request body now also accepts ${mediaType}`, newMedia.pointer, operation);
+      }
+    }
+  }
+
+  compareResponses(oldResponses, newResponses, operation) {
+    for (const [status, oldResponse] of oldResponses) {
+      const newResponse = newResponses.get(status);
+      if (!newResponse) {
+        this.add('breaking', 'response-status-removed', `Response ${status} was removed`, oldResponse.pointer, operation);
+        continue;
+      }
+
+      for (const [mediaType, oldMedia] of Object.entries(oldResponse.content)) {
+        const newMedia = newResponse.content[mediaType];
+        if (!newMedia) {
+          this.add('breaking', 'response-media-type-removed', `Response ${status} no longer returns ${mediaType}`, oldMedia.pointer, operation);
+          continue;
+        }
+
+        this.compareSchemas(oldMedia.schema, newMedia.schema, {
+          direction: 'response',
+          label: `response ${status}`,
+          oldPointer: oldMedia.pointer,
+          newPointer: newMedia.pointer,
+          operation
+        });
+      }
+
+      for (const [mediaType, newMedia] of Object.entries(newResponse.content)) {
+        if (!oldResponse.content[mediaType]) {
+          this.add('non-breaking', 'response-media-type-added', `Response ${status} now also returns ${mediaType}`, newMedia.pointer, operation);
+        }
+      }
+    }
+
+    for (const [status, newResponse] of newResponses) {
+      if (!oldResponses.has(status)) {
+        this.add('informational', 'response-status-added', `Response ${status} was added`, newResponse.pointer, operation);
+      }
+    }
+  }
+
+  /**
+   * Compare two schemas. direction decides what breaks clients: requests may
+   * only get more permissive, responses may only get more specific.
+   */
+  compareSchemas(oldSchema, newSchema, context, depth = 0, visited = new Set()) {
+    if (!oldSchema || !newSchema || depth > MAX_SCHEMA_DEPTH) return;
+
+    const oldResolved = flattenSchema(this.oldDocument, oldSchema, context.oldPointer);
+    const newResolved = flattenSchema(this.newDocument, newSchema, context.newPointer);
+    const oldNode = oldResolved.node;
+    const newNode = newResolved.node;
+    if (!oldNode || !newNode || typeof oldNode !== 'object' || typeof newNode !== 'object') return;
+
+    // Recursive schemas: each pair of locations only needs comparing once
+    const visitKey = `${context.direction}|${oldResolved.pointer}|${newResolved.pointer}`;
+    if (visited.has(visitKey)) return;
+    visited.add(visitKey);
+
+    const isRequest = context.direction === 'request';
+    const { label, operation } = context;
+    const at = newResolved.pointer;
+
+    // Type
+    const oldTypes = schemaTypes(oldNode);
+    const newTypes = schemaTypes(newNode);
+    if (oldTypes.length > 0 && newTypes.length > 0 && oldTypes.join() !== newTypes.join()) {
+      const widened = oldTypes.every(type => typeAccepts(newTypes, type));
+      const narrowed = newTypes.every(type => typeAccepts(oldTypes, type));
+      const compatible = isRequest ? widened : narrowed;
+      this.add(compatible ? 'non-breaking' : 'breaking', 'type-changed',
+        `Type of ${label} changed from ${oldTypes.join('|')} to ${newTypes.join('|')}`, pointer(at, 'type'), operation);
+    }
+
+    if (oldNode.format && newNode.format && oldNode.format !== newNode.format) {
+      this.add('informational', 'format-changed',
+        `Format of ${label} changed from ${oldNode.format} to ${newNode.format}`, pointer(at, 'format'), operation);
+    }
+
+    this.compareEnums(oldNode, newNode, context, at);
+
+    // Object properties
+    const oldProperties = oldNode.properties || {};
+    const newProperties = newNode.properties || {};
+    const oldRequired = new Set(oldNode.required || []);
+    const newRequired = new Set(newNode.required || []);
+    const propertyPointer = (resolved, name) =>
+      resolved.node.propertyPointers?.[name] || pointer(resolved.pointer, 'properties', name);
+
+    for (const name of Object.keys(oldProperties)) {
+      const fieldLabel = `${label} field "${name}"`;
+
+      if (!(name in newProperties)) {
+        if (isRequest) {
+          this.add('informational', 'request-field-removed', `${fieldLabel} was removed`, propertyPointer(oldResolved, name), operation);
+        } else {
+          this.add('breaking', 'response-field-removed', `${fieldLabel} was removed`, propertyPointer(oldResolved, name), operation);
+        }
+        continue;
+      }
+
+      const requiredPointer = pointer(at, 'required');
+      if (!oldRequired.has(name) && newRequired.has(name)) {
+        this.add(isRequest ? 'breaking' : 'non-breaking', 'field-now-required', `${fieldLabel} is now required`, requiredPointer, operation);
+      } else if (oldRequired.has(name) && !newRequired.has(name)) {
+        this.add(isRequest ? 'non-breaking' : 'breaking', 'field-now-optional', `${fieldLabel} is now optional`, requiredPointer, operation);
+      }
+
+      this.compareSchemas(oldProperties[name], newProperties[name], {
+        ...context,
+        label: fieldLabel,
+        oldPointer: propertyPointer(oldResolved, name),
+        newPointer: propertyPointer(newResolved, name)
+      }, depth + 1, visited);
+    }
+
+    for (const name of Object.keys(newProperties)) {
+      if (name in oldProperties) continue;
+
+      const fieldLabel = `${label} field "${name}"`;
+      if (isRequest && newRequired.has(name)) {
+        this.add('breaking', 'required-request-field-added', `Required ${fieldLabel} was added`, propertyPointer(newResolved, name), operation);
+      } else {
+        this.add('non-breaking', isRequest ? 'request-field-added' : 'response-field-added',
+          `${fieldLabel} was added`, propertyPointer(newResolved, name), operation);
+      }
+    }
+
+    // Array items
+    if (oldNode.items && newNode.items) {
+      this.compareSchemas(oldNode.items, newNode.items, {
+        ...context,
+        label: `${label} items`,
+        oldPointer: pointer(oldResolved.pointer, 'items'),
+        newPointer: pointer(newResolved.pointer, 'items')
+      }, depth + 1, visited);
+    }
+
+    for (const keyword of ['oneOf', 'anyOf']) {
+      const oldCount = Array.isArray(oldNode[keyword]) ? oldNode[keyword].length : 0;
+      const newCount = Array.isArray(newNode[keyword]) ? newNode[keyword].length : 0;
+      if (oldCount !== newCount) {
+        this.add('informational', `${keyword.toLowerCase()}-changed`,
+          `${label} ${keyword} alternatives changed from ${oldCount} to ${newCount}`, pointer(at, keyword), operation);
+      }
+    }
+  }
+
+  compareEnums(oldNode, newNode, { direction, label, operation }, at) {
+    const oldValues = Array.isArray(oldNode.enum) ? oldNode.enum : null;
+    const newValues = Array.isArray(newNode.enum) ? newNode.enum : null;
+    if (!oldValues && !newValues) return;
+
+    const isRequest = direction === 'request';
+    const enumPointer = pointer(at, 'enum');
+
+    if (!oldValues) {
+      this.add(isRequest ? 'breaking' : 'non-breaking', 'enum-added',
+        `${label} is now restricted to ${formatValues(newValues)}`, enumPointer, operation);
+      return;
+    }
+
+    if (!newValues) {
+      this.add(isRequest ? 'non-breaking' : 'informational', 'enum-removed',
+        `${label} is no longer restricted to ${formatValues(oldValues)}`, at, operation);
+      return;
+    }
+
+    const key = value => JSON.stringify(value);
+    const removed = oldValues.filter(value => !newValues.some(other => key(other) === key(value)));
+    const added = newValues.filter(value => !oldValues.some(other => key(other) === key(value)));
+
+    if (removed.length > 0) {
+      this.add(isRequest ? 'breaking' : 'non-breaking', 'enum-narrowed',
+        `${label} no longer allows ${formatValues(removed)}`, enumPointer, operation);
+    }
+    if (added.length > 0) {
+      // Clients switching over response values may not handle new ones
+      this.add(isRequest ? 'non-breaking' : 'informational', 'enum-widened',
+        `${label} now also allows ${formatValues(added)}`, enumPointer, operation);
+    }
+  }
+}
+
+/**
+ * Operations of a parsed document: [{ key, label }], where key is 'METHOD /path/{}'
+ * with path parameter names left out, so keys from different versions compare equal
+ */
+function listOperations(document) {
+  return [...buildModel(document).operations.values()].map(({ key, label }) => ({ key, label }));
+}
+
+/**
+ * Normalize 'get /users/{userId}' to the operation key listOperations() uses
+ */
+function operationKey(operation) {
+  const [method, apiPath = ''] = operation.trim().split(/\s+/);
+  return `${method.toUpperCase()} ${normalizeTemplate(apiPath)}`;
+}
+
+/**
+ * Diff two parsed OpenAPI/Swagger documents.
+ * Returns findings: [{ severity, code, message, pointer, operations }]
+ */
+function diffOpenApi(oldDocument, newDocument) {
+  return new OpenApiDiff(oldDocument, newDocument).run();
+}
+
+module.exports = {
+  SEVERITIES,
+  parseOpenApi,
+  listOperations,
+  operationKey,
+  diffOpenApi
+};
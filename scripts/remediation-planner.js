@@ -0,0 +1,487 @@
+/**
+ * Remediation planner - The smallest dependency updates that clear a service's advisories
+ *
+ * For each vulnerable installed version the plan picks the lowest version outside every
+ * advisory's vulnerable range, and one way to get there:
+ *   bump         raise the direct dependency's range in package.json, keeping ^, ~ or exact
+ *   override     pin just that installed version: npm "overrides" or pnpm "pnpm.overrides",
+ *                e.g. "minimist@1.2.0": "1.2.3"
+ *   resolution   yarn "resolutions", which pin every copy of the package
+ *   none         no fixed version is known, or the dependency is not a registry range
+ *
+ * A step is breaking when the new version is outside the caret range of a version it
+ * replaces (^1.2.0 for 1.2.0, ^0.3.1 for 0.3.1). Only non-breaking steps are applied
+ * unless allowBreaking is set.
+ *
+ * Applying a service's steps edits package.json, reinstalls, audits again and runs the
+ * service's build and test commands. When any of that fails, or the audit gets worse,
+ * the dependency files are restored; otherwise the change is committed.
+ */
+
+const path = require('path');
+const semver = require('semver');
+const { run, runSync, logger, fileUtils, packageUtils, icons } = require('./utils');
+const { readLockfile, diffLockfiles } = require('./lockfile');
+const { auditService } = require('./dependency-audit');
+const { loadSecurityExceptions, applySecurityExceptions } = require('./security-exceptions');
+const { loadServiceConfig } = require('./service-config');
+const { classifyUpdate } = require('./version-resolver');
+const { createReportDocument, getServiceLocation } = require('./report-formatters');
+
+// Files a remediation changes; a failed one is undone by restoring them
+const DEPENDENCY_FILES = ['package.json', 'package-lock.json', 'npm-shrinkwrap.json', 'pnpm-lock.yaml', 'yarn.lock'];
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+const VERIFY_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Least to most risky, for the riskiest update of a step that replaces several versions
+const UPDATE_RISK = ['same', 'prerelease', 'patch', 'minor', 'major', 'downgrade', 'unknown'];
+
+/**
+ * Dependency files with uncommitted changes in a repository: [{ file, untracked }]
+ */
+function getChangedDependencyFiles(repoPath) {
+  const { stdout } = runSync('git', ['status', '--porcelain', '--', ...DEPENDENCY_FILES], { cwd: repoPath, reject: false });
+  return stdout.split('\n').filter(Boolean).map(line => ({ file: line.slice(3), untracked: line.startsWith('??') }));
+}
+
+function readLockfileIfValid(servicePath) {
+  try {
+    return readLockfile(servicePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+function vulnerableRange(advisory) {
+  return advisory.vulnerableVersions ? semver.validRange(advisory.vulnerableVersions) : null;
+}
+
+function isVulnerable(version, advisory) {
+  const range = vulnerableRange(advisory);
+  if (range) return semver.satisfies(version, range, { includePrerelease: true });
+  return advisory.fixedIn ? semver.lt(version, advisory.fixedIn) : true;
+}
+
+/**
+ * The lowest version above installed that is outside the advisory's vulnerable range:
+ * its fixed-in version, or the upper bound of another part of the range
+ * (">=1.0.0 <1.2.3 || <0.2.1" is fixed in 1.2.3 for 1.x and 0.2.1 for 0.x). null when none is known.
+ */
+function findFixVersion(installed, advisory) {
+  const range = vulnerableRange(advisory);
+  const candidates = new Set(advisory.fixedIn ? [advisory.fixedIn] : []);
+
+  if (range) {
+    for (const comparators of new semver.Range(range).set) {
+      comparators.filter(comparator => comparator.operator === '<').forEach(comparator => candidates.add(comparator.semver.version));
+    }
+  }
+
+  return [...candidates]
+    .filter(version => semver.valid(version) && semver.gt(version, installed))
+    .filter(version => !range || !semver.satisfies(version, range, { includePrerelease: true }))
+    .sort(semver.compare)[0] || null;
+}
+
+/**
+ * Riskiest update type from any of versions to target, and whether any of them is breaking
+ */
+function classifyRisk(versions, target) {
+  const update = versions
+    .map(version => classifyUpdate(version, target))
+    .sort((a, b) => UPDATE_RISK.indexOf(b) - UPDATE_RISK.indexOf(a))[0];
+  const breaking = versions.some(version => !semver.satisfies(target, `^${version}`));
+  return { update, breaking };
+}
+
+function buildStep({ name, installed, advisories }, { pkg, manager, installedVersions, allowBreaking }) {
+  const fixes = advisories.map(advisory => installed.map(version => findFixVersion(version, advisory)));
+  const target = fixes.flat().filter(Boolean).sort(semver.rcompare)[0] || null;
+  const step = {
+    package: name,
+    installed,
+    target,
+    advisories: advisories.map(advisory => advisory.id),
+    unfixed: advisories.filter((advisory, index) => fixes[index].some(fix => !fix)).map(advisory => advisory.id),
+    update: null,
+    breaking: false,
+    strategy: 'none',
+    change: null,
+    status: 'no-fix',
+    reason: null,
+    cleared: null
+  };
+
+  if (!target) {
+    step.reason = 'No fixed version is known';
+    return step;
+  }
+
+  const section = DEPENDENCY_SECTIONS.find(candidate => pkg[candidate]?.[name]);
+  const spec = section && pkg[section][name];
+  const direct = section && semver.validRange(spec) && installed.some(version => semver.satisfies(version, spec));
+
+  if (section && !semver.validRange(spec)) {
+    step.status = 'manual';
+    step.reason = `${name} is declared as ${spec}, not a version range`;
+    return step;
+  }
+
+  // yarn resolutions replace every installed copy, vulnerable or not
+  const replaced = !direct && manager === 'yarn' ? installedVersions(name) : installed;
+  Object.assign(step, classifyRisk(replaced, target));
+
+  if (direct) {
+    const prefix = spec.match(/^[\^~]/)?.[0] ?? (semver.valid(spec) ? '' : '^');
+    step.strategy = 'bump';
+    step.change = { path: [section, name], from: spec, to: `${prefix}${target}` };
+  } else if (manager === 'yarn') {
+    step.strategy = 'resolution';
+    step.change = { path: ['resolutions', name], from: pkg.resolutions?.[name] ?? null, to: target };
+  } else {
+    const key = `${name}@${installed[0]}`;
+    const overrides = manager === 'pnpm' ? ['pnpm', 'overrides'] : ['overrides'];
+    step.strategy = 'override';
+    step.change = { path: [...overrides, key], from: overrides.reduce((object, part) => object?.[part], pkg)?.[key] ?? null, to: target };
+  }
+
+  if (step.breaking && !allowBreaking) {
+    step.status = 'breaking';
+    step.reason = `Breaking ${step.update} update; apply with --allow-breaking`;
+  } else {
+    step.status = 'planned';
+  }
+
+  return step;
+}
+
+/**
+ * Plan the updates that clear a service's advisories: { manager, steps }.
+ * Throws when the service has no lockfile, since the plan works from resolved versions.
+ */
+function planService(servicePath, advisories, { allowBreaking = false } = {}) {
+  const lockfile = readLockfile(servicePath);
+  if (!lockfile) {
+    throw new Error(`${servicePath} has no lockfile to plan against`);
+  }
+
+  const pkg = fileUtils.readJson(path.join(servicePath, 'package.json'));
+  const manager = lockfile.manager;
+  const installedVersions = name => lockfile.packages
+    .filter(entry => entry.name === name && semver.valid(entry.version))
+    .map(entry => entry.version);
+
+  // One group per vulnerable installed version; yarn pins whole packages, so one per package
+  const groups = new Map();
+  for (const advisory of advisories) {
+    for (const version of installedVersions(advisory.package).filter(version => isVulnerable(version, advisory))) {
+      const key = manager === 'yarn' ? advisory.package : `${advisory.package}@${version}`;
+      if (!groups.has(key)) groups.set(key, { name: advisory.package, installed: [], advisories: [] });
+
+      const group = groups.get(key);
+      if (!group.installed.includes(version)) group.installed.push(version);
+      if (!group.advisories.includes(advisory)) group.advisories.push(advisory);
+    }
+  }
+
+  const steps = [...groups.values()].map(group => buildStep(group, { pkg, manager, installedVersions, allowBreaking }));
+  return { manager, steps };
+}
+
+/**
+ * Install after package.json changed, letting the lockfile follow
+ */
+function getLockfileUpdateCommand(manager) {
+  const commands = {
+    npm: ['npm', 'install', '--no-audit', '--no-fund'],
+    pnpm: ['pnpm', 'install', '--no-frozen-lockfile'],
+    yarn: ['yarn', 'install']
+  };
+  return commands[manager] || commands.npm;
+}
+
+function applyChanges(servicePath, steps) {
+  const file = path.join(servicePath, 'package.json');
+  const pkg = fileUtils.readJson(file);
+
+  for (const { change } of steps) {
+    const parent = change.path.slice(0, -1).reduce((object, key) => (object[key] = object[key] || {}), pkg);
+    parent[change.path[change.path.length - 1]] = change.to;
+  }
+
+  fileUtils.writeJson(file, pkg);
+}
+
+class SecurityRemediation {
+  /**
+   * @param {object} options - { allowBreaking } also applies steps that are breaking
+   */
+  constructor(options = {}) {
+    this.allowBreaking = Boolean(options.allowBreaking);
+  }
+
+  /**
+   * Plan every vulnerable audit ([{ name, path, advisories, vulnerabilities }], see automation.js):
+   * [{ name, path, manager, before, steps, error }]
+   */
+  plan(audits) {
+    return audits.map(({ name, path: servicePath, advisories, vulnerabilities }) => {
+      const plan = { name, path: servicePath, manager: null, before: vulnerabilities, steps: [], error: null };
+      try {
+        Object.assign(plan, planService(servicePath, advisories, { allowBreaking: this.allowBreaking }));
+      } catch (error) {
+        plan.error = error.message;
+      }
+      return plan;
+    });
+  }
+
+  printPlans(plans) {
+    logger.header('📋 Remediation Plan');
+
+    for (const plan of plans) {
+      if (plan.error) {
+        logger.warning(`${plan.name}: can't plan (${plan.error})`);
+        continue;
+      }
+
+      console.log(`\n📦 ${plan.name} (${plan.manager})`);
+      console.table(plan.steps.map(step => ({
+        Package: step.package,
+        Installed: step.installed.join(', '),
+        Target: step.target || 'none',
+        Update: step.update || '-',
+        Breaking: step.breaking ? 'yes' : 'no',
+        Strategy: step.strategy,
+        Advisories: step.advisories.join(', '),
+        Applies: step.status === 'planned' ? '✅' : `⏭️ ${step.reason}`
+      })));
+    }
+  }
+
+  /**
+   * Apply the planned steps of each service, verify and commit or restore them:
+   * [{ name, path, manager, before, after, status, reason, steps, verification, files, packages }]
+   */
+  async remediate(plans) {
+    logger.step('Applying security fixes', icons.fix);
+    const results = [];
+
+    for (const plan of plans) {
+      results.push(await this.remediateService(plan));
+    }
+
+    const kept = results.filter(result => result.files.length > 0 && result.status !== 'reverted');
+    if (kept.length > 0) {
+      const paths = kept.flatMap(result => result.path === '.' ? result.files : [result.path]);
+      const details = kept.map(result => `- ${result.name}: ${result.before} → ${result.after} vulnerabilities`).join('\n');
+      await run('git', ['add', '--', ...paths], { stream: true });
+      await run('git', ['commit', '-m', `🔒 Apply security fixes across submodules\n\n${details}`], { stream: true });
+    }
+
+    this.printSummary(results);
+    return results;
+  }
+
+  async remediateService(plan) {
+    const { name, path: servicePath, manager } = plan;
+    const selected = plan.steps.filter(step => step.status === 'planned');
+
+    if (plan.error || selected.length === 0) {
+      return this.skip(plan, plan.error || 'No fix can be applied safely');
+    }
+    if (getChangedDependencyFiles(servicePath).length > 0) {
+      logger.warning(`${name}: dependency files have uncommitted changes, skipping`);
+      return this.skip(plan, 'Dependency files have uncommitted changes');
+    }
+
+    const result = { ...plan, after: plan.before, status: 'unchanged', reason: null, verification: [], files: [], packages: [] };
+
+    console.log(`🔧 Fixing ${name}...`);
+    const lockfileBefore = readLockfileIfValid(servicePath);
+    applyChanges(servicePath, selected);
+
+    const [command, ...args] = getLockfileUpdateCommand(manager);
+    // yarn 2+ refuses to change the lockfile in CI unless told it may
+    const install = await run(command, args, { cwd: servicePath, env: { YARN_ENABLE_IMMUTABLE_INSTALLS: 'false' }, stream: true, reject: false });
+
+    const changed = getChangedDependencyFiles(servicePath);
+    result.files = changed.map(change => change.file);
+    result.packages = diffLockfiles(lockfileBefore, readLockfileIfValid(servicePath));
+
+    let failure = install.error ? `${command} ${args[0]} failed: ${install.error.message}` : null;
+    if (!failure) {
+      const after = await this.audit(servicePath);
+      result.after = after && after.length;
+      if (after === null) {
+        failure = 'Could not audit the result';
+      } else if (result.after > result.before) {
+        failure = `Vulnerabilities went from ${result.before} to ${result.after}`;
+      } else {
+        const remaining = new Set(after.map(advisory => `${advisory.id}|${advisory.package}`));
+        selected.forEach(step => { step.cleared = step.advisories.every(id => !remaining.has(`${id}|${step.package}`)); });
+      }
+    }
+    if (!failure) {
+      result.verification = await this.verify(servicePath);
+      const failed = result.verification.find(check => !check.passed);
+      if (failed) failure = `${failed.name} failed: ${failed.error}`;
+    }
+
+    if (failure) {
+      await this.restore(servicePath, changed, manager);
+      logger.warning(`${name}: ${failure}, reverted ${result.files.join(', ') || 'package.json'}`);
+      selected.forEach(step => { step.status = 'reverted'; step.reason = failure; });
+      result.after = result.before;
+      result.status = 'reverted';
+      result.reason = failure;
+      return result;
+    }
+
+    selected.forEach(step => { step.status = 'applied'; });
+    result.status = result.after === 0 ? 'fixed' : result.after < result.before ? 'improved' : 'unchanged';
+
+    if (servicePath !== '.' && result.files.length > 0) {
+      const bumps = selected.map(step => `- ${step.package} ${step.installed.join(', ')} → ${step.target} (${step.update}, ${step.strategy})`).join('\n');
+      await run('git', ['add', '--', ...result.files], { cwd: servicePath, stream: true });
+      await run('git', ['commit', '-m', `🔒 Apply security fixes (automated)\n\nVulnerabilities: ${result.before} → ${result.after}\n${bumps}`], { cwd: servicePath, stream: true });
+    }
+
+    return result;
+  }
+
+  /**
+   * A plan left unapplied, as a remediation result
+   */
+  skip(plan, reason) {
+    return { ...plan, after: plan.before, status: 'skipped', reason, verification: [], files: [], packages: [] };
+  }
+
+  /**
+   * Advisories left in a service after a fix, less accepted ones; null when it can't be audited
+   */
+  async audit(servicePath) {
+    try {
+      const { advisories } = await auditService(servicePath);
+      return applySecurityExceptions(advisories, servicePath, loadSecurityExceptions()).advisories;
+    } catch (error) {
+      logger.warning(`${servicePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Run the service's build and test commands: [{ name, command, passed, error }]
+   */
+  async verify(servicePath) {
+    const { commands } = loadServiceConfig(servicePath);
+    const checks = [];
+
+    for (const name of ['build', 'test'].filter(name => commands[name])) {
+      logger.substep(`Verifying ${servicePath}: ${commands[name]}`);
+      // Commands from xion-service.json are command lines, so they run in a shell
+      const { error } = await run('sh', ['-c', commands[name]], { cwd: servicePath, stream: true, timeout: VERIFY_TIMEOUT_MS, reject: false });
+      const reason = error?.timedOut ? `timed out after ${VERIFY_TIMEOUT_MS / 1000}s` : `exited with code ${error?.code}`;
+      checks.push({ name, command: commands[name], passed: !error, error: error ? `\`${commands[name]}\` ${reason}` : null });
+    }
+
+    return checks;
+  }
+
+  async restore(servicePath, changed, manager) {
+    const tracked = changed.filter(change => !change.untracked).map(change => change.file);
+    if (tracked.length > 0) {
+      await run('git', ['checkout', '--', ...tracked], { cwd: servicePath });
+    }
+    changed.filter(change => change.untracked).forEach(change => fileUtils.remove(path.join(servicePath, change.file)));
+
+    // Put node_modules back in step with the restored lockfile
+    const [command, ...args] = packageUtils.getInstallCommand(manager);
+    await run(command, args, { cwd: servicePath, stream: true, reject: false });
+  }
+
+  printSummary(results) {
+    logger.header('🔒 Security Remediation Summary');
+
+    console.table(results.map(result => ({
+      Service: result.name,
+      Vulnerabilities: `${result.before} → ${result.after === null ? '?' : result.after}`,
+      Status: result.status,
+      Applied: result.steps.filter(step => step.status === 'applied').length,
+      'Not applied': result.steps.filter(step => step.status !== 'applied').length,
+      'Packages changed': result.packages.length
+    })));
+
+    for (const result of results.filter(result => result.packages.length > 0)) {
+      console.log(`\n📦 ${result.name}${result.status === 'reverted' ? ' (reverted)' : ''}:`);
+      result.packages.forEach(({ name, from, to }) => logger.substep(`${name} ${from.join(', ') || '(new)'} → ${to.join(', ') || '(removed)'}`));
+    }
+  }
+
+  toReportDocument(results) {
+    const rules = {
+      'remediation/vulnerabilities': 'Known vulnerabilities should be remediated',
+      'remediation/build': 'The service must still build after its dependency updates',
+      'remediation/test': 'The service\'s tests must still pass after its dependency updates'
+    };
+
+    const services = [];
+    const findings = [];
+
+    for (const result of results) {
+      const location = getServiceLocation(result.path);
+      const add = (id, severity, message) => findings.push({ ruleId: `remediation/${id}`, severity, message, service: result.name, location });
+
+      const checks = [{ id: 'vulnerabilities', name: 'Vulnerabilities', passed: result.after === 0 }];
+      for (const check of result.verification) {
+        checks.push({ id: check.name, name: check.name === 'build' ? 'Build' : 'Tests', passed: check.passed });
+        if (!check.passed) add(check.name, 'error', `${check.error}; the updates were reverted`);
+      }
+
+      // Steps carry the reason themselves; a service without any could not be planned
+      if (result.reason && result.steps.length === 0) {
+        add('vulnerabilities', 'warning', `Not remediated: ${result.reason}`);
+      }
+      for (const step of result.steps) {
+        const update = step.target ? `${step.package} ${step.installed.join(', ')} → ${step.target} (${step.update}, ${step.strategy})` : step.package;
+        const advisories = step.advisories.join(', ');
+        if (step.status === 'applied') {
+          add('vulnerabilities', 'note', `${update} applied${step.cleared === false ? ', but did not clear' : ', clears'} ${advisories}`);
+        } else if (step.status === 'reverted') {
+          add('vulnerabilities', 'error', `${update} reverted: ${step.reason}`);
+        } else {
+          add('vulnerabilities', 'warning', `${update} not applied (${step.reason || result.reason}); still exposed to ${advisories}`);
+        }
+      }
+
+      services.push({ name: result.name, passed: result.status === 'fixed', checks });
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    const steps = results.flatMap(result => result.steps);
+
+    return createReportDocument({
+      kind: 'remediation',
+      summary: {
+        services: results.length,
+        fixed: count('fixed'),
+        improved: count('improved'),
+        reverted: count('reverted'),
+        skipped: count('skipped'),
+        updatesApplied: steps.filter(step => step.status === 'applied').length,
+        breakingUpdatesHeldBack: steps.filter(step => step.status === 'breaking').length
+      },
+      rules,
+      services,
+      findings
+    });
+  }
+}
+
+module.exports = {
+  SecurityRemediation,
+  planService,
+  findFixVersion,
+  classifyRisk,
+  getChangedDependencyFiles
+};
@@ -1,34 +1,14 @@
 #!/usr/bin/env node
-const { execSync } = require('child_process');
+const { run, runSync, fileUtils } = require('./utils');
 const fs = require('fs');
 
-function execCommand(command, options = {}) {
-  try {
-    return execSync(command, { encoding: 'utf8', ...options });
-  } catch (error) {
-    throw error;
-  }
-}
-
-function removeSubmodule() {
-  const args = process.argv.slice(2);
-
-  if (args.length !== 1) {
-    console.log('Usage: npm run submodules:remove <local-path>');
-    console.log('Example: npm run submodules:remove old-app');
-    process.exit(1);
-  }
-
-  const localPath = args[0];
-
+async function removeSubmodule(localPath) {
   if (!fs.existsSync(localPath)) {
     console.error(`❌ Error: Directory '${localPath}' not found`);
     process.exit(1);
   }
 
-  try {
-    execCommand(`git submodule status "${localPath}"`, { stdio: 'pipe' });
-  } catch (error) {
+  if (runSync('git', ['submodule', 'status', '--', localPath], { reject: false }).error) {
     console.error(`❌ Error: '${localPath}' is not a submodule`);
     process.exit(1);
   }
@@ -38,13 +18,13 @@ function removeSubmodule() {
 
   try {
     // Remove the submodule
-    execCommand(`git submodule deinit -f "${localPath}"`, { stdio: 'inherit' });
-    execCommand(`git rm -f "${localPath}"`, { stdio: 'inherit' });
+    await run('git', ['submodule', 'deinit', '-f', '--', localPath], { stream: true });
+    await run('git', ['rm', '-f', '--', localPath], { stream: true });
 
     // Remove git modules directory if it exists
     const gitModulesPath = `.git/modules/${localPath}`;
     if (fs.existsSync(gitModulesPath)) {
-      fs.rmSync(gitModulesPath, { recursive: true, force: true });
+      fileUtils.remove(gitModulesPath);
     }
 
     console.log('✅ Submodule removed successfully!');
@@ -60,4 +40,20 @@ function removeSubmodule() {
   }
 }
 
-removeSubmodule();
\ No newline at end of file
+function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length !== 1) {
+    console.log('Usage: npm run submodules:remove <local-path>');
+    console.log('Example: npm run submodules:remove old-app');
+    process.exit(1);
+  }
+
+  removeSubmodule(args[0]);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { removeSubmodule };
\ No newline at end of file
@@ -1,48 +1,59 @@
 #!/usr/bin/env node
-const { execSync } = require('child_process');
-const readline = require('readline');
+const { run, runSync, gitUtils, createPrompt } = require('./utils');
+const { TaskRunner } = require('./task-runner');
+
+/**
+ * Create and push tags at a submodule's HEAD. Returns { skipped, errors }:
+ * skipped when it has no origin, errors counts tags that failed.
+ */
+async function replicateTagsToSubmodule(submodule, tags) {
+  // Check if submodule has a remote
+  if ((await run('git', ['remote', 'get-url', 'origin'], { cwd: submodule, reject: false })).error) {
+    console.log(`  ⚠️  Skipping ${submodule} (no remote origin)`);
+    return { skipped: true, errors: 0 };
+  }
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+  let errors = 0;
 
-function execCommand(command, options = {}) {
-  try {
-    return execSync(command, { encoding: 'utf8', ...options });
-  } catch (error) {
-    throw error;
-  }
-}
+  for (const tag of tags) {
+    try {
+      // Check if tag already exists
+      if (!(await run('git', ['rev-parse', '--verify', '--quiet', `refs/tags/${tag}`], { cwd: submodule, reject: false })).error) {
+        console.log(`  ✅ Tag ${tag} already exists`);
+        continue;
+      }
 
-function question(query) {
-  return new Promise(resolve => rl.question(query, resolve));
-}
+      // Get the current commit
+      const currentCommit = (await run('git', ['rev-parse', 'HEAD'], { cwd: submodule })).stdout.trim();
 
-async function replicateTags() {
-  const args = process.argv.slice(2);
+      // Create the tag
+      await run('git', ['tag', tag, currentCommit], { cwd: submodule });
+      console.log(`  🏷️  Created tag ${tag}`);
 
-  if (args.length === 0) {
-    console.log('Usage: npm run tags:replicate [tag-name]');
-    console.log('  tag-name: Specific tag to replicate (optional, replicates all if not specified)');
-    console.log('');
-    console.log('Examples:');
-    console.log('  npm run tags:replicate v1.0.0     # Replicate specific tag');
-    console.log('  npm run tags:replicate            # Replicate all tags');
-    process.exit(1);
+      // Push the tag
+      await run('git', ['push', 'origin', `refs/tags/${tag}`], { cwd: submodule });
+      console.log(`  🚀 Pushed tag ${tag}`);
+
+    } catch (error) {
+      console.log(`  ❌ Failed to create/push tag ${tag}: ${error.message}`);
+      errors++;
+    }
   }
 
-  const specificTag = args[0];
+  return { skipped: false, errors };
+}
+
+async function replicateTags(specificTag = null, options = {}) {
+  const { confirm, close } = createPrompt({ yes: options.yes, no: options.no });
 
   try {
     console.log('🏷️  Replicating tags to all submodules...');
 
     // Get all tags from main repo
-    const allTags = execCommand('git tag --list', { stdio: 'pipe' }).trim().split('\n').filter(tag => tag);
+    const allTags = runSync('git', ['tag', '--list']).stdout.trim().split('\n').filter(tag => tag);
 
     if (allTags.length === 0) {
       console.log('ℹ️  No tags found in main repository');
-      rl.close();
       return;
     }
 
@@ -51,82 +62,42 @@ async function replicateTags() {
     if (specificTag && !allTags.includes(specificTag)) {
       console.error(`❌ Tag '${specificTag}' not found in main repository`);
       console.log('Available tags:', allTags.join(', '));
-      rl.close();
       return;
     }
 
     console.log(`📋 Tags to replicate: ${tagsToReplicate.join(', ')}`);
 
     // Get list of submodules
-    const submodules = execCommand('git submodule status', { stdio: 'pipe' })
-      .trim()
-      .split('\n')
-      .map(line => line.split(' ')[1])
-      .filter(path => path);
+    const submodules = gitUtils.getSubmodules().map(submodule => submodule.path);
 
     console.log(`📦 Found ${submodules.length} submodules`);
 
-    const shouldProceed = await question(`\n🚀 Replicate ${tagsToReplicate.length} tag(s) to ${submodules.length} submodule(s)? (y/N): `);
+    const shouldProceed = await confirm(`\n🚀 Replicate ${tagsToReplicate.length} tag(s) to ${submodules.length} submodule(s)? (y/N): `);
 
-    if (shouldProceed.toLowerCase() !== 'y') {
+    if (!shouldProceed) {
       console.log('ℹ️  Operation cancelled');
-      rl.close();
       return;
     }
 
+    // Every submodule is tagged and pushed at once
+    const runner = new TaskRunner(options.runner);
+    const outcomes = await runner.run(submodules.map(submodule => ({
+      name: submodule,
+      module: './replicate-tags',
+      exportName: 'replicateTagsToSubmodule',
+      args: [submodule, tagsToReplicate]
+    })));
+
     let successCount = 0;
     let errorCount = 0;
 
-    for (const submodule of submodules) {
-      console.log(`\n📦 Processing ${submodule}...`);
-
-      try {
-        process.chdir(submodule);
-
-        // Check if submodule has a remote
-        try {
-          execCommand('git remote get-url origin', { stdio: 'pipe' });
-        } catch (error) {
-          console.log(`  ⚠️  Skipping ${submodule} (no remote origin)`);
-          process.chdir('..');
-          continue;
-        }
-
-        for (const tag of tagsToReplicate) {
-          try {
-            // Check if tag already exists
-            try {
-              execCommand(`git rev-parse ${tag}`, { stdio: 'pipe' });
-              console.log(`  ✅ Tag ${tag} already exists`);
-              continue;
-            } catch (error) {
-              // Tag doesn't exist, create it
-            }
-
-            // Get the current commit
-            const currentCommit = execCommand('git rev-parse HEAD', { stdio: 'pipe' }).trim();
-
-            // Create the tag
-            execCommand(`git tag ${tag} ${currentCommit}`, { stdio: 'pipe' });
-            console.log(`  🏷️  Created tag ${tag}`);
-
-            // Push the tag
-            execCommand(`git push origin ${tag}`, { stdio: 'pipe' });
-            console.log(`  🚀 Pushed tag ${tag}`);
-
-          } catch (error) {
-            console.log(`  ❌ Failed to create/push tag ${tag}: ${error.message}`);
-            errorCount++;
-          }
-        }
-
-        successCount++;
-
-      } catch (error) {
-        console.log(`  ❌ Error processing ${submodule}: ${error.message}`);
+    for (const outcome of outcomes) {
+      if (outcome.status !== 'passed') {
+        console.log(`  ❌ Error processing ${outcome.name}: ${outcome.error}`);
         errorCount++;
-      } finally {
-        process.chdir('..');
+      } else if (!outcome.result.skipped) {
+        successCount++;
+        errorCount += outcome.result.errors;
       }
     }
 
@@ -138,10 +109,31 @@ async function replicateTags() {
 
   } catch (error) {
     console.error('❌ Error replicating tags:', error.message);
-    process.exit(1);
+    process.exit(error.exitCode || 1);
   } finally {
-    rl.close();
+    close();
   }
 }
 
-replicateTags();
\ No newline at end of file
+function main() {
+  const argv = process.argv.slice(2);
+  const args = argv.filter(arg => !arg.startsWith('--'));
+
+  if (args.length === 0) {
+    console.log('Usage: npm run tags:replicate [tag-name] [--yes | --no]');
+    console.log('  tag-name: Specific tag to replicate (optional, replicates all if not specified)');
+    console.log('');
+    console.log('Examples:');
+    console.log('  npm run tags:replicate v1.0.0     # Replicate specific tag');
+    console.log('  npm run tags:replicate            # Replicate all tags');
+    process.exit(1);
+  }
+
+  replicateTags(args[0], { yes: argv.includes('--yes'), no: argv.includes('--no') });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { replicateTags, replicateTagsToSubmodule };
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Repository configuration - Root xion-apps.config.json
+ * Validated against schemas/xion-apps.config.schema.json; every key is optional.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_CONFIG_FILE = 'xion-apps.config.json';
+
+const defaults = {
+  approvals: {
+    allowedSigners: '.github/allowed_signers',
+    log: '.github/submodule-approvals.jsonl'
+  },
+  contracts: {
+    baseline: 'stable-tag'
+  },
+  gates: {
+    plugins: [],
+    directory: 'gates',
+    thresholds: {}
+  },
+  security: {
+    advisorySource: 'auto',
+    advisorySnapshot: '.cache/osv',
+    exceptions: 'security-exceptions.json',
+    secretsBaseline: 'secrets-baseline.json'
+  }
+};
+
+const configCache = new Map();
+let schemaValidator = null;
+
+function getSchemaValidator() {
+  if (!schemaValidator) {
+    const Ajv2020 = require('ajv/dist/2020');
+    const schema = require('../schemas/xion-apps.config.schema.json');
+    schemaValidator = new Ajv2020({ allErrors: true }).compile(schema);
+  }
+  return schemaValidator;
+}
+
+/**
+ * Load the repository configuration from root, filled in with defaults.
+ * Throws if the file exists but is not valid.
+ */
+function loadRepoConfig(root = process.cwd()) {
+  const configPath = path.join(root, REPO_CONFIG_FILE);
+  if (configCache.has(configPath)) {
+    return configCache.get(configPath);
+  }
+
+  let declared = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      declared = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid ${configPath}: ${error.message}`);
+    }
+
+    const validate = getSchemaValidator();
+    if (!validate(declared)) {
+      const errors = validate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`);
+      throw new Error(`Invalid ${configPath}:\n  ${errors.join('\n  ')}`);
+    }
+  }
+
+  const config = {
+    file: fs.existsSync(configPath) ? configPath : null,
+    approvals: { ...defaults.approvals, ...declared.approvals },
+    contracts: { ...defaults.contracts, ...declared.contracts },
+    gates: { ...defaults.gates, ...declared.gates },
+    security: { ...defaults.security, ...declared.security }
+  };
+
+  configCache.set(configPath, config);
+  return config;
+}
+
+module.exports = {
+  REPO_CONFIG_FILE,
+  loadRepoConfig
+};
@@ -0,0 +1,293 @@
+/**
+ * Report formatters - Machine-readable output for CI
+ * Renders a report document as versioned JSON, SARIF 2.1.0, JUnit XML or Markdown
+ *
+ * A report document looks like:
+ *   {
+ *     kind: 'quality-gates' | 'health' | 'contracts' | 'compatibility' | 'remediation' | 'secrets',
+ *     summary: { ...metrics },
+ *     rules: { [ruleId]: 'Short description' },
+ *     services: [{ name, passed, score, profile?, checks: [{ id, name, passed, score }] }],
+ *     findings: [{ ruleId, severity, message, service, location: { file, line, pointer } }],
+ *     suppressed: [{ ruleId, message, service, location, suppression: { reason, owner, expires, source } }]
+ *   }
+ *
+ * Finding ruleIds are `<kind>/<check id>`, so JUnit can attach findings to checks.
+ * Suppressed findings were accepted (see security-exceptions.js and secret-scanner.js);
+ * they don't fail anything, and are listed apart from the findings. expires is null
+ * when an acceptance does not expire.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_SCHEMA_VERSION = '1.2.0';
+const REPORT_FORMATS = ['json', 'sarif', 'junit', 'markdown'];
+const SEVERITIES = ['error', 'warning', 'note'];
+
+const formatExtensions = {
+  json: 'json',
+  sarif: 'sarif',
+  junit: 'xml',
+  markdown: 'md'
+};
+
+function getToolVersion() {
+  try {
+    return require('../package.json').version || '0.0.0';
+  } catch (error) {
+    return '0.0.0';
+  }
+}
+
+/**
+ * Fill in the envelope fields every format relies on
+ */
+function createReportDocument({ kind, summary = {}, rules = {}, services = [], findings = [], suppressed = [] }) {
+  for (const finding of findings) {
+    if (!SEVERITIES.includes(finding.severity)) {
+      throw new Error(`Invalid finding severity "${finding.severity}" for ${finding.ruleId}`);
+    }
+  }
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    kind,
+    tool: { name: 'xion-apps', version: getToolVersion() },
+    generatedAt: new Date().toISOString(),
+    summary,
+    rules,
+    services,
+    findings,
+    suppressed
+  };
+}
+
+function toJson(document) {
+  return JSON.stringify(document, null, 2) + '\n';
+}
+
+function toSarif(document) {
+  const ruleIds = Object.keys(document.rules);
+  const levels = { error: 'error', warning: 'warning', note: 'note' };
+
+  const suppressed = (document.suppressed || []).map(finding => ({ ...finding, severity: 'note' }));
+
+  const results = [...document.findings, ...suppressed].map(finding => {
+    const result = {
+      ruleId: finding.ruleId,
+      level: levels[finding.severity],
+      message: { text: finding.message },
+      properties: { service: finding.service }
+    };
+
+    if (finding.suppression) {
+      const { reason, owner, expires, source } = finding.suppression;
+      result.suppressions = [{ kind: 'external', status: 'accepted', justification: reason, properties: { owner, expires, source } }];
+    }
+
+    if (ruleIds.includes(finding.ruleId)) {
+      result.ruleIndex = ruleIds.indexOf(finding.ruleId);
+    }
+
+    if (finding.location?.file) {
+      const physicalLocation = {
+        artifactLocation: { uri: finding.location.file.split(path.sep).join('/') }
+      };
+      if (finding.location.line) {
+        physicalLocation.region = { startLine: finding.location.line };
+      }
+      result.locations = [{ physicalLocation }];
+    }
+
+    if (finding.location?.pointer) {
+      result.properties.pointer = finding.location.pointer;
+    }
+
+    return result;
+  });
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: document.tool.name,
+          version: document.tool.version,
+          informationUri: 'https://github.com/burnt-labs/xion-apps',
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: document.rules[id] }
+          }))
+        }
+      },
+      automationDetails: { id: `xion-apps/${document.kind}/` },
+      results,
+      properties: {
+        schemaVersion: document.schemaVersion,
+        summary: document.summary
+      }
+    }]
+  };
+
+  return JSON.stringify(sarif, null, 2) + '\n';
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toJunit(document) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  const totalChecks = document.services.reduce((sum, s) => sum + s.checks.length, 0);
+  const totalFailures = document.services.reduce((sum, s) => sum + s.checks.filter(c => !c.passed).length, 0);
+
+  lines.push(`<testsuites name="xion-apps ${escapeXml(document.kind)}" tests="${totalChecks}" failures="${totalFailures}">`);
+
+  for (const service of document.services) {
+    const failures = service.checks.filter(c => !c.passed).length;
+    lines.push(`  <testsuite name="${escapeXml(service.name)}" tests="${service.checks.length}" failures="${failures}" timestamp="${document.generatedAt}">`);
+
+    for (const check of service.checks) {
+      const findings = document.findings.filter(f =>
+        f.service === service.name && f.ruleId === `${document.kind}/${check.id}`
+      );
+
+      lines.push(`    <testcase classname="${escapeXml(`${document.kind}.${service.name}`)}" name="${escapeXml(check.name)}">`);
+
+      if (!check.passed) {
+        const message = findings[0]?.message || `${check.name} did not pass`;
+        const body = findings.map(f => `[${f.severity}] ${f.message}`).join('\n');
+        lines.push(`      <failure message="${escapeXml(message)}">${escapeXml(body)}</failure>`);
+      } else if (findings.length > 0) {
+        lines.push(`      <system-out>${escapeXml(findings.map(f => `[${f.severity}] ${f.message}`).join('\n'))}</system-out>`);
+      }
+
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+function toMarkdown(document) {
+  const titles = {
+    'quality-gates': 'Quality Gates Report',
+    health: 'Submodule Health Report',
+    contracts: 'Contract Validation Report',
+    compatibility: 'Service Compatibility Matrix',
+    remediation: 'Security Remediation Report',
+    secrets: 'Secret Scan Report'
+  };
+
+  const lines = [`## ${titles[document.kind] || document.kind}`, ''];
+
+  lines.push('| Metric | Value |', '| --- | --- |');
+  for (const [metric, value] of Object.entries(document.summary)) {
+    lines.push(`| ${metric} | ${value} |`);
+  }
+
+  if (document.services.length > 0) {
+    const checkNames = [...new Set(document.services.flatMap(s => s.checks.map(c => c.name)))];
+    const showProfile = document.services.some(s => s.profile);
+    const headings = ['Service', 'Status', 'Score', ...(showProfile ? ['Profile'] : []), ...checkNames];
+
+    lines.push('', `| ${headings.join(' | ')} |`);
+    lines.push(`| ${headings.map(() => '---').join(' | ')} |`);
+
+    for (const service of document.services) {
+      const cells = checkNames.map(name => {
+        const check = service.checks.find(c => c.name === name);
+        if (!check) return 'N/A';
+        const score = typeof check.score === 'number' ? ` ${check.score.toFixed(1)}` : '';
+        return `${check.passed ? '✅' : '❌'}${score}`;
+      });
+      const score = typeof service.score === 'number' ? service.score.toFixed(1) : 'N/A';
+      if (showProfile) {
+        cells.unshift(service.profile ? `${service.profile.name} (min ${service.profile.minimumScore})` : 'N/A');
+      }
+      lines.push(`| ${service.name} | ${service.passed ? '✅' : '❌'} | ${score} | ${cells.join(' | ')} |`);
+    }
+  }
+
+  for (const severity of SEVERITIES) {
+    const findings = document.findings.filter(f => f.severity === severity);
+    if (findings.length === 0) continue;
+
+    lines.push('', `### ${severity === 'note' ? 'Notes' : `${severity[0].toUpperCase()}${severity.slice(1)}s`} (${findings.length})`, '');
+    for (const finding of findings) {
+      const location = finding.location?.file ? ` (\`${finding.location.file}${finding.location.line ? `:${finding.location.line}` : ''}\`)` : '';
+      lines.push(`- **${finding.service}** \`${finding.ruleId}\`: ${finding.message}${location}`);
+    }
+  }
+
+  const suppressed = document.suppressed || [];
+  if (suppressed.length > 0) {
+    lines.push('', `### Suppressed (${suppressed.length})`, '');
+    for (const { service, ruleId, message, suppression } of suppressed) {
+      const until = suppression.expires ? ` until ${suppression.expires}` : '';
+      lines.push(`- **${service}** \`${ruleId}\`: ${message}, accepted by ${suppression.owner}${until}: ${suppression.reason}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+const renderers = {
+  json: toJson,
+  sarif: toSarif,
+  junit: toJunit,
+  markdown: toMarkdown
+};
+
+function renderReport(document, format) {
+  const render = renderers[format];
+  if (!render) {
+    throw new Error(`Unknown report format "${format}". Use one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+  return render(document);
+}
+
+function getDefaultOutputPath(document, format) {
+  return path.join('reports', `${document.kind}.${formatExtensions[format]}`);
+}
+
+/**
+ * Anchor a service-level finding on a file inside the service when it exists,
+ * since code scanning can only annotate files
+ */
+function getServiceLocation(servicePath, file = 'package.json') {
+  const filePath = path.join(servicePath, file);
+  return { file: fs.existsSync(filePath) ? filePath : servicePath };
+}
+
+/**
+ * Render and write a report document; returns the path written
+ */
+function writeReport(document, format, outputPath = null) {
+  const target = outputPath || getDefaultOutputPath(document, format);
+  const content = renderReport(document, format);
+
+  fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+  fs.writeFileSync(target, content);
+
+  return target;
+}
+
+module.exports = {
+  REPORT_SCHEMA_VERSION,
+  REPORT_FORMATS,
+  createReportDocument,
+  getServiceLocation,
+  renderReport,
+  writeReport
+};
@@ -4,41 +4,71 @@
  * Ensures coordinated updates with validation and rollback capability
  */
 
-const { execCommand, execQuiet, logger, gitUtils, fileUtils, icons } = require('./utils');
+const { run, runSync, createPrompt, resolvePromptMode, logger, gitUtils, icons } = require('./utils');
 const { ProductionQualityGates } = require('./quality-gates');
 const { ContractValidator } = require('./contract-validator');
+const { findPinnedCommit } = require('./contract-baseline');
+const { ServiceCompatibilityChecker } = require('./service-compatibility');
+const { resolveVersion, findCurrentVersion, classifyUpdate, UPDATE_TYPES } = require('./version-resolver');
+const { createApproval, signApproval, verifyApproval, recordApproval, currentApprover, APPROVAL_NAMESPACE } = require('./update-approval');
+const { UpdateJournal } = require('./update-journal');
+const { loadRepoConfig } = require('./repo-config');
+const { loadServiceConfig, clearServiceConfigCache } = require('./service-config');
 const fs = require('fs');
 const path = require('path');
 
 class SafeSubmoduleUpdater {
-  constructor() {
+  /**
+   * @param {object} options - { journal } records update steps (default: the parent repository's journal)
+   */
+  constructor(options = {}) {
     this.updateStrategies = {
+      'same': { riskLevel: 'low', requiresApproval: false },
       'patch': { riskLevel: 'low', requiresApproval: false },
+      // Semver promises nothing between prereleases, so rc.1 → rc.2 may break like a major
+      'prerelease': { riskLevel: 'medium', requiresApproval: true, requiresCompatibilityTest: true },
       'minor': { riskLevel: 'medium', requiresApproval: true },
-      'major': { riskLevel: 'high', requiresApproval: true, requiresCompatibilityTest: true }
+      'major': { riskLevel: 'high', requiresApproval: true, requiresCompatibilityTest: true },
+      // Consumers may already use what the newer version added, and data migrations don't run backwards
+      'downgrade': { riskLevel: 'high', requiresApproval: true, requiresCompatibilityTest: true, requiresDowngradeOptIn: true },
+      'unknown': { riskLevel: 'high', requiresApproval: true, requiresCompatibilityTest: true }
     };
 
-    this.rollbackStack = [];
+    this.riskOrder = { 'low': 1, 'medium': 2, 'high': 3 };
+
+    this.journal = options.journal || null;
   }
 
+  getJournal() {
+    if (!this.journal) {
+      this.journal = new UpdateJournal();
+    }
+    return this.journal;
+  }
+
+  /**
+   * @param {string} targetVersion - a tag, a semver range (^1.2, ~2.0.3), latest, latest-minor or latest-patch
+   * @param {object} options - { includePrerelease } lets ranges and keywords resolve to prereleases,
+   *   { allowDowngrade } permits moving to a lower version,
+   *   { approvalFile } is a signed approval for updates that require one (otherwise asked interactively)
+   */
   async updateSubmodule(submodulePath, targetVersion, options = {}) {
-    const updateContext = {
-      submodule: submodulePath,
-      targetVersion,
-      startTime: new Date(),
-      currentCommit: null,
-      targetCommit: null,
-      updateType: null,
-      validationResults: {},
-      rollbackPoint: null
-    };
+    const updateContext = this.createUpdateContext(submodulePath, targetVersion, options);
 
     try {
       logger.header(`🔄 Safe Update: ${submodulePath} → ${targetVersion}`);
 
+      // A crashed or killed earlier update has to be finished or undone first
+      await this.handleInterruptedUpdates();
+
       // Pre-update validation
       await this.preUpdateValidation(updateContext);
 
+      if (updateContext.targetCommit === updateContext.currentCommit) {
+        logger.success(`${submodulePath} is already at ${updateContext.targetVersion}`);
+        return updateContext;
+      }
+
       // Create rollback point
       await this.createRollbackPoint(updateContext);
 
@@ -51,7 +81,8 @@ class SafeSubmoduleUpdater {
       // Update parent repository
       await this.updateParentRepository(updateContext);
 
-      logger.success(`Successfully updated ${submodulePath} to ${targetVersion}`);
+      this.getJournal().record(updateContext.id, 'complete');
+      logger.success(`Successfully updated ${submodulePath} to ${updateContext.targetVersion}`);
       return updateContext;
 
     } catch (error) {
@@ -61,6 +92,27 @@ class SafeSubmoduleUpdater {
     }
   }
 
+  createUpdateContext(submodulePath, targetVersion, options = {}) {
+    return {
+      submodule: submodulePath,
+      requestedVersion: targetVersion,
+      targetVersion: null,
+      includePrerelease: Boolean(options.includePrerelease),
+      allowDowngrade: Boolean(options.allowDowngrade),
+      approvalFile: options.approvalFile || null,
+      approval: null,
+      id: null,
+      batch: options.batch || null,
+      deferConsumerCheck: Boolean(options.deferConsumerCheck),
+      startTime: new Date(),
+      currentCommit: null,
+      targetCommit: null,
+      updateType: null,
+      validationResults: {},
+      rollbackPoint: null
+    };
+  }
+
   async preUpdateValidation(updateContext) {
     logger.step('Running pre-update validation', icons.shield);
 
@@ -72,91 +124,277 @@ class SafeSubmoduleUpdater {
     }
 
     // Check for uncommitted changes
-    const hasUncommitted = !execQuiet(`cd ${submodule} && git diff --quiet && git diff --cached --quiet`);
+    const hasUncommitted = runSync('git', ['diff', '--quiet'], { cwd: submodule, reject: false }).error ||
+      runSync('git', ['diff', '--cached', '--quiet'], { cwd: submodule, reject: false }).error;
     if (hasUncommitted) {
       throw new Error(`Submodule ${submodule} has uncommitted changes`);
     }
 
-    // Get current state
-    updateContext.currentCommit = execQuiet(`cd ${submodule} && git rev-parse HEAD`).trim();
+    const strategy = await this.inspectUpdate(updateContext);
 
-    // Validate target version exists
-    const targetExists = execQuiet(`cd ${submodule} && git tag -l "${updateContext.targetVersion}" | grep -q "^${updateContext.targetVersion}$"`);
-    if (!targetExists) {
-      throw new Error(`Target version ${updateContext.targetVersion} does not exist in ${submodule}`);
+    if (updateContext.targetCommit === updateContext.currentCommit) {
+      return;
     }
 
-    updateContext.targetCommit = execQuiet(`cd ${submodule} && git rev-parse ${updateContext.targetVersion}`).trim();
+    // Check update strategy
+    if (strategy.requiresDowngradeOptIn && !updateContext.allowDowngrade) {
+      throw new Error(`${updateContext.currentVersion} → ${updateContext.targetVersion} is a downgrade; pass --allow-downgrade to go back`);
+    }
 
-    // Determine update type
-    updateContext.updateType = await this.determineUpdateType(updateContext);
+    // Compare the contract the parent repository pins with the target's, before checking anything out
+    updateContext.validationResults.contracts = this.compareContracts(updateContext);
+    const breakingChanges = updateContext.validationResults.contracts?.breaking || [];
+    if (strategy.requiresCompatibilityTest && breakingChanges.length > 0) {
+      throw new Error(`Breaking changes detected: ${breakingChanges.join(', ')}`);
+    }
 
-    // Check update strategy
-    const strategy = this.updateStrategies[updateContext.updateType];
-    if (strategy.requiresApproval && !updateContext.approved) {
-      throw new Error(`${updateContext.updateType} update requires approval`);
+    // Whatever other services declare they consume must still exist in the target's contract.
+    // An atomic batch checks this once every service is checked out, since consumers may move too.
+    if (!updateContext.deferConsumerCheck) {
+      updateContext.validationResults.consumers = this.checkConsumers(updateContext);
+      const mismatches = updateContext.validationResults.consumers.mismatches;
+      if (mismatches.length > 0) {
+        throw new Error(`Consumers would break: ${mismatches.map(mismatch => mismatch.message).join('; ')}`);
+      }
+    }
+
+    // Last, so an interactive approver sees the contract and consumer results above
+    if (strategy.requiresApproval) {
+      await this.obtainApproval(updateContext);
     }
 
     logger.success(`Pre-update validation passed (${updateContext.updateType} update)`);
   }
 
-  async determineUpdateType(updateContext) {
-    try {
-      const currentVersion = await this.getCurrentVersion(updateContext.submodule);
-      const targetVersion = updateContext.targetVersion;
+  /**
+   * Resolve the target and classify the update without changing anything.
+   * Fills in currentCommit, currentVersion, targetVersion, targetCommit and updateType; returns the strategy.
+   */
+  async inspectUpdate(updateContext) {
+    const { submodule } = updateContext;
+
+    updateContext.currentCommit = gitUtils.getCommitHash('HEAD', submodule);
+
+    // Resolve the requested version (tag, range or keyword) against the submodule's tags
+    await this.resolveTargetVersion(updateContext);
+
+    updateContext.targetCommit = gitUtils.getCommitHash(`${updateContext.targetVersion}^{commit}`, submodule);
+
+    updateContext.updateType = await this.determineUpdateType(updateContext);
+    const strategy = this.updateStrategies[updateContext.updateType];
+    logger.info(`Update type: ${updateContext.updateType}, ${strategy.riskLevel} risk (${updateContext.currentVersion || 'unversioned'} → ${updateContext.targetVersion})`);
+
+    return strategy;
+  }
+
+  /**
+   * Accept a signed approval file, or ask whoever is at the terminal after showing what changes.
+   * --yes does not count as approval.
+   */
+  async obtainApproval(updateContext) {
+    const { submodule, updateType, approvalFile } = updateContext;
+
+    if (approvalFile) {
+      const approval = verifyApproval(approvalFile, updateContext);
+      updateContext.approval = { ...approval, method: 'signed-file', file: approvalFile };
+      logger.success(`Approved by ${approval.approvedBy} at ${approval.approvedAt} (${approvalFile})`);
+      return updateContext.approval;
+    }
+
+    // --yes never approves an update: without a terminal it takes a signed approval file
+    if (resolvePromptMode() !== 'interactive') {
+      throw new Error(`${updateType} update requires approval: pass --approve <file> (create one with "xion-apps submodule approve") or run in a terminal`);
+    }
 
-      if (!currentVersion || !this.isSemanticVersion(currentVersion) || !this.isSemanticVersion(targetVersion)) {
-        return 'major'; // Conservative approach for non-semantic versions
+    this.printUpdateSummary(updateContext);
+
+    const { confirm, close } = createPrompt();
+    try {
+      const approved = await confirm(`\n✋ Approve ${updateType} update of ${submodule} to ${updateContext.targetVersion}? (y/N): `);
+      if (!approved) {
+        throw new Error(`${updateType} update of ${submodule} was not approved`);
       }
+    } finally {
+      close();
+    }
+
+    const approvedBy = currentApprover();
+    if (!approvedBy) {
+      throw new Error('Cannot record the approval: set git config user.email');
+    }
 
-      const current = this.parseSemanticVersion(currentVersion);
-      const target = this.parseSemanticVersion(targetVersion);
+    updateContext.approval = { ...createApproval(updateContext, { approvedBy, expiresInDays: 0 }), method: 'interactive' };
+    return updateContext.approval;
+  }
 
-      if (target.major > current.major) return 'major';
-      if (target.minor > current.minor) return 'minor';
-      if (target.patch > current.patch) return 'patch';
+  /**
+   * Write an approval for updating a submodule from where it is now to targetVersion, and sign it
+   * with options.keyFile (default: git config user.signingkey)
+   */
+  async approveUpdate(submodulePath, targetVersion, options = {}) {
+    logger.header(`✋ Approve: ${submodulePath} → ${targetVersion}`);
+
+    const updateContext = this.createUpdateContext(submodulePath, targetVersion, options);
+    const strategy = await this.inspectUpdate(updateContext);
+    if (!strategy.requiresApproval) {
+      logger.info(`${updateContext.updateType} updates do not require approval; writing one anyway`);
+    }
 
-      return 'patch'; // Default to patch for same version
-    } catch (error) {
-      return 'major'; // Conservative fallback
+    this.printUpdateSummary(updateContext);
+
+    const approvedBy = options.approvedBy || currentApprover();
+    if (!approvedBy) {
+      throw new Error('Cannot tell who is approving: pass --approver or set git config user.email');
+    }
+
+    const approval = createApproval(updateContext, { approvedBy, expiresInDays: options.expiresInDays });
+    const safeName = `${path.basename(submodulePath)}-${updateContext.targetVersion}`.replace(/[^\w.-]+/g, '-');
+    const file = options.output || `${safeName}.approval.json`;
+    fs.writeFileSync(file, JSON.stringify(approval, null, 2) + '\n');
+
+    const keyFile = options.keyFile || runSync('git', ['config', 'user.signingkey'], { reject: false }).stdout.trim();
+    if (keyFile) {
+      signApproval(file, keyFile);
+      logger.success(`Wrote ${file} and ${file}.sig, approved by ${approvedBy}`);
+    } else {
+      logger.warning(`Wrote ${file} unsigned; sign it with: ssh-keygen -Y sign -f <key> -n ${APPROVAL_NAMESPACE} ${file}`);
     }
+
+    return { file, approval };
   }
 
-  async getCurrentVersion(submodulePath) {
-    try {
-      return execQuiet(`cd ${submodulePath} && git describe --tags --abbrev=0 2>/dev/null`).trim();
-    } catch (error) {
+  /**
+   * Changelog and diff summary between the current and target commits
+   */
+  printUpdateSummary(updateContext) {
+    const { submodule, currentCommit, targetCommit, updateType } = updateContext;
+
+    // For a downgrade, show what is being taken out
+    const range = updateType === 'downgrade' ? `${targetCommit}..${currentCommit}` : `${currentCommit}..${targetCommit}`;
+    const commits = runSync('git', ['log', '--oneline', '--no-decorate', range], { cwd: submodule, reject: false }).stdout.trim().split('\n').filter(Boolean);
+    const stat = runSync('git', ['diff', '--shortstat', currentCommit, targetCommit], { cwd: submodule, reject: false }).stdout.trim();
+
+    console.log(`\n📜 ${updateType === 'downgrade' ? 'Commits removed' : 'Changelog'} (${commits.length} commits):`);
+    commits.slice(0, 20).forEach(commit => console.log(`  ${commit}`));
+    if (commits.length > 20) {
+      console.log(`  … and ${commits.length - 20} more`);
+    }
+
+    console.log(`\n📊 Diff: ${stat || 'no file changes'}`);
+
+    const contracts = updateContext.validationResults.contracts;
+    if (contracts) {
+      console.log(`📋 Contract: ${contracts.breaking.length} breaking, ${contracts.additions.length} additions, ${contracts.modifications.length} modifications`);
+    }
+  }
+
+  /**
+   * Fetch tags and resolve updateContext.requestedVersion to a concrete tag
+   */
+  async resolveTargetVersion(updateContext) {
+    const { submodule, requestedVersion, includePrerelease } = updateContext;
+
+    // Ranges and "latest" must see tags published since the last fetch; offline, resolve against what we have
+    if ((await run('git', ['fetch', '--tags', '--quiet'], { cwd: submodule, reject: false })).error) {
+      logger.warning(`Could not fetch tags for ${submodule}, resolving against local tags`);
+    }
+
+    updateContext.currentVersion = await this.getCurrentVersion(submodule);
+
+    const resolved = resolveVersion(submodule, requestedVersion, {
+      currentVersion: updateContext.currentVersion,
+      includePrerelease
+    });
+    updateContext.targetVersion = resolved.tag;
+
+    if (resolved.tag === requestedVersion) {
+      logger.info(`Target version: ${resolved.tag}`);
+    } else {
+      logger.info(`Resolved ${requestedVersion} → ${resolved.tag}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Diff the service's contract between the pinned commit and the target version
+   */
+  compareContracts(updateContext) {
+    const { submodule, targetVersion, targetCommit } = updateContext;
+    const pinnedCommit = findPinnedCommit(submodule) || updateContext.currentCommit;
+
+    const comparison = new ContractValidator().compareContractRevisions(submodule, pinnedCommit, targetCommit);
+    if (!comparison) {
+      logger.info(`${submodule} has no API contract to compare`);
       return null;
     }
+
+    const from = pinnedCommit.substring(0, 8);
+    if (comparison.breaking.length > 0) {
+      logger.warning(`${comparison.breaking.length} breaking contract changes between ${from} and ${targetVersion}:`);
+      comparison.breaking.forEach(change => logger.substep(change));
+    } else {
+      logger.info(`No breaking contract changes between ${from} and ${targetVersion} (${comparison.additions.length} additions)`);
+    }
+
+    return comparison;
   }
 
-  isSemanticVersion(version) {
-    return /^v?\d+\.\d+\.\d+/.test(version);
+  /**
+   * Check every consumer of the submodule against the target version's contract
+   */
+  checkConsumers(updateContext) {
+    const { submodule, targetCommit } = updateContext;
+    const checker = new ServiceCompatibilityChecker();
+    const report = checker.buildMatrix({ providers: [submodule], refs: { [submodule]: targetCommit } });
+
+    if (report.consumers.length > 0) {
+      checker.printMatrix(report);
+    }
+
+    return report;
   }
 
-  parseSemanticVersion(version) {
-    const match = version.match(/^v?(\d+)\.(\d+)\.(\d+)/);
-    if (!match) throw new Error(`Invalid semantic version: ${version}`);
+  /**
+   * One of UPDATE_TYPES; non-semantic versions are 'unknown' and treated like a major update
+   */
+  async determineUpdateType(updateContext) {
+    const currentVersion = updateContext.currentVersion ?? await this.getCurrentVersion(updateContext.submodule);
+    return classifyUpdate(currentVersion, updateContext.targetVersion);
+  }
 
-    return {
-      major: parseInt(match[1]),
-      minor: parseInt(match[2]),
-      patch: parseInt(match[3])
-    };
+  async getCurrentVersion(submodulePath) {
+    return findCurrentVersion(submodulePath);
   }
 
   async createRollbackPoint(updateContext) {
     logger.step('Creating rollback point', icons.save);
 
+    const { submodule } = updateContext;
+    const journal = this.getJournal();
+
+    updateContext.id = journal.createId(submodule);
     updateContext.rollbackPoint = {
       submoduleCommit: updateContext.currentCommit,
-      parentCommit: execQuiet('git rev-parse HEAD').trim(),
+      submoduleBranch: runSync('git', ['branch', '--show-current'], { cwd: submodule, reject: false }).stdout.trim() || null,
+      parentCommit: gitUtils.getCommitHash(),
       timestamp: new Date().toISOString(),
-      branch: execQuiet('git branch --show-current').trim()
+      branch: runSync('git', ['branch', '--show-current'], { reject: false }).stdout.trim() || null
     };
 
-    this.rollbackStack.push(updateContext.rollbackPoint);
-    logger.info(`Rollback point created: ${updateContext.rollbackPoint.submoduleCommit.substring(0, 8)}`);
+    journal.record(updateContext.id, 'begin', {
+      submodule,
+      requestedVersion: updateContext.requestedVersion,
+      targetVersion: updateContext.targetVersion,
+      targetCommit: updateContext.targetCommit,
+      currentVersion: updateContext.currentVersion || null,
+      updateType: updateContext.updateType,
+      approval: updateContext.approval,
+      batch: updateContext.batch || null,
+      pre: updateContext.rollbackPoint
+    });
+
+    logger.info(`Rollback point created: ${updateContext.id} (${updateContext.rollbackPoint.submoduleCommit.substring(0, 8)})`);
   }
 
   async performUpdate(updateContext, options) {
@@ -165,17 +403,20 @@ class SafeSubmoduleUpdater {
     const { submodule, targetVersion } = updateContext;
 
     // Fetch latest changes
-    execCommand(`cd ${submodule} && git fetch --tags`);
+    await run('git', ['fetch', '--tags'], { cwd: submodule, stream: true });
 
-    // Checkout target version
-    execCommand(`cd ${submodule} && git checkout ${targetVersion}`);
+    // Checkout the commit the target resolved to, in case the tag moved since
+    await run('git', ['checkout', updateContext.targetCommit], { cwd: submodule, stream: true });
 
     // Verify checkout
-    const newCommit = execQuiet(`cd ${submodule} && git rev-parse HEAD`).trim();
+    const newCommit = gitUtils.getCommitHash('HEAD', submodule);
     if (newCommit !== updateContext.targetCommit) {
       throw new Error(`Checkout verification failed: expected ${updateContext.targetCommit}, got ${newCommit}`);
     }
 
+    this.getJournal().record(updateContext.id, 'checkout', { commit: newCommit });
+    clearServiceConfigCache(submodule);
+
     logger.success(`Successfully checked out ${targetVersion}`);
   }
 
@@ -184,7 +425,21 @@ class SafeSubmoduleUpdater {
 
     const { submodule } = updateContext;
 
-    // Run quality gates
+    // Install the new version's dependencies first, so the gates build against them
+    const { commands } = loadServiceConfig(submodule);
+    if (commands.install) {
+      logger.substep(`Installing ${submodule}: ${commands.install}`);
+      try {
+        // Commands from xion-service.json are command lines, so they run in a shell
+        await run('sh', ['-c', commands.install], { cwd: submodule, stream: true });
+      } catch (error) {
+        throw new Error(`Dependency install failed: ${error.message}`);
+      }
+
+      this.getJournal().record(updateContext.id, 'install');
+    }
+
+    // Run quality gates (they run the service's build command)
     const qualityGates = new ProductionQualityGates();
     const gateResults = await qualityGates.validateDeploymentReadiness(submodule);
 
@@ -194,69 +449,110 @@ class SafeSubmoduleUpdater {
       throw new Error(`Quality gate failures: ${gateResults.criticalIssues.join(', ')}`);
     }
 
-    // Contract validation
-    if (this.updateStrategies[updateContext.updateType].requiresCompatibilityTest) {
-      const contractValidator = new ContractValidator();
-      const contractResults = await contractValidator.validateServiceContract(submodule);
-
-      updateContext.validationResults.contracts = contractResults;
-
-      if (contractResults.breakingChanges.length > 0) {
-        throw new Error(`Breaking changes detected: ${contractResults.breakingChanges.join(', ')}`);
-      }
-    }
-
-    // Build verification
-    if (fs.existsSync(path.join(submodule, 'package.json'))) {
-      try {
-        execCommand(`cd ${submodule} && npm ci --silent`);
-        execCommand(`cd ${submodule} && npm run build 2>/dev/null || echo "No build script"`);
-      } catch (error) {
-        throw new Error(`Build verification failed: ${error.message}`);
-      }
-    }
-
+    this.getJournal().record(updateContext.id, 'validated');
     logger.success('Post-update validation passed');
   }
 
   async updateParentRepository(updateContext) {
     logger.step('Updating parent repository', icons.git);
 
-    const { submodule, targetVersion, currentCommit, targetCommit } = updateContext;
-
-    // Stage the submodule change
-    execCommand(`git add ${submodule}`);
-
     // Create descriptive commit message
     const commitMessage = this.generateCommitMessage(updateContext);
 
-    // Commit the change
-    execCommand(`git commit -m "${commitMessage}"`);
+    this.commitPointerChanges([updateContext], commitMessage);
 
     logger.success(`Parent repository updated with submodule change`);
   }
 
+  /**
+   * Stage the submodules of updateContexts, with their approvals, and commit them as one parent commit
+   */
+  commitPointerChanges(updateContexts, commitMessage) {
+    const journal = this.getJournal();
+    const approved = updateContexts.filter(updateContext => updateContext.approval);
+
+    // Remember the approval log's size, so a rollback can take the new entries out again
+    const logFile = approved.length > 0 ? loadRepoConfig().approvals.log : null;
+    const approvalLog = logFile ? { file: logFile, size: fs.existsSync(logFile) ? fs.statSync(logFile).size : null } : null;
+
+    for (const updateContext of updateContexts) {
+      journal.record(updateContext.id, 'stage', {
+        paths: updateContext.approval ? [updateContext.submodule, logFile] : [updateContext.submodule],
+        approvalLog: updateContext.approval ? approvalLog : null
+      });
+
+      // Stage the submodule change
+      runSync('git', ['add', '--', updateContext.submodule], { stream: true });
+    }
+
+    // Approvals are recorded in the same commit as the pointers they approve
+    if (logFile) {
+      for (const updateContext of approved) {
+        const { method, file, ...approval } = updateContext.approval;
+        recordApproval({ ...approval, method }, logFile);
+      }
+      runSync('git', ['add', '--', logFile], { stream: true });
+    }
+
+    // Commit the change
+    runSync('git', ['commit', '-m', commitMessage], { stream: true });
+
+    const parentCommit = gitUtils.getCommitHash();
+    for (const updateContext of updateContexts) {
+      journal.record(updateContext.id, 'commit', { parentCommit });
+    }
+  }
+
   generateCommitMessage(updateContext) {
     const { submodule, targetVersion, updateType, currentCommit, targetCommit } = updateContext;
 
-    const currentVersion = this.getCurrentVersion(submodule) || 'unknown';
+    const currentVersion = updateContext.currentVersion || 'unknown';
+    const approval = updateContext.approval
+      ? `Approved by: ${updateContext.approval.approvedBy} (${updateContext.approval.method}) at ${updateContext.approval.approvedAt}\n`
+      : '';
 
     return `update(${submodule}): ${currentVersion} → ${targetVersion}
 
 Update type: ${updateType}
 Previous commit: ${currentCommit.substring(0, 8)}
 New commit: ${targetCommit.substring(0, 8)}
-
+${approval}
 Quality gates: ✅ PASSED
 Contract validation: ✅ PASSED
 Build verification: ✅ PASSED
 
 🤖 Safe submodule update via automation
 
+Co-Authored-By: Safe Update Bot <automation@burnt.com>`;
+  }
+
+  generateBatchCommitMessage(updateContexts) {
+    const lines = updateContexts.map(({ submodule, currentVersion, targetVersion, updateType, targetCommit }) =>
+      `- ${submodule}: ${currentVersion || 'unknown'} → ${targetVersion} (${updateType}, ${targetCommit.substring(0, 8)})`);
+    const approvals = updateContexts
+      .filter(updateContext => updateContext.approval)
+      .map(({ submodule, approval }) => `Approved by: ${approval.approvedBy} (${approval.method}) at ${approval.approvedAt} for ${submodule}\n`)
+      .join('');
+
+    return `update: ${updateContexts.map(updateContext => updateContext.submodule).join(', ')}
+
+${lines.join('\n')}
+${approvals}
+Quality gates: ✅ PASSED
+Contract validation: ✅ PASSED
+Build verification: ✅ PASSED
+
+🤖 Atomic batch submodule update via automation
+
 Co-Authored-By: Safe Update Bot <automation@burnt.com>`;
   }
 
   async handleUpdateFailure(updateContext, error) {
+    if (!updateContext.rollbackPoint) {
+      logger.info('Nothing to roll back: the update failed before changing anything');
+      return;
+    }
+
     logger.warning(`Update failed, initiating rollback: ${error.message}`);
 
     try {
@@ -264,31 +560,243 @@ Co-Authored-By: Safe Update Bot <automation@burnt.com>`;
       logger.success('Rollback completed successfully');
     } catch (rollbackError) {
       logger.error(`Rollback failed: ${rollbackError.message}`);
-      logger.error('Manual intervention required');
+      logger.error(`Manual intervention required; retry with: xion-apps rollback --id ${updateContext.id}`);
     }
   }
 
   async rollbackUpdate(updateContext) {
-    if (!updateContext.rollbackPoint) {
+    const update = updateContext.id && this.getJournal().find(updateContext.id);
+    if (!update) {
       throw new Error('No rollback point available');
     }
 
-    logger.step('Rolling back submodule update', icons.undo);
+    return this.rollback(update);
+  }
 
-    const { submodule } = updateContext;
-    const { submoduleCommit } = updateContext.rollbackPoint;
+  /**
+   * Restore the parent pointer and the submodule to an update's pre-state, from the journal
+   */
+  async rollback(update) {
+    const journal = this.getJournal();
+    const { pre } = update.begin;
+
+    // An atomic batch made one parent commit for all of its updates, so they roll back together
+    const updates = update.begin.batch
+      ? journal.list().filter(member => member.begin.batch === update.begin.batch && member.status !== 'rolled-back')
+      : [update];
+
+    for (const member of updates) {
+      logger.step(`Rolling back ${member.id}: ${member.submodule} → ${member.begin.pre.submoduleCommit.substring(0, 8)}`, icons.undo);
+    }
+
+    try {
+      const commit = updates.map(member => this.findUpdateCommit(member)).find(Boolean);
+
+      if (commit) {
+        const head = gitUtils.getCommitHash();
+
+        if (head === commit) {
+          // --keep, unlike --hard, refuses instead of discarding unrelated local changes
+          runSync('git', ['reset', '--keep', pre.parentCommit], { stream: true });
+        } else if (!runSync('git', ['merge-base', '--is-ancestor', commit, 'HEAD'], { reject: false }).error) {
+          // Other commits landed on top; undo just the update commit
+          runSync('git', ['revert', '--no-edit', commit], { stream: true });
+        } else {
+          throw new Error(`Update commit ${commit.substring(0, 8)} is not on the current branch; check out ${pre.branch || pre.parentCommit.substring(0, 8)} and retry`);
+        }
+      } else {
+        updates.forEach(member => this.undoStaging(member));
+      }
 
-    // Rollback submodule
-    execCommand(`cd ${submodule} && git checkout ${submoduleCommit}`);
+      // Return to the branch each submodule was on, if it still points where it did
+      for (const member of updates) {
+        const { submodule, pre: memberPre } = member.begin;
+        const branchCommit = memberPre.submoduleBranch && gitUtils.getCommitHash(`refs/heads/${memberPre.submoduleBranch}`, submodule);
+        const checkoutTarget = branchCommit === memberPre.submoduleCommit ? memberPre.submoduleBranch : memberPre.submoduleCommit;
+        runSync('git', ['checkout', '--quiet', checkoutTarget], { cwd: submodule, stream: true });
+        clearServiceConfigCache(submodule);
+      }
+    } catch (error) {
+      updates.forEach(member => journal.record(member.id, 'rollback-failed', { error: error.message }));
+      throw error;
+    }
 
-    // Rollback parent repository if we made changes
-    const currentParentCommit = execQuiet('git rev-parse HEAD').trim();
-    if (currentParentCommit !== updateContext.rollbackPoint.parentCommit) {
-      execCommand('git reset --hard HEAD~1');
+    for (const member of updates) {
+      journal.record(member.id, 'rolled-back');
+      logger.success(`Rolled back ${member.submodule} to ${member.begin.pre.submoduleCommit.substring(0, 8)}`);
     }
+    return update;
+  }
+
+  /**
+   * The parent commit an update made, or null. Also finds a commit made right
+   * before a crash kept it from being journaled: HEAD on top of the pre-state, pinning the target.
+   */
+  findUpdateCommit(update) {
+    const commit = this.getJournal().stepOf(update, 'commit');
+    if (commit) return commit.parentCommit;
 
-    // Remove from rollback stack
-    this.rollbackStack.pop();
+    const { submodule, pre, targetCommit } = update.begin;
+    const head = gitUtils.getCommitHash();
+    const parent = gitUtils.getCommitHash('HEAD~1');
+    const pinned = runSync('git', ['ls-tree', 'HEAD', '--', submodule], { reject: false }).stdout.match(/^160000 commit ([0-9a-f]+)\t/)?.[1];
+
+    return parent === pre.parentCommit && pinned === targetCommit ? head : null;
+  }
+
+  /**
+   * Unstage what an uncommitted update staged, and take its entry back out of the approval log
+   */
+  undoStaging(update) {
+    const stage = this.getJournal().stepOf(update, 'stage');
+    if (!stage) return;
+
+    runSync('git', ['reset', '-q', '--', ...stage.paths], { reject: false });
+
+    const log = stage.approvalLog;
+    if (log && fs.existsSync(log.file)) {
+      if (log.size === null) {
+        fs.rmSync(log.file);
+      } else {
+        fs.truncateSync(log.file, log.size);
+      }
+    }
+  }
+
+  /**
+   * Roll back an update from the journal: by id, or with last (the default) the most
+   * recent one that isn't rolled back yet
+   */
+  async rollbackFromJournal({ id = null, last = false } = {}) {
+    if (id && last) {
+      throw new Error('Roll back either the last update or one by id');
+    }
+
+    const journal = this.getJournal();
+    const update = id ? journal.find(id) : journal.last();
+
+    if (!update) {
+      throw new Error(id ? `No update ${id} in ${journal.file}` : 'No update to roll back');
+    }
+    if (update.status === 'rolled-back') {
+      throw new Error(`Update ${update.id} was already rolled back`);
+    }
+
+    return this.rollback(update);
+  }
+
+  /**
+   * Finish an interrupted update from the step after the last one it recorded
+   */
+  async resumeUpdate({ id = null } = {}) {
+    const journal = this.getJournal();
+    const update = id ? journal.find(id) : journal.interrupted().pop();
+
+    if (!update) {
+      throw new Error(id ? `No update ${id} in ${journal.file}` : 'No interrupted update to resume');
+    }
+    if (update.finished) {
+      throw new Error(`Update ${update.id} is already ${update.status}`);
+    }
+    if (update.begin.batch) {
+      throw new Error(`Update ${update.id} is part of atomic batch ${update.begin.batch}, which can only be rolled back: xion-apps rollback --id ${update.id}`);
+    }
+
+    const { begin } = update;
+    const updateContext = {
+      ...this.createUpdateContext(begin.submodule, begin.requestedVersion),
+      id: update.id,
+      targetVersion: begin.targetVersion,
+      targetCommit: begin.targetCommit,
+      currentVersion: begin.currentVersion,
+      currentCommit: begin.pre.submoduleCommit,
+      updateType: begin.updateType,
+      approval: begin.approval,
+      rollbackPoint: begin.pre
+    };
+
+    logger.header(`🔄 Resuming ${update.id}: ${begin.submodule} → ${begin.targetVersion} (last step: ${update.status})`);
+
+    try {
+      if (!this.findUpdateCommit(update)) {
+        const head = gitUtils.getCommitHash();
+        if (head !== begin.pre.parentCommit) {
+          throw new Error(`The parent repository moved from ${begin.pre.parentCommit.substring(0, 8)} to ${head.substring(0, 8)} since the update started`);
+        }
+
+        const submoduleHead = gitUtils.getCommitHash('HEAD', begin.submodule);
+        if (submoduleHead !== begin.targetCommit) {
+          await this.performUpdate(updateContext, {});
+        }
+
+        if (!journal.stepOf(update, 'validated')) {
+          await this.postUpdateValidation(updateContext);
+        }
+
+        this.undoStaging(update);
+        await this.updateParentRepository(updateContext);
+      }
+
+      journal.record(update.id, 'complete');
+      logger.success(`Resumed update of ${begin.submodule} to ${begin.targetVersion} completed`);
+      return updateContext;
+    } catch (error) {
+      logger.error(`Resume failed: ${error.message}`);
+      await this.handleUpdateFailure(updateContext, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Before starting, deal with updates a crash left unfinished: ask in a terminal, refuse otherwise
+   */
+  async handleInterruptedUpdates() {
+    const interrupted = this.getJournal().interrupted();
+    if (interrupted.length === 0) return;
+
+    for (const update of interrupted) {
+      logger.warning(`Interrupted update ${update.id}: ${update.submodule} → ${update.begin.targetVersion} (last step: ${update.status})`);
+    }
+
+    const [update] = interrupted.slice(-1);
+    if (resolvePromptMode() !== 'interactive') {
+      throw new Error(`Finish or undo interrupted updates first: xion-apps resume --id ${update.id} or xion-apps rollback --id ${update.id}`);
+    }
+
+    const { question, close } = createPrompt();
+    let answer;
+    try {
+      answer = (await question(`Resume (r) or roll back (u) ${update.id}, or cancel (c, default)? `)).trim().toLowerCase();
+    } finally {
+      close();
+    }
+
+    if (answer === 'r') {
+      await this.resumeUpdate({ id: update.id });
+    } else if (answer === 'u') {
+      await this.rollback(update);
+    } else {
+      throw new Error(`Cancelled: ${update.id} is still unfinished`);
+    }
+
+    return this.handleInterruptedUpdates();
+  }
+
+  printJournal(updates = this.getJournal().list()) {
+    logger.header('📒 Update Journal');
+
+    if (updates.length === 0) {
+      logger.info('No updates recorded yet');
+      return;
+    }
+
+    console.table(updates.map(update => ({
+      Id: update.id,
+      Submodule: update.submodule,
+      Version: `${update.begin.currentVersion || update.begin.pre.submoduleCommit.substring(0, 8)} → ${update.begin.targetVersion}`,
+      Type: update.begin.updateType,
+      Status: update.status
+    })));
   }
 
   async batchUpdate(updates, options = {}) {
@@ -300,13 +808,8 @@ Co-Authored-By: Safe Update Bot <automation@burnt.com>`;
       skipped: []
     };
 
-    // Sort updates by risk level
-    const sortedUpdates = updates.sort((a, b) => {
-      const riskOrder = { 'low': 1, 'medium': 2, 'high': 3 };
-      const aType = this.determineUpdateTypeSync(a);
-      const bType = this.determineUpdateTypeSync(b);
-      return riskOrder[this.updateStrategies[aType].riskLevel] - riskOrder[this.updateStrategies[bType].riskLevel];
-    });
+    // Lowest risk first, so a failing major update doesn't hold back safe patches
+    const sortedUpdates = this.sortByRisk(updates, options);
 
     for (const update of sortedUpdates) {
       try {
@@ -315,7 +818,7 @@ Co-Authored-By: Safe Update Bot <automation@burnt.com>`;
         const result = await this.updateSubmodule(
           update.submodule,
           update.targetVersion,
-          { ...options, batchMode: true }
+          { ...options, approvalFile: update.approvalFile, batchMode: true }
         );
 
         results.successful.push(result);
@@ -338,9 +841,152 @@ Co-Authored-By: Safe Update Bot <automation@burnt.com>`;
     return results;
   }
 
-  determineUpdateTypeSync(update) {
-    // Simplified sync version for sorting
-    return 'medium'; // Default assumption
+  /**
+   * All or nothing: validate every update, check out every target, run the gates for each,
+   * and make a single parent commit only if all of them pass. Otherwise every submodule goes
+   * back to where it was and the parent is left untouched.
+   */
+  async atomicBatchUpdate(updates, options = {}) {
+    logger.header('🔄 Atomic Batch Submodule Update');
+
+    await this.handleInterruptedUpdates();
+
+    const journal = this.getJournal();
+    const batch = journal.createId('batch');
+    const results = { successful: [], failed: [], skipped: [], batch, parentCommit: null };
+    const updateContexts = [];
+
+    // Validate everything before changing anything
+    for (const update of this.sortByRisk(updates, options)) {
+      const updateContext = this.createUpdateContext(update.submodule, update.targetVersion, {
+        ...options,
+        approvalFile: update.approvalFile,
+        batch,
+        deferConsumerCheck: true
+      });
+
+      try {
+        logger.step(`Validating ${update.submodule}`, icons.package);
+        await this.preUpdateValidation(updateContext);
+
+        if (updateContext.targetCommit === updateContext.currentCommit) {
+          logger.info(`${update.submodule} is already at ${updateContext.targetVersion}`);
+          results.skipped.push({ submodule: update.submodule, targetVersion: updateContext.targetVersion, reason: 'already up to date' });
+          continue;
+        }
+
+        updateContexts.push(updateContext);
+      } catch (error) {
+        logger.warning(`${update.submodule}: ${error.message}`);
+        results.failed.push({ submodule: update.submodule, targetVersion: update.targetVersion, error: error.message });
+      }
+    }
+
+    if (results.failed.length > 0 || updateContexts.length === 0) {
+      if (results.failed.length > 0) {
+        logger.error(`Atomic batch aborted before changing anything: ${results.failed.length} updates failed validation`);
+        results.skipped.push(...updateContexts.map(({ submodule, targetVersion }) => ({ submodule, targetVersion, reason: 'batch aborted' })));
+      } else {
+        logger.info('Nothing to update');
+      }
+      this.printBatchResults(results);
+      return results;
+    }
+
+    let current = null;
+    try {
+      for (const updateContext of updateContexts) {
+        current = updateContext;
+        await this.createRollbackPoint(updateContext);
+        await this.performUpdate(updateContext, options);
+      }
+      current = null;
+
+      // With every target checked out, consumers are checked against the batch as a whole.
+      // As in a single update, a contract that can't be read fails too.
+      const checker = new ServiceCompatibilityChecker();
+      const compatibility = checker.buildMatrix({ providers: updateContexts.map(updateContext => updateContext.submodule) });
+      if (compatibility.consumers.length > 0) {
+        checker.printMatrix(compatibility);
+      }
+      for (const mismatch of compatibility.mismatches) {
+        results.failed.push({ submodule: mismatch.provider, targetVersion: null, error: mismatch.message });
+      }
+
+      // Gate every service, so one run reports all failures
+      for (const updateContext of updateContexts) {
+        try {
+          await this.postUpdateValidation(updateContext);
+        } catch (error) {
+          results.failed.push({ submodule: updateContext.submodule, targetVersion: updateContext.targetVersion, error: error.message });
+        }
+      }
+
+      if (results.failed.length > 0) {
+        throw new Error(`${results.failed.length} checks failed`);
+      }
+
+      logger.step('Updating parent repository', icons.git);
+      this.commitPointerChanges(updateContexts, this.generateBatchCommitMessage(updateContexts));
+      updateContexts.forEach(updateContext => journal.record(updateContext.id, 'complete'));
+
+      results.parentCommit = gitUtils.getCommitHash();
+      results.successful.push(...updateContexts);
+      logger.success(`Updated ${updateContexts.length} submodules in ${results.parentCommit.substring(0, 8)}`);
+    } catch (error) {
+      if (results.failed.length === 0) {
+        results.failed.push({ submodule: current?.submodule || batch, targetVersion: current?.targetVersion || null, error: error.message });
+      }
+
+      const failed = new Set(results.failed.map(failure => failure.submodule));
+      results.skipped.push(...updateContexts
+        .filter(updateContext => !failed.has(updateContext.submodule))
+        .map(({ submodule, targetVersion }) => ({ submodule, targetVersion, reason: 'rolled back with the batch' })));
+
+      // Rolling back one member rolls back the whole batch
+      const begun = updateContexts.find(updateContext => updateContext.rollbackPoint);
+      if (begun) {
+        await this.handleUpdateFailure(begun, error);
+      }
+    }
+
+    this.printBatchResults(results);
+    return results;
+  }
+
+  /**
+   * Updates in the order to apply them: lowest risk first
+   */
+  sortByRisk(updates, options = {}) {
+    return updates
+      .map(update => ({ update, updateType: this.determineUpdateTypeSync(update, options) }))
+      .sort((a, b) => this.compareRisk(a.updateType, b.updateType))
+      .map(({ update, updateType }) => {
+        logger.info(`${update.submodule} → ${update.targetVersion}: ${updateType} (${this.updateStrategies[updateType].riskLevel} risk)`);
+        return update;
+      });
+  }
+
+  /**
+   * Classify an update without fetching, from the tags already present locally
+   */
+  determineUpdateTypeSync(update, options = {}) {
+    try {
+      const currentVersion = findCurrentVersion(update.submodule);
+      const { tag } = resolveVersion(update.submodule, update.targetVersion, {
+        currentVersion,
+        includePrerelease: options.includePrerelease
+      });
+      return classifyUpdate(currentVersion, tag);
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  compareRisk(aType, bType) {
+    const aRisk = this.riskOrder[this.updateStrategies[aType].riskLevel];
+    const bRisk = this.riskOrder[this.updateStrategies[bType].riskLevel];
+    return aRisk - bRisk || UPDATE_TYPES.indexOf(aType) - UPDATE_TYPES.indexOf(bType);
   }
 
   printBatchResults(results) {
@@ -355,31 +1001,38 @@ Co-Authored-By: Safe Update Bot <automation@burnt.com>`;
         console.log(`  - ${failure.submodule}: ${failure.error}`);
       });
     }
+    if (results.skipped.length > 0) {
+      console.log('\n⏭️ Skipped Updates:');
+      results.skipped.forEach(skip => {
+        console.log(`  - ${skip.submodule}: ${skip.reason}`);
+      });
+    }
   }
 
-  async validateSubmoduleCompatibility(submodules) {
-    logger.header('🔍 Cross-Service Compatibility Check');
+  /**
+   * Consumer × provider matrix for the given submodules; refs checks providers at other versions
+   */
+  async validateSubmoduleCompatibility(submodules, refs = {}) {
+    const checker = new ServiceCompatibilityChecker({ services: submodules });
+    const report = checker.buildMatrix({ refs });
 
-    const compatibilityMatrix = {};
+    checker.printMatrix(report);
+    return report;
+  }
 
-    for (const submodule of submodules) {
-      compatibilityMatrix[submodule] = {};
+  /**
+   * Check what consumer declares it uses of provider against provider's contract (at ref, if given).
+   * Returns { status, mismatches }; a consumer that uses nothing of provider is compatible.
+   */
+  async checkServiceCompatibility(consumer, provider, ref = null) {
+    const checker = new ServiceCompatibilityChecker({ services: [consumer, provider] });
+    const [declared] = checker.findConsumers(provider);
 
-      for (const otherSubmodule of submodules) {
-        if (submodule !== otherSubmodule) {
-          const isCompatible = await this.checkServiceCompatibility(submodule, otherSubmodule);
-          compatibilityMatrix[submodule][otherSubmodule] = isCompatible;
-        }
-      }
+    if (!declared) {
+      return { status: 'compatible', mismatches: [] };
     }
 
-    return compatibilityMatrix;
-  }
-
-  async checkServiceCompatibility(serviceA, serviceB) {
-    // Simplified compatibility check
-    // In production, this would check contract versions, shared dependencies, etc.
-    return true;
+    return checker.checkUsage(declared.consumer, provider, declared.usage, ref);
   }
 }
 
@@ -390,8 +1043,9 @@ async function main() {
   const targetVersion = process.argv[3];
 
   if (!submodule || !targetVersion) {
-    console.log('Usage: node safe-update.js <submodule-path> <target-version>');
+    console.log('Usage: node safe-update.js <submodule-path> <target-version|range|latest|latest-minor|latest-patch>');
     console.log('Example: node safe-update.js dashboard v1.2.3');
+    console.log('Example: node safe-update.js dashboard "^1.2"');
     process.exit(1);
   }
 
@@ -0,0 +1,502 @@
+/**
+ * Secret scanner - Committed credentials in a service's files, and optionally its git history
+ *
+ * Files come from `git ls-files`, so .gitignore is respected; vendored directories,
+ * lockfiles, minified bundles and binary files are skipped. Each rule finds one kind of
+ * secret; the generic ones only fire next to a name that says what the value is, because
+ * hashes, integrity strings and ids look just as random as keys.
+ *
+ * Accepted findings (test fixtures, public values) are listed by fingerprint in the
+ * committed secrets-baseline.json, validated against schemas/secrets-baseline.schema.json:
+ *
+ *   {
+ *     "findings": [{
+ *       "fingerprint": "3f9a0c2b7d41e865",   from the scan output; hashes rule, service, file and value
+ *       "rule": "jwt",
+ *       "service": "dashboard",             service path; "." is the root repository
+ *       "file": "tests/fixtures/session.ts",
+ *       "reason": "Signed with the test key, expired in 2020",
+ *       "owner": "@burnt-labs/frontend",
+ *       "expires": "2026-12-31"             optional; the finding is reported again after this day
+ *     }]
+ *   }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { runSync, logger, fileUtils } = require('./utils');
+const { loadRepoConfig } = require('./repo-config');
+const { createReportDocument, getServiceLocation } = require('./report-formatters');
+
+// Committed third-party code; a key in there is someone else's to rotate
+const VENDORED_DIRS = ['node_modules', 'vendor', 'vendors', 'third_party', 'third-party', 'bower_components', '.yarn', '.pnpm-store'];
+const SKIPPED_FILES = ['package-lock.json', 'npm-shrinkwrap.json', 'pnpm-lock.yaml', 'yarn.lock'];
+const SKIPPED_SUFFIXES = ['.min.js', '.min.css', '.map'];
+const MAX_FILE_BYTES = 1024 * 1024;
+const HISTORY_COMMIT_LIMIT = 2000;
+
+const MNEMONIC_LENGTHS = [12, 15, 18, 21, 24];
+// Common English words that are not in the BIP-39 word list: a phrase using them is prose
+const PROSE_WORDS = new Set(['the', 'and', 'you', 'your', 'for', 'with', 'are', 'not', 'have', 'was', 'were', 'from', 'its', 'our', 'has', 'been', 'please', 'should', 'would', 'could']);
+// Bounded so a long unbroken line can't make matching quadratic
+const SECRET_NAME = '[\\w.-]{0,40}(?:secret|token|passw(?:or)?d|pwd|api[_-]?key|access[_-]?key|private[_-]?key|priv[_-]?key|auth|credential)[\\w.-]{0,40}';
+const PLACEHOLDER = /^(?:x+|\*+|<.*>|\$\{.*\}|\{\{.*\}\}|your[-_]|change[-_]?me|example|placeholder|dummy|redacted|todo)/i;
+const MIN_ENTROPY = 3.5;
+
+/**
+ * Shannon entropy of value in bits per character
+ */
+function entropy(value) {
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+  return [...counts.values()].reduce((sum, count) => {
+    const p = count / value.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+}
+
+function looksLikeMnemonic(phrase, line) {
+  const words = phrase.split(' ');
+  if (!MNEMONIC_LENGTHS.includes(words.length)) return false;
+  return /mnemonic|seed|phrase|recovery|secret/i.test(line) || !words.some(word => PROSE_WORDS.has(word));
+}
+
+function looksLikeKey(value) {
+  return value.length >= 16 &&
+    /^[A-Za-z0-9+/=_.~-]+$/.test(value) &&
+    /\d/.test(value) && /[A-Za-z]/.test(value) &&
+    !PLACEHOLDER.test(value) &&
+    entropy(value) >= MIN_ENTROPY;
+}
+
+/**
+ * id, description, a global pattern whose first group (or whole match) is the secret,
+ * and an optional accept(secret, line) check
+ */
+const SECRET_RULES = [
+  {
+    id: 'private-key-block',
+    description: 'PEM or armored private key',
+    // Armored keys have header lines (kdf: bcrypt); the start of the body tells two keys
+    // apart. A literal \n is how .env files and JSON hold a multi-line key.
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |ENCRYPTED |TENDERMINT )?PRIVATE KEY-----(?:(?:\\[rn]|\s)*[\w-]+: [^\n\\]*)*(?:\\[rn]|\s)*([A-Za-z0-9+/=]{16,64})/g
+  },
+  {
+    id: 'mnemonic',
+    description: 'Wallet mnemonic (BIP-39 seed phrase)',
+    pattern: /(?:["'`]|[:=]\s*)((?:[a-z]{3,8} ){11,23}[a-z]{3,8})(?=["'`]|\s*$)/gm,
+    accept: looksLikeMnemonic
+  },
+  {
+    id: 'cosmos-private-key',
+    description: 'Cosmos/XION private key (hex)',
+    pattern: /(?:priv(?:ate)?[_-]?key|secret[_-]?key|signer[_-]?key|(?:xion|cosmos)[\w-]{0,40}key)[\w-]{0,40}["'`]?\s*[:=]\s*["'`]?(?:0x)?([0-9a-fA-F]{64})\b/gi
+  },
+  {
+    id: 'cloudflare-api-token',
+    description: 'Cloudflare API token',
+    pattern: /(?:cloudflare|\bcf)[\w-]{0,40}(?:token|key)[\w-]{0,40}["'`]?\s*[:=]\s*["'`]?([A-Za-z0-9_-]{40})(?![A-Za-z0-9_-])/gi
+  },
+  {
+    id: 'cloudflare-api-key',
+    description: 'Cloudflare global API key',
+    pattern: /(?:cloudflare|\bcf)[\w-]{0,40}key[\w-]{0,40}["'`]?\s*[:=]\s*["'`]?([0-9a-f]{37})\b/gi
+  },
+  {
+    // Client-side keys (ck_) are meant to ship in frontends; server-side keys are not
+    id: 'crossmint-api-key',
+    description: 'Crossmint server-side API key',
+    pattern: /\b(sk_(?:production|staging)_[A-Za-z0-9]{20,})/g
+  },
+  {
+    id: 'jwt',
+    description: 'JSON Web Token',
+    pattern: /\b(eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{16,})/g
+  },
+  {
+    id: 'high-entropy-string',
+    description: 'High-entropy value assigned to a secret-like name',
+    pattern: new RegExp(`${SECRET_NAME}["'\`]?\\s*[:=]\\s*(?:["'\`]([^"'\`\\s]+)["'\`]|([^"'\`\\s,;]+)\\s*$)`, 'gim'),
+    accept: looksLikeKey
+  }
+];
+
+/**
+ * Secrets in text: [{ rule, line, secret }], one per line and value
+ */
+function scanText(text) {
+  const found = [];
+  const lineStarts = [0];
+  for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+    lineStarts.push(index + 1);
+  }
+  const lineAt = offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+    }
+    return low + 1;
+  };
+
+  for (const rule of SECRET_RULES) {
+    for (const match of text.matchAll(rule.pattern)) {
+      const secret = match.slice(1).find(Boolean) || match[0];
+      const line = lineAt(match.index);
+      const lineText = text.slice(lineStarts[line - 1], lineStarts[line] ?? text.length);
+      if (rule.accept && !rule.accept(secret, lineText)) continue;
+
+      // A value already reported by a more specific rule is not reported again
+      if (found.some(entry => entry.line === line && entry.secret.includes(secret))) continue;
+      found.push({ rule, line, secret });
+    }
+  }
+
+  return found;
+}
+
+function isScannable(file) {
+  const parts = file.split(/[\\/]/);
+  const name = parts[parts.length - 1];
+  return !parts.slice(0, -1).some(part => VENDORED_DIRS.includes(part)) &&
+    !SKIPPED_FILES.includes(name) &&
+    !SKIPPED_SUFFIXES.some(suffix => name.endsWith(suffix));
+}
+
+/**
+ * Files to scan in a service, relative to it: tracked and untracked-but-not-ignored
+ * files when it is a git repository, otherwise everything outside vendored directories
+ */
+function listFiles(servicePath) {
+  const { stdout, error } = runSync('git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard'], { cwd: servicePath, reject: false });
+  if (!error) {
+    return [...new Set(stdout.split('\0').filter(Boolean))].filter(isScannable);
+  }
+
+  const files = [];
+  const walk = (relative) => {
+    for (const entry of fs.readdirSync(path.join(servicePath, relative), { withFileTypes: true })) {
+      const file = path.join(relative, entry.name);
+      if (entry.isDirectory() && entry.name !== '.git' && !VENDORED_DIRS.includes(entry.name)) {
+        walk(file);
+      } else if (entry.isFile() && isScannable(file)) {
+        files.push(file);
+      }
+    }
+  };
+  walk('');
+  return files;
+}
+
+function readText(file) {
+  const stat = fs.statSync(file, { throwIfNoEntry: false });
+  if (!stat?.isFile() || stat.size > MAX_FILE_BYTES) return null;
+
+  const buffer = fs.readFileSync(file);
+  return buffer.subarray(0, 8000).includes(0) ? null : buffer.toString('utf8');
+}
+
+/**
+ * "sk_p…(41 chars)": enough to find the value, not enough to use it
+ */
+function redact(secret) {
+  return `${secret.slice(0, 4)}…(${secret.length} chars)`;
+}
+
+function fingerprint(rule, service, file, secret) {
+  return crypto.createHash('sha256').update([rule, service, file, secret].join('\0')).digest('hex').slice(0, 16);
+}
+
+function toFinding({ rule, line, secret }, service, file, commit = null) {
+  return {
+    rule: rule.id,
+    description: rule.description,
+    service,
+    file,
+    line,
+    commit,
+    preview: redact(secret),
+    fingerprint: fingerprint(rule.id, service, file, secret)
+  };
+}
+
+/**
+ * Secrets added by any commit reachable from a ref, newest HISTORY_COMMIT_LIMIT commits.
+ * A secret added more than once is reported at the oldest commit that added it.
+ */
+function scanHistory(servicePath, service) {
+  const { stdout, error } = runSync('git', [
+    'log', '--all', '-p', '--no-color', '--no-ext-diff', '--unified=0',
+    `--max-count=${HISTORY_COMMIT_LIMIT}`, '--format=%x00%H'
+  ], { cwd: servicePath, reject: false });
+  if (error) {
+    throw new Error(`Could not read the git history of ${servicePath}: ${error.message}`);
+  }
+
+  const findings = new Map();
+  let commits = 0;
+  let commit = null;
+  let file = null;
+  let line = 0;
+
+  for (const text of stdout.split('\n')) {
+    if (text.startsWith('\0')) {
+      commit = text.slice(1);
+      commits++;
+    } else if (text.startsWith('+++ ')) {
+      const target = text.slice(4).replace(/^"|"$/g, '');
+      file = target === '/dev/null' ? null : target.replace(/^b\//, '');
+    } else if (text.startsWith('@@')) {
+      line = Number(text.match(/\+(\d+)/)?.[1] || 0);
+    } else if (text.startsWith('+') && file) {
+      if (isScannable(file)) {
+        for (const found of scanText(text.slice(1))) {
+          const finding = toFinding({ ...found, line }, service, file, commit);
+          findings.set(finding.fingerprint, finding);
+        }
+      }
+      line++;
+    }
+  }
+
+  return { findings: [...findings.values()], commits, truncated: commits >= HISTORY_COMMIT_LIMIT };
+}
+
+const baselineCache = new Map();
+let schemaValidator = null;
+
+function getSchemaValidator() {
+  if (!schemaValidator) {
+    const Ajv2020 = require('ajv/dist/2020');
+    const schema = require('../schemas/secrets-baseline.schema.json');
+    schemaValidator = new Ajv2020({ allErrors: true }).compile(schema);
+  }
+  return schemaValidator;
+}
+
+/**
+ * Load the baseline named by security.secretsBaseline in xion-apps.config.json:
+ * { file, entries }, file null when there is none. Throws if it is not valid.
+ */
+function loadSecretsBaseline(root = process.cwd()) {
+  const file = path.resolve(root, loadRepoConfig(root).security.secretsBaseline);
+  if (baselineCache.has(file)) return baselineCache.get(file);
+
+  let result = { file: null, entries: [] };
+  if (fs.existsSync(file)) {
+    let declared;
+    try {
+      declared = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid ${file}: ${error.message}`);
+    }
+
+    const validate = getSchemaValidator();
+    if (!validate(declared)) {
+      const errors = validate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`);
+      throw new Error(`Invalid ${file}:\n  ${errors.join('\n  ')}`);
+    }
+
+    result = { file: path.relative(root, file), entries: declared.findings };
+  }
+
+  baselineCache.set(file, result);
+  return result;
+}
+
+/**
+ * A baseline entry as the suppression of a report's suppressed finding (see report-formatters.js)
+ */
+function toSuppression(entry, source) {
+  return { reason: entry.reason, owner: entry.owner, expires: entry.expires || null, source };
+}
+
+/**
+ * Scan a service: { findings, baselined: [{ ...finding, entry }], files, commits, truncated }.
+ * Baselined findings are accepted ones; an expired baseline entry accepts nothing.
+ */
+function scanSecrets(servicePath, { history = false, baseline = loadSecretsBaseline(), now = new Date() } = {}) {
+  const service = path.normalize(servicePath);
+  const files = listFiles(servicePath);
+  const found = new Map();
+
+  for (const file of files) {
+    const text = readText(path.join(servicePath, file));
+    if (text === null) continue;
+    scanText(text).forEach(entry => {
+      const finding = toFinding(entry, service, file);
+      found.set(finding.fingerprint, finding);
+    });
+  }
+
+  let commits = 0;
+  let truncated = false;
+  if (history) {
+    const scanned = scanHistory(servicePath, service);
+    ({ commits, truncated } = scanned);
+    // A secret still in the working tree is reported there
+    scanned.findings.filter(finding => !found.has(finding.fingerprint)).forEach(finding => found.set(finding.fingerprint, finding));
+  }
+
+  const today = now.toISOString().slice(0, 10);
+  const accepted = new Map(baseline.entries
+    .filter(entry => !entry.expires || entry.expires >= today)
+    .map(entry => [entry.fingerprint, entry]));
+
+  const result = { findings: [], baselined: [], files: files.length, commits, truncated };
+  const ordered = [...found.values()].sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+  for (const finding of ordered) {
+    const entry = accepted.get(finding.fingerprint);
+    if (entry) {
+      result.baselined.push({ ...finding, entry });
+    } else {
+      result.findings.push(finding);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * "src/config.ts:12 JSON Web Token (eyJh…(180 chars)), fingerprint 3f9a0c2b7d41e865",
+ * with the commit for history findings
+ */
+function describeFinding(finding) {
+  const where = finding.commit ? `${finding.file}:${finding.line} in ${finding.commit.slice(0, 8)}` : `${finding.file}:${finding.line}`;
+  return `${where} ${finding.description} (${finding.preview}), fingerprint ${finding.fingerprint}`;
+}
+
+class SecretScanner {
+  /**
+   * @param {object} options - { history } also scans git history
+   */
+  constructor(options = {}) {
+    this.history = Boolean(options.history);
+  }
+
+  /**
+   * Scan each target ([{ name, path }]): [{ name, path, findings, baselined, files, commits, truncated, error }]
+   */
+  scan(targets) {
+    const baseline = loadSecretsBaseline();
+
+    return targets.map(({ name, path: servicePath }) => {
+      logger.substep(`Scanning ${name}${this.history ? ' and its history' : ''}...`);
+      const result = { name, path: servicePath, findings: [], baselined: [], files: 0, commits: 0, truncated: false, error: null };
+      try {
+        Object.assign(result, scanSecrets(servicePath, { history: this.history, baseline }));
+      } catch (error) {
+        result.error = error.message;
+        logger.warning(`${name}: ${error.message}`);
+      }
+      if (result.truncated) {
+        logger.warning(`${name}: only the newest ${HISTORY_COMMIT_LIMIT} commits were scanned`);
+      }
+      return result;
+    });
+  }
+
+  printResults(results) {
+    const findings = results.flatMap(result => result.findings);
+
+    if (findings.length > 0) {
+      console.table(findings.map(finding => ({
+        Service: finding.service,
+        Location: `${finding.file}:${finding.line}`,
+        Commit: finding.commit ? finding.commit.slice(0, 8) : '-',
+        Rule: finding.rule,
+        Value: finding.preview,
+        Fingerprint: finding.fingerprint
+      })));
+    }
+
+    const baselined = results.reduce((sum, result) => sum + result.baselined.length, 0);
+    if (baselined > 0) {
+      logger.info(`${baselined} finding(s) accepted in ${loadSecretsBaseline().file}`);
+    }
+  }
+
+  /**
+   * Add every unaccepted finding to the baseline with one reason and owner.
+   * Returns the number added.
+   */
+  updateBaseline(results, { reason, owner, expires }, root = process.cwd()) {
+    if (!reason || !owner) {
+      throw new Error('Accepting findings into the baseline needs --reason and --owner');
+    }
+
+    const file = path.resolve(root, loadRepoConfig(root).security.secretsBaseline);
+    const { entries } = loadSecretsBaseline(root);
+    const known = new Set(entries.map(entry => entry.fingerprint));
+    const added = results
+      .flatMap(result => result.findings)
+      .filter(finding => !known.has(finding.fingerprint))
+      .map(({ fingerprint: id, rule, service, file: findingFile }) => ({
+        fingerprint: id, rule, service, file: findingFile, reason, owner, ...(expires ? { expires } : {})
+      }));
+
+    fileUtils.writeJson(file, { $schema: './schemas/secrets-baseline.schema.json', findings: [...entries, ...added] });
+    baselineCache.delete(file);
+    return added.length;
+  }
+
+  toReportDocument(results) {
+    const rules = Object.fromEntries(SECRET_RULES.map(rule => [`secrets/${rule.id}`, `No ${rule.description} committed`]));
+    rules['secrets/scan'] = 'Every service must be scannable';
+    const baselineFile = loadSecretsBaseline().file;
+
+    const services = [];
+    const findings = [];
+    const suppressed = [];
+
+    for (const result of results) {
+      const message = finding => `${finding.description} (${finding.preview})${finding.commit ? ` added in ${finding.commit.slice(0, 8)}` : ''}, fingerprint ${finding.fingerprint}`;
+      // History findings may be in files that no longer exist, so the path is kept as found
+      const location = finding => ({ file: path.join(result.path, finding.file), line: finding.line });
+
+      if (result.error) {
+        findings.push({ ruleId: 'secrets/scan', severity: 'error', message: `Could not scan: ${result.error}`, service: result.name, location: getServiceLocation(result.path) });
+      }
+      for (const finding of result.findings) {
+        findings.push({ ruleId: `secrets/${finding.rule}`, severity: 'error', message: message(finding), service: result.name, location: location(finding) });
+      }
+      for (const finding of result.baselined) {
+        suppressed.push({ ruleId: `secrets/${finding.rule}`, message: message(finding), service: result.name, location: location(finding), suppression: toSuppression(finding.entry, baselineFile) });
+      }
+
+      const checks = SECRET_RULES.map(rule => ({
+        id: rule.id,
+        name: rule.description,
+        passed: !result.error && !result.findings.some(finding => finding.rule === rule.id)
+      }));
+      services.push({ name: result.name, passed: checks.every(check => check.passed), checks });
+    }
+
+    return createReportDocument({
+      kind: 'secrets',
+      summary: {
+        services: results.length,
+        files: results.reduce((sum, result) => sum + result.files, 0),
+        commits: results.reduce((sum, result) => sum + result.commits, 0),
+        findings: findings.filter(finding => finding.ruleId !== 'secrets/scan').length,
+        baselined: suppressed.length
+      },
+      rules,
+      services,
+      findings,
+      suppressed
+    });
+  }
+}
+
+module.exports = {
+  SECRET_RULES,
+  SecretScanner,
+  scanSecrets,
+  scanText,
+  loadSecretsBaseline,
+  describeFinding,
+  toSuppression
+};
@@ -0,0 +1,116 @@
+/**
+ * Security exceptions - Accepted advisories, from the committed security-exceptions.json
+ * Validated against schemas/security-exceptions.schema.json:
+ *
+ *   {
+ *     "exceptions": [{
+ *       "advisory": "GHSA-35jh-r3h4-6jhm",   advisory id as audits report it
+ *       "services": ["dashboard"],           service paths; "." is the root package, "*" every service
+ *       "reason": "Only reachable from the dev server",
+ *       "owner": "@burnt-labs/frontend",
+ *       "expires": "2026-12-31"              accepted through this day (UTC)
+ *     }]
+ *   }
+ *
+ * A live exception moves matching advisories out of the findings and into a separate
+ * suppressed list. An expired one suppresses nothing, and fails the checks of every
+ * service it lists until it is renewed or removed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadRepoConfig } = require('./repo-config');
+
+const exceptionsCache = new Map();
+let schemaValidator = null;
+
+function getSchemaValidator() {
+  if (!schemaValidator) {
+    const Ajv2020 = require('ajv/dist/2020');
+    const schema = require('../schemas/security-exceptions.schema.json');
+    schemaValidator = new Ajv2020({ allErrors: true }).compile(schema);
+  }
+  return schemaValidator;
+}
+
+/**
+ * Load the exceptions file named by security.exceptions in xion-apps.config.json:
+ * { file, exceptions }, file null when there is none. Throws if it is not valid.
+ */
+function loadSecurityExceptions(root = process.cwd()) {
+  const file = path.resolve(root, loadRepoConfig(root).security.exceptions);
+  if (exceptionsCache.has(file)) return exceptionsCache.get(file);
+
+  let result = { file: null, exceptions: [] };
+  if (fs.existsSync(file)) {
+    let declared;
+    try {
+      declared = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid ${file}: ${error.message}`);
+    }
+
+    const validate = getSchemaValidator();
+    if (!validate(declared)) {
+      const errors = validate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`);
+      throw new Error(`Invalid ${file}:\n  ${errors.join('\n  ')}`);
+    }
+
+    result = { file: path.relative(root, file), exceptions: declared.exceptions };
+  }
+
+  exceptionsCache.set(file, result);
+  return result;
+}
+
+function isExpired(exception, now = new Date()) {
+  return now.toISOString().slice(0, 10) > exception.expires;
+}
+
+function coversService(exception, service) {
+  return exception.services.some(entry => entry === '*' || path.normalize(entry) === path.normalize(service));
+}
+
+/**
+ * Split a service's advisories by the exceptions:
+ * { advisories, suppressed: [{ ...advisory, exception }], expired: [exception] }
+ * expired lists every expired exception for the service, matched or not.
+ */
+function applySecurityExceptions(advisories, service, { exceptions }, now = new Date()) {
+  const forService = exceptions.filter(exception => coversService(exception, service));
+  const live = forService.filter(exception => !isExpired(exception, now));
+  const result = { advisories: [], suppressed: [], expired: forService.filter(exception => isExpired(exception, now)) };
+
+  for (const advisory of advisories) {
+    const exception = live.find(candidate => candidate.advisory.toLowerCase() === String(advisory.id).toLowerCase());
+    if (exception) {
+      result.suppressed.push({ ...advisory, exception });
+    } else {
+      result.advisories.push(advisory);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * "GHSA-… accepted by @owner until 2026-12-31: reason"
+ */
+function describeException(exception) {
+  return `${exception.advisory} accepted by ${exception.owner} until ${exception.expires}: ${exception.reason}`;
+}
+
+/**
+ * An exception as the suppression of a report's suppressed finding (see report-formatters.js)
+ */
+function toSuppression(exception, source) {
+  return { reason: exception.reason, owner: exception.owner, expires: exception.expires, source };
+}
+
+module.exports = {
+  loadSecurityExceptions,
+  applySecurityExceptions,
+  describeException,
+  toSuppression,
+  isExpired
+};
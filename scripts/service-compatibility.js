@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * Service Compatibility - Consumer-driven contract checks between services
+ *
+ * A consumer declares what it uses of other services in its xion-service.json:
+ *   "consumes": {
+ *     "xion.js": { "exports": ["AbstraxionProvider", "AbstraxionConfig.treasury"] },
+ *     "assets": { "operations": ["GET /assets/{id}"] }
+ *   }
+ * Every declared operation or export must exist in the provider's contract,
+ * either as checked out or at a given ref (e.g. the target of an update).
+ */
+
+const { logger, gitUtils } = require('./utils');
+const { createReportDocument } = require('./report-formatters');
+const { loadServiceConfig, SERVICE_CONFIG_FILE } = require('./service-config');
+const { parseOpenApi, listOperations, operationKey } = require('./openapi-diff');
+const { isTypeScriptContract, extractTypeScriptContract } = require('./typescript-contract');
+const { resolveCommit, readFileAtCommit } = require('./contract-baseline');
+const fs = require('fs');
+const path = require('path');
+
+function normalizeService(servicePath) {
+  return path.normalize(servicePath).replace(/[\\/]+$/, '');
+}
+
+class ServiceCompatibilityChecker {
+  /**
+   * @param {object} options - { services } limits the services considered (default: all submodules)
+   */
+  constructor(options = {}) {
+    this.services = (options.services || this.getAllServices()).map(normalizeService);
+    this.surfaces = new Map();
+  }
+
+  getAllServices() {
+    return gitUtils.getSubmodules().map(sub => sub.path).filter(servicePath => fs.existsSync(servicePath));
+  }
+
+  /**
+   * What a service's contract offers: { contractFile, operations: Set, exports } or
+   * { error } when there is no contract to check against. ref reads it from git history.
+   */
+  loadSurface(provider, ref = null) {
+    const cacheKey = `${provider}@${ref || 'working-tree'}`;
+    if (this.surfaces.has(cacheKey)) return this.surfaces.get(cacheKey);
+
+    const surface = this.readSurface(provider, ref);
+    this.surfaces.set(cacheKey, surface);
+    return surface;
+  }
+
+  readSurface(provider, ref) {
+    if (!fs.existsSync(provider)) {
+      return { error: `Provider ${provider} is not checked out` };
+    }
+
+    const { contract } = loadServiceConfig(provider);
+    if (!contract) {
+      return { error: `Provider ${provider} has no API contract` };
+    }
+
+    const contractFile = path.join(provider, contract.path);
+    let content;
+
+    if (ref) {
+      const commit = resolveCommit(provider, ref);
+      if (!commit) return { error: `${ref} does not exist in ${provider}` };
+      content = readFileAtCommit(provider, commit, contractFile);
+    } else if (fs.existsSync(contractFile)) {
+      content = fs.readFileSync(contractFile, 'utf8');
+    }
+
+    if (content === null || content === undefined) {
+      return { error: `Provider ${provider} has no ${contract.path}${ref ? ` at ${ref}` : ''}` };
+    }
+
+    try {
+      if (isTypeScriptContract(contractFile)) {
+        return { contractFile, operations: new Set(), exports: extractTypeScriptContract(content, contractFile).exports };
+      }
+
+      const document = parseOpenApi(content, contractFile);
+      if (!document) return { error: `${contractFile} is not an OpenAPI, Swagger or TypeScript contract` };
+
+      return { contractFile, operations: new Set(listOperations(document).map(operation => operation.key)), exports: {} };
+    } catch (error) {
+      return { error: `Failed to read ${contractFile}: ${error.message}` };
+    }
+  }
+
+  /**
+   * Find a dotted export path (Interface.member) in a TypeScript contract snapshot
+   */
+  hasExport(exports, exportPath) {
+    const [name, ...members] = exportPath.split('.');
+    let node = exports[name];
+
+    for (const member of members) {
+      node = node?.members?.[member];
+    }
+
+    return Boolean(node);
+  }
+
+  /**
+   * Check one consumer's declared usage of one provider.
+   * Returns { status: 'compatible' | 'incompatible' | 'unknown', mismatches: [...] }
+   */
+  checkUsage(consumer, provider, usage, ref = null) {
+    const surface = this.loadSurface(provider, ref);
+    if (surface.error) {
+      return { status: 'unknown', mismatches: [{ consumer, provider, kind: 'contract', name: null, message: surface.error }] };
+    }
+
+    const mismatches = [];
+
+    for (const operation of usage.operations || []) {
+      if (!surface.operations.has(operationKey(operation))) {
+        mismatches.push({
+          consumer,
+          provider,
+          kind: 'operation',
+          name: operation,
+          message: `${consumer} calls ${operation}, which ${provider}${ref ? `@${ref}` : ''} does not provide`
+        });
+      }
+    }
+
+    for (const exportPath of usage.exports || []) {
+      if (!this.hasExport(surface.exports, exportPath)) {
+        mismatches.push({
+          consumer,
+          provider,
+          kind: 'export',
+          name: exportPath,
+          message: `${consumer} imports ${exportPath}, which ${provider}${ref ? `@${ref}` : ''} does not export`
+        });
+      }
+    }
+
+    return { status: mismatches.length > 0 ? 'incompatible' : 'compatible', mismatches };
+  }
+
+  /**
+   * Services that declare usage of provider, with what they use
+   */
+  findConsumers(provider) {
+    const consumers = [];
+
+    for (const service of this.services) {
+      if (service === normalizeService(provider)) continue;
+
+      const usage = this.getDeclaredUsage(service)[normalizeService(provider)];
+      if (usage) consumers.push({ consumer: service, usage });
+    }
+
+    return consumers;
+  }
+
+  getDeclaredUsage(service) {
+    const consumes = loadServiceConfig(service).consumes || {};
+    return Object.fromEntries(Object.entries(consumes).map(([provider, usage]) => [normalizeService(provider), usage]));
+  }
+
+  /**
+   * Build the consumer × provider matrix.
+   * @param {object} options - { providers } limits the providers checked;
+   *   { refs: { [provider]: ref } } checks providers at a ref instead of the working tree
+   */
+  buildMatrix(options = {}) {
+    const providerFilter = options.providers?.map(normalizeService) || null;
+    const refs = Object.fromEntries(Object.entries(options.refs || {}).map(([provider, ref]) => [normalizeService(provider), ref]));
+    const matrix = {};
+    const mismatches = [];
+    const providers = new Set();
+
+    for (const consumer of this.services) {
+      let declared;
+      try {
+        declared = this.getDeclaredUsage(consumer);
+      } catch (error) {
+        logger.warning(`Skipping ${consumer}: ${error.message}`);
+        continue;
+      }
+
+      for (const [provider, usage] of Object.entries(declared)) {
+        if (providerFilter && !providerFilter.includes(provider)) continue;
+
+        const result = this.checkUsage(consumer, provider, usage, refs[provider] || null);
+        matrix[consumer] = matrix[consumer] || {};
+        matrix[consumer][provider] = { ...result, ref: refs[provider] || null };
+        mismatches.push(...result.mismatches);
+        providers.add(provider);
+      }
+    }
+
+    return {
+      consumers: Object.keys(matrix),
+      providers: [...providers].sort(),
+      matrix,
+      mismatches,
+      compatible: mismatches.length === 0
+    };
+  }
+
+  printMatrix(report) {
+    logger.header('🔗 Service Compatibility Matrix');
+
+    if (report.consumers.length === 0) {
+      logger.info(`No service declares "consumes" in ${SERVICE_CONFIG_FILE}`);
+      return;
+    }
+
+    const symbols = { compatible: '✅', incompatible: '❌', unknown: '⚠️' };
+    console.table(report.consumers.map(consumer => {
+      const row = { Consumer: consumer };
+      for (const provider of report.providers) {
+        const cell = report.matrix[consumer][provider];
+        row[provider] = cell
+          ? `${symbols[cell.status]}${cell.mismatches.length > 0 ? ` ${cell.mismatches.length}` : ''}`
+          : '';
+      }
+      return row;
+    }));
+
+    if (report.mismatches.length > 0) {
+      console.log('\n🚨 Mismatches:');
+      report.mismatches.forEach((mismatch, index) => {
+        console.log(`  ${index + 1}. ${mismatch.message}`);
+      });
+    }
+  }
+
+  toReportDocument(report) {
+    const rules = {};
+    for (const provider of report.providers) {
+      rules[`compatibility/${provider}`] = `Everything consumers use of ${provider} must exist in its contract`;
+    }
+
+    const services = report.consumers.map(consumer => {
+      const checks = Object.entries(report.matrix[consumer]).map(([provider, cell]) => ({
+        id: provider,
+        name: provider,
+        passed: cell.status === 'compatible'
+      }));
+      return { name: consumer, passed: checks.every(check => check.passed), checks };
+    });
+
+    const findings = report.mismatches.map(mismatch => ({
+      ruleId: `compatibility/${mismatch.provider}`,
+      severity: mismatch.kind === 'contract' ? 'warning' : 'error',
+      message: mismatch.message,
+      service: mismatch.consumer,
+      location: { file: path.join(mismatch.consumer, SERVICE_CONFIG_FILE) }
+    }));
+
+    return createReportDocument({
+      kind: 'compatibility',
+      summary: {
+        consumers: report.consumers.length,
+        providers: report.providers.length,
+        mismatches: report.mismatches.filter(mismatch => mismatch.kind !== 'contract').length,
+        unknown: report.mismatches.filter(mismatch => mismatch.kind === 'contract').length
+      },
+      rules,
+      services,
+      findings
+    });
+  }
+}
+
+async function main() {
+  const provider = process.argv[2];
+  const ref = process.argv[3];
+  const checker = new ServiceCompatibilityChecker();
+
+  try {
+    const report = checker.buildMatrix({
+      providers: provider ? [provider] : null,
+      refs: provider && ref ? { [provider]: ref } : {}
+    });
+    checker.printMatrix(report);
+
+    if (!report.compatible) {
+      logger.error(`Found ${report.mismatches.length} consumer/provider mismatches`);
+      process.exit(1);
+    }
+
+    logger.success('All declared consumer usage is provided');
+  } catch (error) {
+    logger.error(`Compatibility check failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { ServiceCompatibilityChecker };
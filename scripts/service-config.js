@@ -0,0 +1,186 @@
+/**
+ * Service configuration - Per-service xion-service.json
+ * Declares a service's type, commands, contract, deploy target, health URL,
+ * what it consumes of other services and gate overrides. Anything not declared is inferred from the service's files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { packageUtils } = require('./utils');
+
+const SERVICE_CONFIG_FILE = 'xion-service.json';
+const SERVICE_TYPES = ['worker', 'next-app', 'expo-app', 'library'];
+
+const DEFAULT_CONTRACT_FILES = [
+  'openapi.yml',
+  'swagger.json',
+  'api.contract.ts',
+  'contracts/api.json',
+  'src/contracts/index.ts',
+  'contracts/api.contract.ts',
+  'api/contracts.json'
+];
+
+const configCache = new Map();
+let schemaValidator = null;
+
+function getSchemaValidator() {
+  if (!schemaValidator) {
+    const Ajv2020 = require('ajv/dist/2020');
+    const schema = require('../schemas/xion-service.schema.json');
+    schemaValidator = new Ajv2020({ allErrors: true }).compile(schema);
+  }
+  return schemaValidator;
+}
+
+/**
+ * Validate a parsed xion-service.json against the schema
+ */
+function validateServiceConfig(data) {
+  const validate = getSchemaValidator();
+  if (validate(data)) {
+    return { valid: true, errors: [] };
+  }
+
+  const errors = validate.errors.map(error => {
+    const where = error.instancePath || '(root)';
+    const detail = error.params?.additionalProperty
+      ? `${error.message} "${error.params.additionalProperty}"`
+      : error.params?.allowedValues
+        ? `${error.message}: ${error.params.allowedValues.join(', ')}`
+        : error.message;
+    return `${where} ${detail}`;
+  });
+
+  return { valid: false, errors };
+}
+
+function readPackageJson(servicePath) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(servicePath, 'package.json'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function hasAnyFile(servicePath, files) {
+  return files.some(file => fs.existsSync(path.join(servicePath, file)));
+}
+
+function inferType(servicePath, pkg) {
+  const deps = { ...pkg?.dependencies, ...pkg?.devDependencies };
+
+  if (hasAnyFile(servicePath, ['wrangler.toml', 'wrangler.json', 'wrangler.jsonc'])) return 'worker';
+  if (deps.next || hasAnyFile(servicePath, ['next.config.js', 'next.config.mjs', 'next.config.ts'])) return 'next-app';
+  if (deps.expo || hasAnyFile(servicePath, ['eas.json'])) return 'expo-app';
+  if (pkg && (pkg.main || pkg.module || pkg.exports)) return 'library';
+
+  return null;
+}
+
+function inferCommands(servicePath, pkg) {
+  const packageManager = packageUtils.detectPackageManager(servicePath);
+
+  const commands = { install: pkg ? packageUtils.getInstallCommand(packageManager).join(' ') : null };
+  for (const name of ['build', 'test', 'lint', 'typecheck']) {
+    commands[name] = pkg?.scripts?.[name] ? `${packageManager} run ${name}` : null;
+  }
+
+  // Deploy scripts often target a non-production environment, so only an
+  // explicitly declared deploy command is ever run
+  commands.deploy = null;
+
+  return commands;
+}
+
+function inferContract(servicePath) {
+  const contractFile = DEFAULT_CONTRACT_FILES.find(file => fs.existsSync(path.join(servicePath, file)));
+  return contractFile ? { path: contractFile } : null;
+}
+
+function inferDeployTarget(servicePath, type, pkg) {
+  if (type === 'worker') return 'cloudflare-workers';
+  if (fs.existsSync(path.join(servicePath, 'vercel.json'))) return 'vercel';
+  if (fs.existsSync(path.join(servicePath, 'netlify.toml'))) return 'netlify';
+  if (fs.existsSync(path.join(servicePath, 'Dockerfile'))) return 'docker';
+  if (type === 'expo-app' && fs.existsSync(path.join(servicePath, 'eas.json'))) return 'expo-eas';
+  if (type === 'library' && pkg && !pkg.private) return 'npm';
+  return 'none';
+}
+
+function inferDeployUrl(servicePath, target) {
+  // Workers are published under the account's workers.dev subdomain
+  if (target === 'cloudflare-workers') {
+    return `https://${path.basename(path.resolve(servicePath))}.burnt.workers.dev`;
+  }
+  return null;
+}
+
+/**
+ * Load the resolved configuration for a service: declared values from
+ * xion-service.json layered over values inferred from the service's files.
+ * Throws if xion-service.json exists but is not valid.
+ */
+function loadServiceConfig(servicePath) {
+  const cacheKey = path.resolve(servicePath);
+  if (configCache.has(cacheKey)) {
+    return configCache.get(cacheKey);
+  }
+
+  const configPath = path.join(servicePath, SERVICE_CONFIG_FILE);
+  let declared = {};
+
+  if (fs.existsSync(configPath)) {
+    try {
+      declared = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid ${configPath}: ${error.message}`);
+    }
+
+    const { valid, errors } = validateServiceConfig(declared);
+    if (!valid) {
+      throw new Error(`Invalid ${configPath}:\n  ${errors.join('\n  ')}`);
+    }
+  }
+
+  const pkg = readPackageJson(servicePath);
+  const type = declared.type || inferType(servicePath, pkg);
+  const target = declared.deploy?.target || inferDeployTarget(servicePath, type, pkg);
+  const url = declared.deploy?.url || inferDeployUrl(servicePath, target);
+
+  const config = {
+    service: servicePath,
+    file: fs.existsSync(configPath) ? configPath : null,
+    type,
+    commands: { ...inferCommands(servicePath, pkg), ...declared.commands },
+    contract: 'contract' in declared ? declared.contract : inferContract(servicePath),
+    deploy: { target, url },
+    health: { url: declared.health?.url || (url ? `${url}/health` : null) },
+    consumes: declared.consumes || {},
+    gates: declared.gates || {},
+    declared
+  };
+
+  configCache.set(cacheKey, config);
+  return config;
+}
+
+/**
+ * Forget cached configuration, for one service (e.g. after checking out another version) or all
+ */
+function clearServiceConfigCache(servicePath = null) {
+  if (servicePath) {
+    configCache.delete(path.resolve(servicePath));
+  } else {
+    configCache.clear();
+  }
+}
+
+module.exports = {
+  SERVICE_CONFIG_FILE,
+  SERVICE_TYPES,
+  DEFAULT_CONTRACT_FILES,
+  loadServiceConfig,
+  clearServiceConfigCache,
+  validateServiceConfig
+};
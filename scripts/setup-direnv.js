@@ -4,7 +4,7 @@
  * Creates .envrc files that override Git behavior for seamless automation
  */
 
-const { execCommand, execQuiet, logger, gitUtils, fileUtils, icons } = require('./utils');
+const { run, commandExists, logger, gitUtils, fileUtils, icons } = require('./utils');
 const fs = require('fs');
 const path = require('path');
 
@@ -42,12 +42,7 @@ class DirectoryEnvironmentSetup {
   }
 
   checkDirenvInstalled() {
-    try {
-      execQuiet('which direnv');
-      return true;
-    } catch (error) {
-      return false;
-    }
+    return commandExists('direnv');
   }
 
   async setupRootEnvironment() {
@@ -60,7 +55,7 @@ class DirectoryEnvironmentSetup {
 
     // Allow the .envrc file
     try {
-      execCommand('direnv allow .');
+      await run('direnv', ['allow', '.']);
       logger.success('Root .envrc created and allowed');
     } catch (error) {
       logger.warning('Could not auto-allow .envrc - run: direnv allow .');
@@ -92,7 +87,7 @@ class DirectoryEnvironmentSetup {
 
     // Allow the .envrc file
     try {
-      execCommand(`cd ${submodulePath} && direnv allow .`);
+      await run('direnv', ['allow', '.'], { cwd: submodulePath });
     } catch (error) {
       logger.warning(`Could not auto-allow ${submodulePath}/.envrc`);
     }
@@ -142,7 +137,7 @@ fi
 `;
 
     fs.writeFileSync(path.join(scriptsDir, 'auto-commit.sh'), autoCommitScript);
-    execCommand(`chmod +x ${scriptsDir}/auto-commit.sh`);
+    fs.chmodSync(path.join(scriptsDir, 'auto-commit.sh'), 0o755);
 
     // Auto-push helper
     const autoPushScript = `#!/bin/bash
@@ -175,7 +170,7 @@ echo "✅ Successfully pushed \$SERVICE_NAME"
 `;
 
     fs.writeFileSync(path.join(scriptsDir, 'auto-push.sh'), autoPushScript);
-    execCommand(`chmod +x ${scriptsDir}/auto-push.sh`);
+    fs.chmodSync(path.join(scriptsDir, 'auto-push.sh'), 0o755);
 
     // Sync helper
     const syncScript = `#!/bin/bash
@@ -201,7 +196,7 @@ fi
 `;
 
     fs.writeFileSync(path.join(scriptsDir, 'auto-sync.sh'), syncScript);
-    execCommand(`chmod +x ${scriptsDir}/auto-sync.sh`);
+    fs.chmodSync(path.join(scriptsDir, 'auto-sync.sh'), 0o755);
   }
 
   async setupGitHooksIntegration() {
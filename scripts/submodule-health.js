@@ -4,12 +4,22 @@
  * Focuses on deployment readiness, not build performance
  */
 
-const { execCommand, execQuiet, logger, gitUtils, fileUtils, icons } = require('./utils');
+const { run, logger, gitUtils, fileUtils, icons } = require('./utils');
+const { createReportDocument, getServiceLocation } = require('./report-formatters');
+const { loadServiceConfig } = require('./service-config');
+const { TaskRunner } = require('./task-runner');
+const { auditService, describeAdvisorySource } = require('./dependency-audit');
+const { loadSecurityExceptions, applySecurityExceptions, describeException, toSuppression } = require('./security-exceptions');
+const { scanSecrets, loadSecretsBaseline, toSuppression: toSecretSuppression } = require('./secret-scanner');
 const fs = require('fs');
 const path = require('path');
 
 class SubmoduleHealthMonitor {
-  constructor() {
+  /**
+   * @param {object} options - { runner: { jobs, timeout } } controls how services are assessed in parallel
+   */
+  constructor(options = {}) {
+    this.runnerOptions = options.runner || {};
     this.metrics = {
       meanTimeToDeployment: [],
       deploymentIndependenceScore: 0,
@@ -23,22 +33,27 @@ class SubmoduleHealthMonitor {
     logger.header('🏥 Production Submodule Health Assessment');
 
     const submodules = gitUtils.getSubmodules();
-    const healthReport = [];
+    const runner = new TaskRunner(this.runnerOptions);
+    const outcomes = await runner.run(submodules.map(submodule => ({
+      name: submodule.path,
+      module: './submodule-health',
+      exportName: 'SubmoduleHealthMonitor',
+      method: 'assessServiceHealth',
+      args: [submodule]
+    })));
 
-    for (const submodule of submodules) {
-      const health = await this.assessServiceHealth(submodule);
-      healthReport.push(health);
-    }
+    const healthReport = outcomes.map((outcome, index) => outcome.status === 'passed'
+      ? outcome.result
+      : { ...this.createHealthRecord(submodules[index]), error: `Assessment ${outcome.status}: ${outcome.error}` });
 
     return this.generateHealthSummary(healthReport);
   }
 
-  async assessServiceHealth(submodule) {
-    const { path: servicePath, commit } = submodule;
-
-    logger.step(`Analyzing ${servicePath}`, icons.package);
-
-    const health = {
+  /**
+   * Health of a service before anything is known about it
+   */
+  createHealthRecord({ path: servicePath, commit }) {
+    return {
       service: servicePath,
       currentCommit: commit,
       hasStableTag: false,
@@ -50,9 +65,22 @@ class SubmoduleHealthMonitor {
       rollbackCapability: false,
       contractCompliance: false,
       securityStatus: 'unknown',
-      dependencyVulnerabilities: 0,
+      secretFindings: null,
+      baselinedSecrets: [],
+      dependencyVulnerabilities: null,
+      suppressedVulnerabilities: [],
+      expiredExceptions: [],
+      advisorySource: null,
       performanceScore: 'N/A'
     };
+  }
+
+  async assessServiceHealth(submodule) {
+    const { path: servicePath, commit } = submodule;
+
+    logger.step(`Analyzing ${servicePath}`, icons.package);
+
+    const health = this.createHealthRecord(submodule);
 
     try {
       // Check if current commit is on a stable tag
@@ -66,11 +94,14 @@ class SubmoduleHealthMonitor {
       // Check contract compliance
       health.contractCompliance = await this.checkContractCompliance(servicePath);
 
+      // Committed secrets (null when the service could not be scanned)
+      Object.assign(health, this.checkSecrets(servicePath));
+
       // Security assessment
-      health.securityStatus = await this.checkSecurityStatus(servicePath);
+      health.securityStatus = await this.checkSecurityStatus(servicePath, health.secretFindings);
 
-      // Dependency vulnerabilities
-      health.dependencyVulnerabilities = await this.checkVulnerabilities(servicePath);
+      // Dependency vulnerabilities (null when no advisory source could answer)
+      Object.assign(health, await this.checkVulnerabilities(servicePath));
 
       // Rollback capability
       health.rollbackCapability = await this.checkRollbackCapability(servicePath);
@@ -88,9 +119,9 @@ class SubmoduleHealthMonitor {
 
   async checkStableTag(servicePath, commit) {
     try {
-      const tagOutput = execQuiet(`cd ${servicePath} && git describe --exact-match ${commit} 2>/dev/null`);
+      const { stdout: tagOutput, error } = await run('git', ['describe', '--exact-match', commit], { cwd: servicePath, reject: false });
 
-      if (tagOutput) {
+      if (!error && tagOutput) {
         const version = tagOutput.trim();
         // Check if it's a proper semantic version tag
         const isSemanticVersion = /^v?\d+\.\d+\.\d+/.test(version);
@@ -119,29 +150,28 @@ class SubmoduleHealthMonitor {
     };
 
     try {
-      // Check for package.json and build script
+      const config = loadServiceConfig(servicePath);
+
+      // Check for package.json and build command
       const packageJsonPath = path.join(servicePath, 'package.json');
       if (fs.existsSync(packageJsonPath)) {
         checks.hasPackageJson = true;
         const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-        checks.hasBuildScript = !!(pkg.scripts && pkg.scripts.build);
-        checks.hasHealthCheck = !!(pkg.scripts && (pkg.scripts.health || pkg.scripts['health-check']));
+        checks.hasHealthCheck = !!(config.health.url || (pkg.scripts && (pkg.scripts.health || pkg.scripts['health-check'])));
       }
+      checks.hasBuildScript = !!config.commands.build;
 
-      // Check for deployment configuration
-      const deploymentFiles = [
-        'Dockerfile',
-        'vercel.json',
-        'netlify.toml',
-        '.github/workflows/deploy.yml'
-      ];
-
-      checks.hasDeploymentConfig = deploymentFiles.some(file =>
-        fs.existsSync(path.join(servicePath, file))
-      );
+      // Check for deployment configuration (declared or inferred target)
+      checks.hasDeploymentConfig = config.deploy.target !== 'none' ||
+        fs.existsSync(path.join(servicePath, '.github/workflows/deploy.yml'));
 
       checks.hasDockerfile = fs.existsSync(path.join(servicePath, 'Dockerfile'));
 
+      // Libraries are published, not deployed
+      if (config.type === 'library') {
+        return checks.hasPackageJson && checks.hasBuildScript;
+      }
+
     } catch (error) {
       logger.warning(`Error checking deployment readiness for ${servicePath}: ${error.message}`);
     }
@@ -153,17 +183,8 @@ class SubmoduleHealthMonitor {
   async checkContractCompliance(servicePath) {
     try {
       // Check for API contract definitions
-      const contractFiles = [
-        'contracts/api.contract.ts',
-        'src/contracts/',
-        'api/contracts.json',
-        'openapi.yml',
-        'swagger.json'
-      ];
-
-      const hasContracts = contractFiles.some(file =>
-        fs.existsSync(path.join(servicePath, file))
-      );
+      const { contract } = loadServiceConfig(servicePath);
+      const hasContracts = !!contract && fs.existsSync(path.join(servicePath, contract.path));
 
       if (!hasContracts) {
         return false;
@@ -178,14 +199,15 @@ class SubmoduleHealthMonitor {
     }
   }
 
-  async checkSecurityStatus(servicePath) {
+  async checkSecurityStatus(servicePath, secretFindings) {
     try {
       // Check for security-related files
       const securityIndicators = {
         hasSecurityPolicy: fs.existsSync(path.join(servicePath, 'SECURITY.md')),
         hasGitignore: fs.existsSync(path.join(servicePath, '.gitignore')),
         hasEnvExample: fs.existsSync(path.join(servicePath, '.env.example')),
-        noSecretsInRepo: true // TODO: Implement secret scanning
+        ignoresSecretFiles: false,
+        noSecretsInRepo: Array.isArray(secretFindings) && secretFindings.length === 0
       };
 
       // Quick check for obvious security issues
@@ -195,9 +217,7 @@ class SubmoduleHealthMonitor {
         const hasEnvIgnore = gitignore.includes('.env') || gitignore.includes('*.env');
         const hasKeyIgnore = gitignore.includes('*.key') || gitignore.includes('*.pem');
 
-        if (!hasEnvIgnore || !hasKeyIgnore) {
-          securityIndicators.noSecretsInRepo = false;
-        }
+        securityIndicators.ignoresSecretFiles = hasEnvIgnore && hasKeyIgnore;
       }
 
       // Determine overall security status
@@ -214,29 +234,35 @@ class SubmoduleHealthMonitor {
     }
   }
 
-  async checkVulnerabilities(servicePath) {
+  checkSecrets(servicePath) {
     try {
-      const auditOutput = execQuiet(`cd ${servicePath} && npm audit --json 2>/dev/null`);
-
-      if (auditOutput) {
-        const audit = JSON.parse(auditOutput);
-        return audit.metadata?.vulnerabilities?.total || 0;
-      }
+      const { findings, baselined } = scanSecrets(servicePath, { baseline: loadSecretsBaseline() });
+      return { secretFindings: findings, baselinedSecrets: baselined };
+    } catch (error) {
+      return { secretFindings: null, secretScanError: error.message };
+    }
+  }
 
-      return 0;
+  async checkVulnerabilities(servicePath) {
+    try {
+      const { advisories, source } = await auditService(servicePath);
+      const { advisories: active, suppressed, expired } = applySecurityExceptions(advisories, servicePath, loadSecurityExceptions());
+      return {
+        dependencyVulnerabilities: active.length,
+        suppressedVulnerabilities: suppressed.map(({ id, package: name, exception }) => ({ id, package: name, exception })),
+        expiredExceptions: expired,
+        advisorySource: source
+      };
     } catch (error) {
-      return 0;
+      return { dependencyVulnerabilities: null, advisorySource: null, vulnerabilityError: error.message };
     }
   }
 
   async checkRollbackCapability(servicePath) {
     try {
       // Check if service has previous deployable tags
-      const tags = execQuiet(`cd ${servicePath} && git tag -l --sort=-version:refname | head -5`);
-
-      if (!tags) return false;
-
-      const tagList = tags.trim().split('\n').filter(Boolean);
+      const { stdout: tags } = await run('git', ['tag', '-l', '--sort=-version:refname'], { cwd: servicePath, reject: false });
+      const tagList = tags.trim().split('\n').filter(Boolean).slice(0, 5);
 
       // Service has rollback capability if it has multiple stable tags
       const stableTags = tagList.filter(tag =>
@@ -270,13 +296,23 @@ class SubmoduleHealthMonitor {
     const stableServices = healthReport.filter(h => h.hasStableTag).length;
     const secureServices = healthReport.filter(h => h.securityStatus === 'excellent' || h.securityStatus === 'good').length;
     const vulnerableServices = healthReport.filter(h => h.dependencyVulnerabilities > 0).length;
+    const unauditedServices = healthReport.filter(h => h.dependencyVulnerabilities === null).length;
+    const suppressedVulnerabilities = healthReport.reduce((sum, h) => sum + h.suppressedVulnerabilities.length, 0);
+    const expiredExceptions = new Set(healthReport.flatMap(h => h.expiredExceptions.map(describeException))).size;
+    const servicesWithSecrets = healthReport.filter(h => h.secretFindings?.length > 0).length;
+    const advisoryData = [...new Set(healthReport.filter(h => h.advisorySource).map(h => describeAdvisorySource(h.advisorySource)))];
 
     // Production-focused metrics
     const metrics = {
       deploymentIndependenceScore: (deployableServices / totalServices * 100).toFixed(1),
       serviceStabilityScore: (stableServices / totalServices * 100).toFixed(1),
       securityScore: (secureServices / totalServices * 100).toFixed(1),
+      servicesWithSecrets,
       vulnerabilityExposure: vulnerableServices,
+      unauditedServices,
+      suppressedVulnerabilities,
+      expiredExceptions,
+      advisoryData,
       rollbackReadiness: healthReport.filter(h => h.rollbackCapability).length
     };
 
@@ -284,7 +320,16 @@ class SubmoduleHealthMonitor {
     console.log(`  Deployment Independence: ${metrics.deploymentIndependenceScore}% (${deployableServices}/${totalServices} services)`);
     console.log(`  Service Stability: ${metrics.serviceStabilityScore}% (${stableServices}/${totalServices} on stable tags)`);
     console.log(`  Security Posture: ${metrics.securityScore}% (${secureServices}/${totalServices} services secure)`);
-    console.log(`  Vulnerability Exposure: ${vulnerableServices} services with vulnerabilities`);
+    if (servicesWithSecrets > 0) {
+      console.log(`  Committed Secrets: ${servicesWithSecrets} services`);
+    }
+    console.log(`  Vulnerability Exposure: ${vulnerableServices} services with vulnerabilities${unauditedServices > 0 ? `, ${unauditedServices} not audited` : ''}`);
+    if (suppressedVulnerabilities > 0 || expiredExceptions > 0) {
+      console.log(`  Security Exceptions: ${suppressedVulnerabilities} vulnerabilities suppressed, ${expiredExceptions} exceptions expired`);
+    }
+    if (advisoryData.length > 0) {
+      console.log(`  Advisory Data: ${advisoryData.join('; ')}`);
+    }
     console.log(`  Rollback Readiness: ${metrics.rollbackReadiness}/${totalServices} services can rollback`);
 
     // Detailed service breakdown
@@ -294,7 +339,7 @@ class SubmoduleHealthMonitor {
       Version: h.currentVersion || 'HEAD',
       Deployable: h.isDeployable ? '✅' : '❌',
       Security: this.getSecurityIcon(h.securityStatus),
-      Vulnerabilities: h.dependencyVulnerabilities,
+      Vulnerabilities: `${h.dependencyVulnerabilities ?? '❓'}${h.suppressedVulnerabilities.length > 0 ? ` (+${h.suppressedVulnerabilities.length} accepted)` : ''}`,
       Rollback: h.rollbackCapability ? '✅' : '❌'
     })));
 
@@ -314,6 +359,106 @@ class SubmoduleHealthMonitor {
     };
   }
 
+  toReportDocument(summary) {
+    const rules = {
+      'health/deployable': 'Service must be deployment-ready',
+      'health/stable-tag': 'Pinned commit should be a stable release tag',
+      'health/security': 'Service should have a good security posture',
+      'health/secrets': 'No secrets should be committed',
+      'health/vulnerabilities': 'Dependencies should be audited and have no known vulnerabilities',
+      'health/rollback': 'Service should have at least two stable tags to roll back to',
+      'health/assessment': 'Health assessment must complete'
+    };
+
+    const services = [];
+    const findings = [];
+    const suppressed = [];
+    const exceptionsFile = loadSecurityExceptions().file;
+    const baselineFile = loadSecretsBaseline().file;
+
+    for (const health of summary.healthReport) {
+      const secure = health.securityStatus === 'excellent' || health.securityStatus === 'good';
+      const checks = [
+        { id: 'deployable', name: 'Deployable', passed: health.isDeployable },
+        { id: 'stable-tag', name: 'Stable tag', passed: health.hasStableTag },
+        { id: 'security', name: 'Security', passed: secure },
+        { id: 'secrets', name: 'Secrets', passed: health.secretFindings?.length === 0 },
+        { id: 'vulnerabilities', name: 'Vulnerabilities', passed: health.dependencyVulnerabilities === 0 && health.expiredExceptions.length === 0 },
+        { id: 'rollback', name: 'Rollback', passed: health.rollbackCapability }
+      ];
+
+      const add = (id, severity, message, file) => {
+        findings.push({ ruleId: `health/${id}`, severity, message, service: health.service, location: getServiceLocation(health.service, file) });
+      };
+
+      if (health.error) {
+        checks.push({ id: 'assessment', name: 'Assessment', passed: false });
+        add('assessment', 'error', `Health assessment failed: ${health.error}`);
+      }
+      if (!health.isDeployable) {
+        add('deployable', 'error', 'Service is not deployment-ready (needs package.json, a build command or Dockerfile, and a deploy target in xion-service.json or a deployment config file)');
+      }
+      if (!health.hasStableTag) {
+        add('stable-tag', 'note', `Pinned commit ${String(health.currentCommit).substring(0, 8)} is not on a stable tag`);
+      }
+      if (!secure) {
+        add('security', 'warning', `Security posture is ${health.securityStatus}`, '.gitignore');
+      }
+      if (health.secretScanError) {
+        add('secrets', 'error', `Could not scan for secrets: ${health.secretScanError}`);
+      }
+      for (const finding of health.secretFindings || []) {
+        findings.push({
+          ruleId: 'health/secrets',
+          severity: 'error',
+          message: `${finding.description} (${finding.preview}), fingerprint ${finding.fingerprint}`,
+          service: health.service,
+          location: { file: path.join(health.service, finding.file), line: finding.line }
+        });
+      }
+      for (const finding of health.baselinedSecrets) {
+        suppressed.push({
+          ruleId: 'health/secrets',
+          message: `${finding.description} (${finding.preview}), fingerprint ${finding.fingerprint}`,
+          service: health.service,
+          location: { file: path.join(health.service, finding.file), line: finding.line },
+          suppression: toSecretSuppression(finding.entry, baselineFile)
+        });
+      }
+      if (health.vulnerabilityError) {
+        add('vulnerabilities', 'error', `Could not audit dependencies: ${health.vulnerabilityError}`, 'package.json');
+      } else if (health.dependencyVulnerabilities > 0) {
+        add('vulnerabilities', health.dependencyVulnerabilities > 5 ? 'error' : 'warning',
+          `${health.dependencyVulnerabilities} known vulnerabilities in dependencies`, 'package-lock.json');
+      }
+      if (!health.rollbackCapability) {
+        add('rollback', 'note', 'Fewer than two stable tags available for rollback');
+      }
+      for (const exception of health.expiredExceptions) {
+        findings.push({
+          ruleId: 'health/vulnerabilities',
+          severity: 'error',
+          message: `Security exception expired: ${describeException(exception)}`,
+          service: health.service,
+          location: { file: exceptionsFile }
+        });
+      }
+      for (const { id, package: name, exception } of health.suppressedVulnerabilities) {
+        suppressed.push({
+          ruleId: 'health/vulnerabilities',
+          message: `${id} in ${name}`,
+          service: health.service,
+          location: getServiceLocation(health.service, 'package-lock.json'),
+          suppression: toSuppression(exception, exceptionsFile)
+        });
+      }
+
+      services.push({ name: health.service, passed: checks.every(c => c.passed), checks });
+    }
+
+    return createReportDocument({ kind: 'health', summary: summary.metrics, rules, services, findings, suppressed });
+  }
+
   getSecurityIcon(status) {
     switch (status) {
       case 'excellent': return '🟢';
@@ -333,6 +478,21 @@ class SubmoduleHealthMonitor {
       items.push(`🚨 ${undeployableServices.length} services are not deployment-ready: ${undeployableServices.map(s => s.service).join(', ')}`);
     }
 
+    const expiredServices = healthReport.filter(h => h.expiredExceptions.length > 0);
+    if (expiredServices.length > 0) {
+      items.push(`🚨 ${expiredServices.length} services have expired security exceptions: ${expiredServices.map(s => s.service).join(', ')}`);
+    }
+
+    const leakingServices = healthReport.filter(h => h.secretFindings?.length > 0);
+    if (leakingServices.length > 0) {
+      items.push(`🚨 ${leakingServices.length} services have committed secrets to rotate and remove: ${leakingServices.map(s => s.service).join(', ')}`);
+    }
+
+    const unauditedServices = healthReport.filter(h => h.vulnerabilityError);
+    if (unauditedServices.length > 0) {
+      items.push(`🚨 ${unauditedServices.length} services could not be audited for vulnerabilities: ${unauditedServices.map(s => s.service).join(', ')}`);
+    }
+
     const vulnerableServices = healthReport.filter(h => h.dependencyVulnerabilities > 5);
     if (vulnerableServices.length > 0) {
       items.push(`🔒 ${vulnerableServices.length} services have high vulnerability counts: ${vulnerableServices.map(s => s.service).join(', ')}`);
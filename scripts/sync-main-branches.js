@@ -1,126 +1,91 @@
 #!/usr/bin/env node
-const { execSync } = require('child_process');
-const readline = require('readline');
+const { run, runSync, gitUtils, createPrompt } = require('./utils');
+const { TaskRunner } = require('./task-runner');
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-function execCommand(command, options = {}) {
-  try {
-    return execSync(command, { encoding: 'utf8', ...options });
-  } catch (error) {
-    throw error;
+function getDefaultBranch(submodulePath) {
+  // Try to get the default branch from remote HEAD
+  const remoteHead = runSync('git', ['symbolic-ref', 'refs/remotes/origin/HEAD'], { cwd: submodulePath, reject: false });
+  if (!remoteHead.error) {
+    return remoteHead.stdout.trim().replace('refs/remotes/origin/', '');
   }
-}
 
-function question(query) {
-  return new Promise(resolve => rl.question(query, resolve));
+  // Fallback: check if main exists, otherwise use master
+  const hasMain = !runSync('git', ['show-ref', '--verify', '--quiet', 'refs/remotes/origin/main'], { cwd: submodulePath, reject: false }).error;
+  return hasMain ? 'main' : 'master';
 }
 
-function getDefaultBranch(submodulePath) {
-  try {
-    const originalDir = process.cwd();
-    process.chdir(submodulePath);
+/**
+ * Fetch a submodule and find the latest commit on its default branch.
+ * Only touches the submodule, so it is safe to run for every submodule at once.
+ */
+async function fetchDefaultBranch(submodulePath) {
+  const defaultBranch = getDefaultBranch(submodulePath);
 
-    // Try to get the default branch from remote HEAD
-    try {
-      const defaultBranch = execCommand('git symbolic-ref refs/remotes/origin/HEAD', { stdio: 'pipe' })
-        .trim()
-        .replace('refs/remotes/origin/', '');
-      process.chdir(originalDir);
-      return defaultBranch;
-    } catch (error) {
-      // Fallback: check if main exists, otherwise use master
-      try {
-        execCommand('git show-ref --verify --quiet refs/remotes/origin/main', { stdio: 'pipe' });
-        process.chdir(originalDir);
-        return 'main';
-      } catch (error) {
-        process.chdir(originalDir);
-        return 'master';
-      }
-    }
-  } catch (error) {
-    return 'main'; // Default fallback
-  }
+  await run('git', ['fetch', 'origin'], { cwd: submodulePath });
+  const latestCommit = (await run('git', ['rev-parse', `refs/remotes/origin/${defaultBranch}`], { cwd: submodulePath })).stdout.trim();
+
+  return { defaultBranch, latestCommit };
 }
 
-async function syncMainBranches() {
+async function syncMainBranches(options = {}) {
+  const { confirm, close } = createPrompt({ yes: options.yes, no: options.no });
+
   try {
     console.log('🌿 Syncing submodule main branches...');
 
     // Get list of submodules
-    const submoduleStatus = execCommand('git submodule status', { stdio: 'pipe' }).trim();
+    const submodules = gitUtils.getSubmodules();
 
-    if (!submoduleStatus) {
+    if (submodules.length === 0) {
       console.log('ℹ️  No submodules found');
-      rl.close();
       return;
     }
 
-    const submodules = submoduleStatus
-      .split('\n')
-      .map(line => {
-        const parts = line.trim().split(' ');
-        return {
-          commit: parts[0].replace(/^[+-]/, ''),
-          path: parts[1],
-          ref: parts[2] || ''
-        };
-      })
-      .filter(sub => sub.path);
-
     console.log(`📦 Found ${submodules.length} submodules`);
 
-    const shouldProceed = await question(`\n🔄 Create/update main branch mirrors for all submodules? (y/N): `);
+    const shouldProceed = await confirm(`\n🔄 Create/update main branch mirrors for all submodules? (y/N): `);
 
-    if (shouldProceed.toLowerCase() !== 'y') {
+    if (!shouldProceed) {
       console.log('ℹ️  Operation cancelled');
-      rl.close();
       return;
     }
 
+    // Fetch every submodule at once; branches in the parent are then created one by one
+    const runner = new TaskRunner(options.runner);
+    const fetched = await runner.run(submodules.map(submodule => ({
+      name: submodule.path,
+      module: './sync-main-branches',
+      exportName: 'fetchDefaultBranch',
+      args: [submodule.path]
+    })));
+
     let successCount = 0;
     let errorCount = 0;
 
-    for (const submodule of submodules) {
+    for (const [index, submodule] of submodules.entries()) {
       console.log(`\n📦 Processing ${submodule.path}...`);
 
       try {
-        // Get the default branch name for this submodule
-        const defaultBranch = getDefaultBranch(submodule.path);
+        if (fetched[index].status !== 'passed') {
+          throw new Error(fetched[index].error);
+        }
+
+        const { defaultBranch, latestCommit } = fetched[index].result;
         const branchName = `${submodule.path}/${defaultBranch}`;
 
         console.log(`  🌿 Default branch: ${defaultBranch}`);
         console.log(`  🔗 Creating branch: ${branchName}`);
 
         // Check if branch already exists
-        try {
-          execCommand(`git show-ref --verify --quiet refs/heads/${branchName}`, { stdio: 'pipe' });
+        if (!runSync('git', ['show-ref', '--verify', '--quiet', `refs/heads/${branchName}`], { reject: false }).error) {
           console.log(`  ♻️  Branch ${branchName} already exists, updating...`);
 
           // Delete existing branch
-          execCommand(`git branch -D ${branchName}`, { stdio: 'pipe' });
-        } catch (error) {
-          // Branch doesn't exist, which is fine
+          runSync('git', ['branch', '-D', branchName]);
         }
 
-        // Get the latest commit from the submodule's default branch
-        const originalDir = process.cwd();
-        process.chdir(submodule.path);
-
-        // Fetch latest changes
-        execCommand('git fetch origin', { stdio: 'pipe' });
-
-        // Get the latest commit hash from the default branch
-        const latestCommit = execCommand(`git rev-parse origin/${defaultBranch}`, { stdio: 'pipe' }).trim();
-
-        process.chdir(originalDir);
-
         // Create the branch pointing to the submodule's latest commit
-        execCommand(`git branch ${branchName} ${latestCommit}`, { stdio: 'pipe' });
+        runSync('git', ['branch', branchName, latestCommit]);
 
         console.log(`  ✅ Created ${branchName} -> ${latestCommit.substring(0, 8)}`);
         successCount++;
@@ -134,7 +99,7 @@ async function syncMainBranches() {
     // Show all created branches
     console.log('\n🌿 Mirror branches created:');
     try {
-      const branches = execCommand('git branch --list "*/main" "*/master"', { stdio: 'pipe' })
+      const branches = runSync('git', ['branch', '--list', '*/main', '*/master']).stdout
         .trim()
         .split('\n')
         .filter(branch => branch.trim());
@@ -159,10 +124,15 @@ async function syncMainBranches() {
 
   } catch (error) {
     console.error('❌ Error syncing branches:', error.message);
-    process.exit(1);
+    process.exit(error.exitCode || 1);
   } finally {
-    rl.close();
+    close();
   }
 }
 
-syncMainBranches();
\ No newline at end of file
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  syncMainBranches({ yes: argv.includes('--yes'), no: argv.includes('--no') });
+}
+
+module.exports = { syncMainBranches, getDefaultBranch, fetchDefaultBranch };
\ No newline at end of file
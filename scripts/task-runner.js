@@ -0,0 +1,282 @@
+/**
+ * Task runner - Run per-service work concurrently, with ordered, prefixed output
+ *
+ * Each task runs in its own process, so synchronous work in one service (git, npm,
+ * builds, file scans) doesn't hold up the others. A task is either
+ *   { name, command, args, cwd, env, capture, readOnly }
+ *       a program; with capture its stdout is returned instead of printed
+ *   { name, module, exportName, options, method, args }
+ *       a function from scripts/, run by task-worker.js: module.exports[exportName](...args),
+ *       or new exportName(options)[method](...args). The result comes back as JSON.
+ *
+ * Output of the earliest unfinished task streams live; output of later tasks is held
+ * back until every task before it has finished, so logs read as if run one by one.
+ * Every line is prefixed with its task name.
+ *
+ * A per-task timeout stops the task's whole process group (SIGTERM, then SIGKILL).
+ * Ctrl-C stops running tasks, skips pending ones and makes run() throw a
+ * TaskCancelledError once everything has stopped; a second Ctrl-C exits at once.
+ *
+ * Under a dry run, mutating program tasks are recorded instead of started, and the
+ * steps workers skipped are added to this process's plan in task order.
+ */
+
+const { spawn, fork } = require('child_process');
+const os = require('os');
+const path = require('path');
+const { logger, colors, dryRun, isReadOnlyCommand } = require('./utils');
+
+const DEFAULT_JOBS = os.availableParallelism();
+const KILL_GRACE_MS = 5000;
+const WORKER = path.join(__dirname, 'task-worker.js');
+
+class TaskCancelledError extends Error {
+  constructor(message = 'Cancelled') {
+    super(message);
+    this.name = 'TaskCancelledError';
+    this.code = 'CANCELLED';
+    this.exitCode = 130;
+  }
+}
+
+/**
+ * Runner options from the --jobs and --timeout (seconds) CLI options
+ */
+function parseRunnerOptions(options = {}) {
+  const runnerOptions = {};
+
+  if (options.jobs !== undefined) {
+    const jobs = Number(options.jobs);
+    if (!Number.isInteger(jobs) || jobs < 1) {
+      throw new Error(`--jobs must be a positive whole number, got ${options.jobs}`);
+    }
+    runnerOptions.jobs = jobs;
+  }
+
+  if (options.timeout !== undefined) {
+    const seconds = Number(options.timeout);
+    if (!(seconds > 0)) {
+      throw new Error(`--timeout must be a positive number of seconds, got ${options.timeout}`);
+    }
+    runnerOptions.timeout = seconds * 1000;
+  }
+
+  return runnerOptions;
+}
+
+class TaskRunner {
+  /**
+   * @param {object} options - { jobs } tasks at once (default: CPU count);
+   *   { timeout } per-task limit in ms; { prefix: false } prints lines without the task name
+   */
+  constructor(options = {}) {
+    this.jobs = options.jobs || DEFAULT_JOBS;
+    this.timeout = options.timeout || null;
+    this.prefix = options.prefix !== false;
+  }
+
+  /**
+   * Run tasks; resolves with one result per task, in task order:
+   * { name, status: 'passed' | 'failed' | 'timed-out' | 'cancelled', result, error, exitCode, duration }
+   */
+  run(tasks) {
+    if (tasks.length === 0) return Promise.resolve([]);
+
+    const width = Math.max(...tasks.map(task => task.name.length));
+    const states = tasks.map(task => ({ task, buffer: [], partial: { stdout: '', stderr: '' }, output: '', finished: false }));
+    let head = 0;
+    let started = 0;
+    let running = 0;
+    let cancelled = false;
+
+    const print = (state, line) => {
+      console.log(this.prefix ? `${colors.dim}[${state.task.name.padEnd(width)}]${colors.reset} ${line}` : line);
+    };
+
+    const emit = (state, line) => {
+      if (states[head] === state) print(state, line);
+      else state.buffer.push(line);
+    };
+
+    const flush = (state, stream) => {
+      if (state.partial[stream]) emit(state, state.partial[stream]);
+      state.partial[stream] = '';
+    };
+
+    const advanceHead = () => {
+      while (head < states.length && states[head].finished) {
+        head++;
+        if (head < states.length) {
+          const state = states[head];
+          state.buffer.forEach(line => print(state, line));
+          state.buffer = [];
+        }
+      }
+    };
+
+    const onSigint = () => {
+      if (cancelled) {
+        states.forEach(state => this.stop(state, 'SIGKILL'));
+        process.exit(130);
+      }
+
+      cancelled = true;
+      logger.warning(`Cancelling: stopping ${running} running task(s), skipping ${states.length - started} (Ctrl-C again to force)`);
+      states.forEach(state => this.stop(state));
+    };
+    const onExit = () => states.forEach(state => this.stop(state, 'SIGKILL'));
+
+    process.on('SIGINT', onSigint);
+    process.on('exit', onExit);
+
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        process.removeListener('SIGINT', onSigint);
+        process.removeListener('exit', onExit);
+
+        for (const state of states.filter(state => !state.outcome)) {
+          state.outcome = { name: state.task.name, status: 'cancelled', result: null, error: 'Not started', exitCode: null, duration: 0 };
+        }
+        states.forEach(state => dryRun.plan.push(...(state.plan || [])));
+
+        if (cancelled) reject(new TaskCancelledError(`Cancelled after ${states.filter(state => state.started).length} of ${states.length} tasks started`));
+        else resolve(states.map(state => state.outcome));
+      };
+
+      const finish = (state, outcome) => {
+        flush(state, 'stdout');
+        flush(state, 'stderr');
+        if (outcome.status !== 'passed') {
+          emit(state, `${colors.red}${outcome.status}: ${outcome.error}${colors.reset}`);
+        }
+
+        state.finished = true;
+        state.outcome = outcome;
+        running--;
+        advanceHead();
+        launch();
+      };
+
+      const launch = () => {
+        while (!cancelled && running < this.jobs && started < states.length) {
+          const state = states[started++];
+          running++;
+          this.start(state, {
+            onLine: line => emit(state, line),
+            onFinish: outcome => finish(state, outcome),
+            isCancelled: () => cancelled
+          });
+        }
+
+        if (running === 0 && (cancelled || started === states.length)) done();
+      };
+
+      launch();
+    });
+  }
+
+  start(state, { onLine, onFinish, isCancelled }) {
+    const { task } = state;
+    const startTime = Date.now();
+    const env = { ...process.env, ...task.env };
+    let message = null;
+
+    state.started = true;
+
+    if (!task.module && dryRun.enabled && !task.readOnly && !isReadOnlyCommand(task.command, task.args)) {
+      state.plan = [{ action: 'run', command: task.command, args: task.args || [], cwd: path.resolve(task.cwd || '.') }];
+      onLine(`Dry run, skipped: ${dryRun.describe(state.plan[0])}`);
+      process.nextTick(() => onFinish({ name: task.name, status: 'passed', result: task.capture ? '' : null, error: null, exitCode: 0, duration: 0 }));
+      return;
+    }
+
+    state.child = task.module
+      ? fork(WORKER, [], { cwd: task.cwd, env, stdio: ['ignore', 'pipe', 'pipe', 'ipc'], detached: true })
+      : spawn(task.command, task.args || [], { cwd: task.cwd, env, stdio: ['ignore', 'pipe', 'pipe'], detached: true });
+
+    const onData = (stream, chunk) => {
+      if (stream === 'stdout' && task.capture) {
+        state.output += chunk;
+        return;
+      }
+
+      const lines = (state.partial[stream] + chunk).split('\n');
+      state.partial[stream] = lines.pop();
+      lines.forEach(onLine);
+    };
+    state.child.stdout.setEncoding('utf8').on('data', chunk => onData('stdout', chunk));
+    state.child.stderr.setEncoding('utf8').on('data', chunk => onData('stderr', chunk));
+
+    if (task.module) {
+      state.child.on('message', reply => { message = reply; });
+      state.child.send({ module: task.module, exportName: task.exportName, options: task.options, method: task.method, args: task.args || [] });
+    }
+
+    const timer = this.timeout && setTimeout(() => {
+      state.timedOut = true;
+      this.stop(state);
+    }, this.timeout);
+
+    let settled = false;
+    const settle = (exitCode, error) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(state.killTimer);
+      state.child = null;
+
+      const outcome = { name: task.name, status: 'passed', result: null, error: null, exitCode, duration: Date.now() - startTime };
+
+      if (task.module) {
+        state.plan = message?.plan;
+        outcome.result = message && 'result' in message ? message.result : null;
+        error = error || message?.error?.message || (message ? null : `Worker exited with code ${exitCode} before returning a result`);
+      } else {
+        outcome.result = task.capture ? state.output : null;
+        error = error || (exitCode !== 0 ? `${task.command} exited with code ${exitCode}` : null);
+      }
+
+      if (state.timedOut) {
+        outcome.status = 'timed-out';
+        outcome.error = `Timed out after ${this.timeout / 1000}s`;
+      } else if (isCancelled() && (error || exitCode === null)) {
+        outcome.status = 'cancelled';
+        outcome.error = 'Cancelled';
+      } else if (error) {
+        outcome.status = 'failed';
+        outcome.error = error;
+      }
+
+      onFinish(outcome);
+    };
+
+    state.child.on('error', error => settle(null, error.message));
+    state.child.on('close', (code, signal) => settle(code, signal ? `Killed by ${signal}` : null));
+  }
+
+  /**
+   * Stop a running task's process group: SIGTERM, then SIGKILL if it lingers
+   */
+  stop(state, signal = 'SIGTERM') {
+    const { child } = state;
+    if (!child || child.exitCode !== null || child.signalCode !== null) return;
+
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      return; // already gone
+    }
+
+    if (signal === 'SIGTERM' && !state.killTimer) {
+      state.killTimer = setTimeout(() => this.stop(state, 'SIGKILL'), KILL_GRACE_MS);
+      state.killTimer.unref();
+    }
+  }
+}
+
+module.exports = {
+  TaskRunner,
+  TaskCancelledError,
+  parseRunnerOptions,
+  DEFAULT_JOBS
+};
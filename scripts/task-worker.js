@@ -0,0 +1,35 @@
+/**
+ * Task worker - Runs one function for task-runner.js in a child process
+ *
+ * Receives { module, exportName, options, method, args } over IPC, relative to scripts/,
+ * and replies with { result } or { error }, plus the steps a dry run skipped as plan.
+ */
+
+const path = require('path');
+const { dryRun } = require('./utils');
+
+// How long to wait for handles a task left open before exiting anyway
+const WATCHDOG_MS = 1000;
+
+process.once('message', async ({ module, exportName, options, method, args }) => {
+  let reply;
+
+  try {
+    const exported = require(path.join(__dirname, module))[exportName];
+    if (!exported) {
+      throw new Error(`${module} does not export ${exportName}`);
+    }
+
+    const result = method ? await new exported(options)[method](...args) : await exported(...args);
+    reply = { result: result === undefined ? null : result };
+  } catch (error) {
+    reply = { error: { message: error.message, stack: error.stack } };
+  }
+
+  reply.plan = dryRun.plan;
+  process.exitCode = reply.error ? 1 : 0;
+  process.send(reply, () => {
+    process.disconnect();
+    setTimeout(() => process.exit(), WATCHDOG_MS).unref();
+  });
+});
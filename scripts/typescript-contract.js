@@ -0,0 +1,554 @@
+/**
+ * TypeScript contracts - Structural snapshot and diff of a TypeScript API surface
+ *
+ * The contract file (api.contract.ts, src/contracts/index.ts, ...) is parsed with
+ * the TypeScript compiler API. Its exported interfaces, type aliases, functions,
+ * classes, enums and variables become a snapshot of plain JSON, so two versions
+ * can be compared without compiling either. Only the contract file itself is read:
+ * re-exports from other modules are tracked by name, not expanded.
+ *
+ * Diff findings use the same shape and severities as openapi-diff.js, with a
+ * JSON pointer into the snapshot and, for anything still present, its line in the new version.
+ */
+
+const path = require('path');
+
+const TYPESCRIPT_EXTENSIONS = ['.ts', '.mts', '.cts', '.tsx'];
+
+function isTypeScriptContract(file) {
+  return TYPESCRIPT_EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function pointer(...segments) {
+  return segments.map(segment => `/${escapePointer(segment)}`).join('');
+}
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').replace(/[;,]\s*}/g, ' }').trim();
+}
+
+/**
+ * Parse TypeScript source. Returns { sourceFile, diagnostics } with syntax errors only.
+ */
+function parseTypeScript(content, fileName = 'contract.ts') {
+  const ts = require('typescript');
+  const sourceFile = ts.createSourceFile(fileName, content, ts.ScriptTarget.Latest, true);
+
+  const diagnostics = (sourceFile.parseDiagnostics || []).map(diagnostic => {
+    const { line } = sourceFile.getLineAndCharacterOfPosition(diagnostic.start || 0);
+    return `line ${line + 1}: ${ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')}`;
+  });
+
+  return { sourceFile, diagnostics };
+}
+
+class SnapshotBuilder {
+  constructor(sourceFile) {
+    this.ts = require('typescript');
+    this.sourceFile = sourceFile;
+  }
+
+  text(node) {
+    return normalizeText(node.getText(this.sourceFile));
+  }
+
+  line(node) {
+    return this.sourceFile.getLineAndCharacterOfPosition(node.getStart(this.sourceFile)).line + 1;
+  }
+
+  hasModifier(node, kind) {
+    return Boolean(node.modifiers?.some(modifier => modifier.kind === kind));
+  }
+
+  describeType(node) {
+    const { ts } = this;
+    if (!node) return { type: 'any' };
+
+    let inner = node;
+    while (ts.isParenthesizedTypeNode(inner)) inner = inner.type;
+
+    const description = { type: this.text(node) };
+    if (ts.isUnionTypeNode(inner)) {
+      description.union = inner.types.map(member => this.text(member)).sort();
+    }
+    if (ts.isTypeLiteralNode(inner)) {
+      description.members = this.describeMembers(inner.members);
+    }
+    return description;
+  }
+
+  describeTypeParameters(node) {
+    return (node.typeParameters || []).map(parameter => this.text(parameter));
+  }
+
+  describeSignature(node) {
+    return {
+      typeParameters: this.describeTypeParameters(node),
+      parameters: node.parameters.map(parameter => ({
+        name: this.text(parameter.name),
+        optional: Boolean(parameter.questionToken || parameter.initializer || parameter.dotDotDotToken),
+        rest: Boolean(parameter.dotDotDotToken),
+        ...this.describeType(parameter.type)
+      })),
+      returns: this.describeType(node.type),
+      line: this.line(node)
+    };
+  }
+
+  memberName(member) {
+    const { ts } = this;
+    if (ts.isCallSignatureDeclaration(member)) return '()';
+    if (ts.isConstructSignatureDeclaration(member) || ts.isConstructorDeclaration(member)) return 'new()';
+    if (ts.isIndexSignatureDeclaration(member)) return `[${member.parameters[0]?.type ? this.text(member.parameters[0].type) : 'key'}]`;
+    if (!member.name || ts.isPrivateIdentifier(member.name)) return null;
+    return this.text(member.name).replace(/^['"]|['"]$/g, '');
+  }
+
+  describeMembers(members) {
+    const { ts } = this;
+    const result = {};
+
+    for (const member of members) {
+      if (this.hasModifier(member, ts.SyntaxKind.PrivateKeyword) || this.hasModifier(member, ts.SyntaxKind.ProtectedKeyword)) continue;
+
+      const name = this.memberName(member);
+      if (!name) continue;
+
+      if (ts.isMethodSignature(member) || ts.isMethodDeclaration(member) || ts.isCallSignatureDeclaration(member) ||
+        ts.isConstructSignatureDeclaration(member) || ts.isConstructorDeclaration(member)) {
+        // Only the overload signatures of an overloaded method are visible to callers
+        if (ts.isMethodDeclaration(member) && member.body && result[name]?.signatures.length > 0) continue;
+
+        result[name] = result[name] || { kind: 'method', optional: Boolean(member.questionToken), signatures: [], line: this.line(member) };
+        result[name].signatures.push(this.describeSignature(member));
+        continue;
+      }
+
+      if (ts.isPropertySignature(member) || ts.isPropertyDeclaration(member) || ts.isIndexSignatureDeclaration(member)) {
+        result[name] = {
+          kind: 'property',
+          optional: Boolean(member.questionToken),
+          readonly: this.hasModifier(member, ts.SyntaxKind.ReadonlyKeyword),
+          ...this.describeType(member.type),
+          line: this.line(member)
+        };
+      } else if (ts.isGetAccessorDeclaration(member)) {
+        result[name] = { kind: 'property', optional: false, readonly: true, ...this.describeType(member.type), line: this.line(member) };
+      }
+    }
+
+    return result;
+  }
+
+  describeDeclaration(node) {
+    const { ts } = this;
+    const line = this.line(node);
+
+    if (ts.isInterfaceDeclaration(node)) {
+      return {
+        kind: 'interface',
+        typeParameters: this.describeTypeParameters(node),
+        extends: (node.heritageClauses || []).flatMap(clause => clause.types.map(type => this.text(type))),
+        members: this.describeMembers(node.members),
+        line
+      };
+    }
+
+    if (ts.isTypeAliasDeclaration(node)) {
+      return { kind: 'type', typeParameters: this.describeTypeParameters(node), ...this.describeType(node.type), line };
+    }
+
+    if (ts.isFunctionDeclaration(node)) {
+      return { kind: 'function', signatures: [this.describeSignature(node)], line };
+    }
+
+    if (ts.isClassDeclaration(node)) {
+      return {
+        kind: 'class',
+        typeParameters: this.describeTypeParameters(node),
+        members: this.describeMembers(node.members.filter(member => !this.hasModifier(member, ts.SyntaxKind.StaticKeyword))),
+        line
+      };
+    }
+
+    if (ts.isEnumDeclaration(node)) {
+      const members = {};
+      node.members.forEach((member, index) => {
+        members[this.text(member.name).replace(/^['"]|['"]$/g, '')] = {
+          value: member.initializer ? this.text(member.initializer) : String(index),
+          line: this.line(member)
+        };
+      });
+      return { kind: 'enum', members, line };
+    }
+
+    if (ts.isVariableDeclaration(node)) {
+      // export const fn = (a: string): number => ... is a function to its callers
+      const initializer = node.initializer;
+      if (!node.type && initializer && (ts.isArrowFunction(initializer) || ts.isFunctionExpression(initializer))) {
+        return { kind: 'function', signatures: [this.describeSignature(initializer)], line };
+      }
+      return { kind: 'variable', ...this.describeType(node.type), line };
+    }
+
+    if (ts.isModuleDeclaration(node)) {
+      return { kind: 'namespace', line };
+    }
+
+    return null;
+  }
+
+  build() {
+    const { ts } = this;
+    const declarations = new Map();
+    const exportedNames = new Map();
+    const exports = {};
+
+    const declare = (name, description, exported, exportName = name) => {
+      const existing = declarations.get(name);
+
+      if (existing?.kind === 'function' && description.kind === 'function') {
+        // Overloads: the implementation signature is hidden behind its overloads
+        existing.signatures.push(...description.signatures);
+      } else if (existing?.kind === 'interface' && description.kind === 'interface') {
+        // Declaration merging
+        Object.assign(existing.members, description.members);
+      } else {
+        declarations.set(name, description);
+      }
+
+      if (exported) exportedNames.set(exportName, name);
+    };
+
+    for (const statement of this.sourceFile.statements) {
+      const exported = this.hasModifier(statement, ts.SyntaxKind.ExportKeyword);
+      const isDefault = this.hasModifier(statement, ts.SyntaxKind.DefaultKeyword);
+
+      if (ts.isVariableStatement(statement)) {
+        for (const declaration of statement.declarationList.declarations) {
+          if (!ts.isIdentifier(declaration.name)) continue;
+          declare(declaration.name.text, this.describeDeclaration(declaration), exported);
+        }
+        continue;
+      }
+
+      if (ts.isFunctionDeclaration(statement) && statement.body) {
+        const name = statement.name?.text || 'default';
+        // Drop the implementation signature when overloads were declared
+        if (declarations.get(name)?.kind === 'function') continue;
+      }
+
+      if (ts.isExportDeclaration(statement)) {
+        const from = statement.moduleSpecifier ? statement.moduleSpecifier.text : null;
+
+        if (!statement.exportClause) {
+          exports[`* from ${from}`] = { kind: 're-export', from, line: this.line(statement) };
+        } else if (ts.isNamespaceExport(statement.exportClause)) {
+          exports[statement.exportClause.name.text] = { kind: 're-export', from, line: this.line(statement) };
+        } else {
+          for (const element of statement.exportClause.elements) {
+            const localName = (element.propertyName || element.name).text;
+            if (from) {
+              exports[element.name.text] = { kind: 're-export', from, line: this.line(element) };
+            } else {
+              exportedNames.set(element.name.text, localName);
+            }
+          }
+        }
+        continue;
+      }
+
+      if (ts.isExportAssignment(statement)) {
+        if (ts.isIdentifier(statement.expression)) {
+          exportedNames.set('default', statement.expression.text);
+        } else {
+          exports.default = { kind: 'variable', type: this.text(statement.expression), line: this.line(statement) };
+        }
+        continue;
+      }
+
+      const name = statement.name?.text || (isDefault ? 'default' : null);
+      const description = name ? this.describeDeclaration(statement) : null;
+      if (description) {
+        declare(name, description, exported, isDefault ? 'default' : name);
+      }
+    }
+
+    for (const [exportName, localName] of exportedNames) {
+      const description = declarations.get(localName);
+      if (description) exports[exportName] = description;
+    }
+
+    return { exports };
+  }
+}
+
+/**
+ * Build the structural snapshot of a TypeScript contract: { exports: { [name]: declaration } }.
+ * Throws when the source has syntax errors.
+ */
+function extractTypeScriptContract(content, fileName = 'contract.ts') {
+  const { sourceFile, diagnostics } = parseTypeScript(content, fileName);
+  if (diagnostics.length > 0) {
+    throw new Error(`${path.basename(fileName)} has syntax errors: ${diagnostics.join('; ')}`);
+  }
+
+  return new SnapshotBuilder(sourceFile).build();
+}
+
+const KIND_LABELS = {
+  interface: 'Interface',
+  type: 'Type',
+  function: 'Function',
+  class: 'Class',
+  enum: 'Enum',
+  variable: 'Constant',
+  namespace: 'Namespace',
+  're-export': 'Re-export'
+};
+
+class TypeScriptContractDiff {
+  constructor() {
+    this.findings = [];
+  }
+
+  add(severity, code, message, location, line) {
+    this.findings.push({ severity, code, message, pointer: location, line: line || null, operations: [] });
+  }
+
+  run(oldSnapshot, newSnapshot) {
+    for (const [name, oldExport] of Object.entries(oldSnapshot.exports)) {
+      const newExport = newSnapshot.exports[name];
+      const at = pointer('exports', name);
+
+      if (!newExport) {
+        this.add('breaking', 'export-removed', `${KIND_LABELS[oldExport.kind] || 'Export'} ${name} is no longer exported`, at);
+      } else if (oldExport.kind !== newExport.kind) {
+        this.add('breaking', 'export-kind-changed',
+          `${name} changed from ${oldExport.kind} to ${newExport.kind}`, pointer('exports', name, 'kind'), newExport.line);
+      } else {
+        this.compareExports(name, oldExport, newExport, at);
+      }
+    }
+
+    for (const [name, newExport] of Object.entries(newSnapshot.exports)) {
+      if (!(name in oldSnapshot.exports)) {
+        this.add('non-breaking', 'export-added', `${KIND_LABELS[newExport.kind] || 'Export'} ${name} was added`, pointer('exports', name), newExport.line);
+      }
+    }
+
+    return this.findings;
+  }
+
+  compareExports(name, oldExport, newExport, at) {
+    if (oldExport.typeParameters && newExport.typeParameters &&
+      oldExport.typeParameters.join() !== newExport.typeParameters.join()) {
+      this.add('informational', 'type-parameters-changed',
+        `Type parameters of ${name} changed from <${oldExport.typeParameters.join(', ')}> to <${newExport.typeParameters.join(', ')}>`,
+        `${at}/typeParameters`, newExport.line);
+    }
+
+    switch (newExport.kind) {
+      case 'interface':
+        this.compareMembers(name, oldExport.members, newExport.members, `${at}/members`, { addedRequiredBreaks: true });
+        break;
+      case 'class':
+        this.compareMembers(name, oldExport.members, newExport.members, `${at}/members`, { addedRequiredBreaks: false });
+        break;
+      case 'type':
+        if (oldExport.members && newExport.members) {
+          this.compareMembers(name, oldExport.members, newExport.members, `${at}/members`, { addedRequiredBreaks: true });
+        } else {
+          this.compareTypes(oldExport, newExport, { label: name, direction: 'both', at: `${at}/type`, line: newExport.line });
+        }
+        break;
+      case 'function':
+        this.compareSignatures(name, oldExport.signatures, newExport.signatures, `${at}/signatures`);
+        break;
+      case 'enum':
+        this.compareEnums(name, oldExport.members, newExport.members, `${at}/members`);
+        break;
+      case 'variable':
+        this.compareTypes(oldExport, newExport, { label: name, direction: 'output', at: `${at}/type`, line: newExport.line });
+        break;
+      case 're-export':
+        if (oldExport.from !== newExport.from) {
+          this.add('informational', 're-export-source-changed',
+            `${name} is now re-exported from ${newExport.from} instead of ${oldExport.from}`, `${at}/from`, newExport.line);
+        }
+        break;
+    }
+  }
+
+  compareMembers(owner, oldMembers, newMembers, at, { addedRequiredBreaks }) {
+    for (const [name, oldMember] of Object.entries(oldMembers)) {
+      const newMember = newMembers[name];
+      const label = `${owner}.${name}`;
+      const memberAt = `${at}/${escapePointer(name)}`;
+
+      if (!newMember) {
+        this.add('breaking', 'member-removed', `${label} was removed`, memberAt);
+        continue;
+      }
+
+      if (oldMember.optional && !newMember.optional) {
+        this.add('breaking', 'member-now-required', `${label} is now required`, `${memberAt}/optional`, newMember.line);
+      } else if (!oldMember.optional && newMember.optional) {
+        this.add('breaking', 'member-now-optional', `${label} is now optional and may be undefined`, `${memberAt}/optional`, newMember.line);
+      }
+
+      if (oldMember.kind !== newMember.kind) {
+        this.add('breaking', 'member-kind-changed', `${label} changed from a ${oldMember.kind} to a ${newMember.kind}`, memberAt, newMember.line);
+      } else if (newMember.kind === 'method') {
+        this.compareSignatures(label, oldMember.signatures, newMember.signatures, `${memberAt}/signatures`);
+      } else {
+        if (!oldMember.readonly && newMember.readonly) {
+          this.add('informational', 'member-now-readonly', `${label} is now readonly`, `${memberAt}/readonly`, newMember.line);
+        }
+        if (oldMember.members && newMember.members) {
+          this.compareMembers(label, oldMember.members, newMember.members, `${memberAt}/members`, { addedRequiredBreaks });
+        } else {
+          this.compareTypes(oldMember, newMember, { label, direction: 'both', at: `${memberAt}/type`, line: newMember.line });
+        }
+      }
+    }
+
+    for (const [name, newMember] of Object.entries(newMembers)) {
+      if (name in oldMembers) continue;
+
+      const label = `${owner}.${name}`;
+      const memberAt = `${at}/${escapePointer(name)}`;
+      if (addedRequiredBreaks && !newMember.optional) {
+        this.add('breaking', 'required-member-added', `Required ${label} was added`, memberAt, newMember.line);
+      } else {
+        this.add('non-breaking', 'member-added', `${label} was added`, memberAt, newMember.line);
+      }
+    }
+  }
+
+  compareSignatures(label, oldSignatures, newSignatures, at) {
+    // Overloads are matched by position
+    oldSignatures.forEach((oldSignature, index) => {
+      const newSignature = newSignatures[index];
+      const overload = oldSignatures.length > 1 ? ` (overload ${index + 1})` : '';
+
+      if (!newSignature) {
+        this.add('breaking', 'overload-removed', `${label}${overload} was removed`, `${at}/${index}`);
+        return;
+      }
+
+      // Call and construct signatures are already named '()' and 'new()'
+      const callLabel = label.endsWith(')') ? label : `${label}()`;
+      this.compareSignature(`${callLabel}${overload}`, oldSignature, newSignature, `${at}/${index}`);
+    });
+
+    newSignatures.slice(oldSignatures.length).forEach((newSignature, offset) => {
+      const index = oldSignatures.length + offset;
+      this.add('non-breaking', 'overload-added', `${label} overload ${index + 1} was added`, `${at}/${index}`, newSignature.line);
+    });
+  }
+
+  compareSignature(label, oldSignature, newSignature, at) {
+    const line = newSignature.line;
+
+    oldSignature.parameters.forEach((oldParameter, index) => {
+      const newParameter = newSignature.parameters[index];
+      const parameterLabel = `${label} parameter ${index + 1} (${oldParameter.name})`;
+      const parameterAt = `${at}/parameters/${index}`;
+
+      if (!newParameter) {
+        this.add('breaking', 'parameter-removed', `${parameterLabel} was removed`, parameterAt, line);
+        return;
+      }
+
+      if (oldParameter.optional && !newParameter.optional) {
+        this.add('breaking', 'parameter-now-required', `${parameterLabel} is now required`, `${parameterAt}/optional`, line);
+      } else if (!oldParameter.optional && newParameter.optional) {
+        this.add('non-breaking', 'parameter-now-optional', `${parameterLabel} is now optional`, `${parameterAt}/optional`, line);
+      }
+
+      this.compareTypes(oldParameter, newParameter, { label: parameterLabel, direction: 'input', at: `${parameterAt}/type`, line });
+    });
+
+    newSignature.parameters.slice(oldSignature.parameters.length).forEach((newParameter, offset) => {
+      const index = oldSignature.parameters.length + offset;
+      const parameterAt = `${at}/parameters/${index}`;
+
+      if (newParameter.optional) {
+        this.add('non-breaking', 'optional-parameter-added', `${label} optional parameter ${newParameter.name} was added`, parameterAt, line);
+      } else {
+        this.add('breaking', 'required-parameter-added', `${label} required parameter ${newParameter.name} was added`, parameterAt, line);
+      }
+    });
+
+    this.compareTypes(oldSignature.returns, newSignature.returns, { label: `${label} return type`, direction: 'output', at: `${at}/returns/type`, line });
+  }
+
+  /**
+   * Compare two type descriptions. direction says who provides values of the type:
+   * input (the caller) may only be accepted more widely, output (the API) only more narrowly.
+   */
+  compareTypes(oldType, newType, { label, direction, at, line }) {
+    if (oldType.type === newType.type) return;
+
+    const oldMembers = oldType.union || [oldType.type];
+    const newMembers = newType.union || [newType.type];
+    const removed = oldMembers.filter(member => !newMembers.includes(member));
+    const added = newMembers.filter(member => !oldMembers.includes(member));
+
+    // Union changes that keep the other members: report what was narrowed or widened
+    if ((oldType.union || newType.union) && (removed.length < oldMembers.length || added.length < newMembers.length)) {
+      if (removed.length > 0) {
+        this.add(direction === 'output' ? 'non-breaking' : 'breaking', 'union-narrowed',
+          `${label} no longer allows ${removed.join(' | ')}`, at, line);
+      }
+      if (added.length > 0) {
+        const severity = direction === 'input' ? 'non-breaking' : direction === 'output' ? 'breaking' : 'informational';
+        this.add(severity, 'union-widened', `${label} now also allows ${added.join(' | ')}`, at, line);
+      }
+      return;
+    }
+
+    this.add('breaking', 'type-changed', `${label} changed from ${oldType.type} to ${newType.type}`, at, line);
+  }
+
+  compareEnums(name, oldMembers, newMembers, at) {
+    for (const [member, oldMember] of Object.entries(oldMembers)) {
+      const newMember = newMembers[member];
+      const memberAt = `${at}/${escapePointer(member)}`;
+
+      if (!newMember) {
+        this.add('breaking', 'enum-member-removed', `${name}.${member} was removed`, memberAt);
+      } else if (oldMember.value !== newMember.value) {
+        this.add('breaking', 'enum-value-changed',
+          `${name}.${member} changed from ${oldMember.value} to ${newMember.value}`, `${memberAt}/value`, newMember.line);
+      }
+    }
+
+    for (const [member, newMember] of Object.entries(newMembers)) {
+      if (!(member in oldMembers)) {
+        // Exhaustive switches over the enum won't handle the new member
+        this.add('informational', 'enum-member-added', `${name}.${member} was added`, `${at}/${escapePointer(member)}`, newMember.line);
+      }
+    }
+  }
+}
+
+/**
+ * Diff two snapshots from extractTypeScriptContract.
+ * Returns findings: [{ severity, code, message, pointer, line, operations }]
+ */
+function diffTypeScriptContracts(oldSnapshot, newSnapshot) {
+  return new TypeScriptContractDiff().run(oldSnapshot, newSnapshot);
+}
+
+module.exports = {
+  isTypeScriptContract,
+  parseTypeScript,
+  extractTypeScriptContract,
+  diffTypeScriptContracts
+};
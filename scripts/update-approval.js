@@ -0,0 +1,146 @@
+/**
+ * Update approval - Signed approvals for submodule updates that need one
+ *
+ * An approval file pins one update (submodule, from commit, to commit) and is
+ * signed with an SSH key, the same way git signs commits:
+ *   ssh-keygen -Y sign -f ~/.ssh/id_ed25519 -n xion-apps-approval <file>
+ * It is accepted when <file>.sig verifies for approvedBy against the allowed
+ * signers file (approvals.allowedSigners in xion-apps.config.json).
+ *
+ * Every approval that lets an update through is appended to the approval log,
+ * which is committed together with the submodule pointer change.
+ */
+
+const { runSync } = require('./utils');
+const { loadRepoConfig } = require('./repo-config');
+const fs = require('fs');
+const path = require('path');
+
+const APPROVAL_NAMESPACE = 'xion-apps-approval';
+const DEFAULT_EXPIRY_DAYS = 7;
+
+/**
+ * The approval document for an update; expiresInDays of 0 never expires
+ */
+function createApproval(updateContext, { approvedBy, expiresInDays = DEFAULT_EXPIRY_DAYS, now = new Date() }) {
+  const approval = {
+    submodule: updateContext.submodule,
+    fromCommit: updateContext.currentCommit,
+    toCommit: updateContext.targetCommit,
+    fromVersion: updateContext.currentVersion || null,
+    toVersion: updateContext.targetVersion,
+    updateType: updateContext.updateType,
+    approvedBy,
+    approvedAt: now.toISOString()
+  };
+
+  if (expiresInDays > 0) {
+    approval.expiresAt = new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  return approval;
+}
+
+/**
+ * Sign an approval file with an SSH private key; writes <file>.sig
+ */
+function signApproval(file, keyFile) {
+  if (!fs.existsSync(keyFile)) {
+    throw new Error(`Signing key ${keyFile} does not exist`);
+  }
+
+  fs.rmSync(`${file}.sig`, { force: true });
+  const { error } = runSync('ssh-keygen', ['-Y', 'sign', '-f', keyFile, '-n', APPROVAL_NAMESPACE, file], { reject: false });
+  if (error || !fs.existsSync(`${file}.sig`)) {
+    throw new Error(`ssh-keygen could not sign ${file} with ${keyFile}${error ? `: ${error.stderr.trim()}` : ''}`);
+  }
+
+  return `${file}.sig`;
+}
+
+/**
+ * Read and verify an approval file for an update.
+ * Returns the approval; throws when it is unsigned, signed by someone who isn't
+ * an allowed signer, expired, or approves a different update.
+ */
+function verifyApproval(file, updateContext, { allowedSigners = loadRepoConfig().approvals.allowedSigners, now = new Date() } = {}) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Approval file ${file} does not exist`);
+  }
+
+  const content = fs.readFileSync(file, 'utf8');
+  let approval;
+  try {
+    approval = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Approval file ${file} is not valid JSON: ${error.message}`);
+  }
+
+  const expected = {
+    submodule: path.normalize(updateContext.submodule),
+    fromCommit: updateContext.currentCommit,
+    toCommit: updateContext.targetCommit
+  };
+  for (const [field, value] of Object.entries(expected)) {
+    const actual = field === 'submodule' && approval[field] ? path.normalize(approval[field]) : approval[field];
+    if (actual !== value) {
+      throw new Error(`Approval ${file} is for ${field} ${approval[field] || '(none)'}, not ${value}`);
+    }
+  }
+
+  if (!approval.approvedBy) {
+    throw new Error(`Approval ${file} does not say who approved it (approvedBy)`);
+  }
+
+  if (approval.expiresAt && new Date(approval.expiresAt) < now) {
+    throw new Error(`Approval ${file} expired at ${approval.expiresAt}`);
+  }
+
+  const signature = `${file}.sig`;
+  if (!fs.existsSync(signature)) {
+    throw new Error(`Approval ${file} is not signed (expected ${signature})`);
+  }
+
+  if (!allowedSigners || !fs.existsSync(allowedSigners)) {
+    throw new Error(`Allowed signers file ${allowedSigners || '(not configured)'} does not exist; set approvals.allowedSigners`);
+  }
+
+  const { error } = runSync(
+    'ssh-keygen',
+    ['-Y', 'verify', '-f', allowedSigners, '-I', approval.approvedBy, '-n', APPROVAL_NAMESPACE, '-s', signature],
+    { input: content, reject: false }
+  );
+  if (error) {
+    throw new Error(`Signature on ${file} does not verify for ${approval.approvedBy} against ${allowedSigners}`);
+  }
+
+  return approval;
+}
+
+/**
+ * Append an approval to the approval log. Returns the log path, for staging.
+ */
+function recordApproval(approval, logFile = loadRepoConfig().approvals.log) {
+  fs.mkdirSync(path.dirname(logFile), { recursive: true });
+  fs.appendFileSync(logFile, JSON.stringify(approval) + '\n');
+  return logFile;
+}
+
+/**
+ * Who is approving: the git identity of whoever runs the command
+ */
+function currentApprover() {
+  const email = runSync('git', ['config', 'user.email'], { reject: false }).stdout.trim();
+  const name = runSync('git', ['config', 'user.name'], { reject: false }).stdout.trim();
+  return email || name || null;
+}
+
+module.exports = {
+  APPROVAL_NAMESPACE,
+  DEFAULT_EXPIRY_DAYS,
+  createApproval,
+  signApproval,
+  verifyApproval,
+  recordApproval,
+  currentApprover
+};
@@ -0,0 +1,123 @@
+/**
+ * Update journal - Persistent record of every safe submodule update
+ *
+ * Each update appends one line per step to .git/xion-apps/journal.jsonl:
+ *   begin       pre-state: submodule commit and branch, parent HEAD and branch
+ *   checkout    the submodule is at the target commit
+ *   install     dependencies installed and the service built
+ *   validated   post-update validation passed
+ *   stage       files about to be staged in the parent (with the approval log's prior size)
+ *   commit      the parent commit that moved the pointer
+ *   complete    done
+ *   rolled-back the pre-state was restored
+ *   rollback-failed
+ *
+ * An update whose last step is neither complete nor rolled-back was interrupted,
+ * and can be resumed from its last step or rolled back to its pre-state.
+ */
+
+const { runSync } = require('./utils');
+const fs = require('fs');
+const path = require('path');
+
+const JOURNAL_DIRECTORY = 'xion-apps';
+const JOURNAL_FILE = 'journal.jsonl';
+const FINISHED_STEPS = ['complete', 'rolled-back'];
+
+class UpdateJournal {
+  /**
+   * @param {object} options - { root } is the parent repository (default: cwd)
+   */
+  constructor(options = {}) {
+    const root = options.root || process.cwd();
+    const gitDir = runSync('git', ['rev-parse', '--absolute-git-dir'], { cwd: root, reject: false }).stdout.trim();
+    if (!gitDir) {
+      throw new Error(`${root} is not a git repository`);
+    }
+
+    this.file = path.join(gitDir, JOURNAL_DIRECTORY, JOURNAL_FILE);
+  }
+
+  /**
+   * A new, sortable update id: <UTC timestamp>-<service>
+   */
+  createId(submodule) {
+    const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
+    return `${timestamp}-${path.basename(submodule).replace(/[^\w.-]+/g, '-')}`;
+  }
+
+  /**
+   * Append one step; written synchronously so it survives a crash right after
+   */
+  record(id, step, data = {}) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.appendFileSync(this.file, JSON.stringify({ id, step, at: new Date().toISOString(), ...data }) + '\n');
+  }
+
+  /**
+   * Every update in the journal, oldest first:
+   * [{ id, submodule, begin, steps, last, status, finished }]
+   */
+  list() {
+    if (!fs.existsSync(this.file)) return [];
+
+    const updates = new Map();
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+
+    for (const line of lines) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue; // a torn last line from a crash mid-write
+      }
+
+      if (!updates.has(entry.id)) {
+        updates.set(entry.id, { id: entry.id, begin: null, steps: [] });
+      }
+      const update = updates.get(entry.id);
+      if (entry.step === 'begin') update.begin = entry;
+      update.steps.push(entry);
+    }
+
+    return [...updates.values()]
+      .filter(update => update.begin)
+      .map(update => {
+        const last = update.steps[update.steps.length - 1];
+        return {
+          ...update,
+          submodule: update.begin.submodule,
+          last,
+          status: last.step,
+          finished: FINISHED_STEPS.includes(last.step)
+        };
+      });
+  }
+
+  find(id) {
+    return this.list().find(update => update.id === id) || null;
+  }
+
+  /**
+   * The most recent update that has not been rolled back
+   */
+  last() {
+    return this.list().reverse().find(update => update.status !== 'rolled-back') || null;
+  }
+
+  interrupted() {
+    return this.list().filter(update => !update.finished);
+  }
+
+  /**
+   * The entry for a step of an update, or null if it never got there
+   */
+  stepOf(update, step) {
+    return [...update.steps].reverse().find(entry => entry.step === step) || null;
+  }
+}
+
+module.exports = {
+  UpdateJournal,
+  FINISHED_STEPS
+};
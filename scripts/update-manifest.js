@@ -0,0 +1,58 @@
+/**
+ * Update manifest - Which submodules a batch update moves, and to what
+ * Validated against schemas/update-manifest.schema.json; JSON or YAML.
+ *
+ *   { "updates": { "dashboard": "^1.4", "xion.js": { "version": "latest-minor", "approve": "xion.js.approval.json" } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+let schemaValidator = null;
+
+function getSchemaValidator() {
+  if (!schemaValidator) {
+    const Ajv2020 = require('ajv/dist/2020');
+    const schema = require('../schemas/update-manifest.schema.json');
+    schemaValidator = new Ajv2020({ allErrors: true }).compile(schema);
+  }
+  return schemaValidator;
+}
+
+/**
+ * Read a manifest into batch updates: [{ submodule, targetVersion, approvalFile }].
+ * Throws if the file is missing or invalid.
+ */
+function loadUpdateManifest(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Update manifest ${file} does not exist`);
+  }
+
+  let manifest;
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    manifest = /\.ya?ml$/i.test(file) ? require('yaml').parse(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid ${file}: ${error.message}`);
+  }
+
+  const validate = getSchemaValidator();
+  if (!validate(manifest)) {
+    const errors = validate.errors.map(error => `${error.instancePath || '(root)'} ${error.message}`);
+    throw new Error(`Invalid ${file}:\n  ${errors.join('\n  ')}`);
+  }
+
+  const directory = path.dirname(file);
+  return Object.entries(manifest.updates).map(([submodule, entry]) => {
+    const { version, approve } = typeof entry === 'string' ? { version: entry } : entry;
+    return {
+      submodule: path.normalize(submodule).replace(/[\\/]+$/, ''),
+      targetVersion: version,
+      approvalFile: approve ? path.join(directory, approve) : null
+    };
+  });
+}
+
+module.exports = {
+  loadUpdateManifest
+};
@@ -1,48 +1,15 @@
 #!/usr/bin/env node
-const { execSync } = require('child_process');
+const { runSync, gitUtils } = require('./utils');
+const { TaskRunner } = require('./task-runner');
 
-function execCommand(command, options = {}) {
-  try {
-    return execSync(command, { encoding: 'utf8', ...options });
-  } catch (error) {
-    throw error;
-  }
-}
-
-function getDefaultBranch(submodulePath) {
-  try {
-    const originalDir = process.cwd();
-    process.chdir(submodulePath);
-
-    try {
-      const defaultBranch = execCommand('git symbolic-ref refs/remotes/origin/HEAD', { stdio: 'pipe' })
-        .trim()
-        .replace('refs/remotes/origin/', '');
-      process.chdir(originalDir);
-      return defaultBranch;
-    } catch (error) {
-      try {
-        execCommand('git show-ref --verify --quiet refs/remotes/origin/main', { stdio: 'pipe' });
-        process.chdir(originalDir);
-        return 'main';
-      } catch (error) {
-        process.chdir(originalDir);
-        return 'master';
-      }
-    }
-  } catch (error) {
-    return 'main';
-  }
-}
-
-function updateMirrorBranches() {
+async function updateMirrorBranches(options = {}) {
   try {
     console.log('🔄 Updating mirror branches...');
 
     // Get existing mirror branches
     let existingBranches = [];
     try {
-      existingBranches = execCommand('git branch --list "*/main" "*/master"', { stdio: 'pipe' })
+      existingBranches = runSync('git', ['branch', '--list', '*/main', '*/master']).stdout
         .trim()
         .split('\n')
         .map(branch => branch.trim().replace(/^\*?\s*/, ''))
@@ -59,23 +26,27 @@ function updateMirrorBranches() {
     console.log(`📦 Found ${existingBranches.length} mirror branches to update`);
 
     // Get list of submodules
-    const submoduleStatus = execCommand('git submodule status', { stdio: 'pipe' }).trim();
-    const submodules = submoduleStatus
-      .split('\n')
-      .map(line => {
-        const parts = line.trim().split(' ');
-        return {
-          path: parts[1]
-        };
-      })
-      .filter(sub => sub.path);
+    const submodules = gitUtils.getSubmodules();
+
+    // Fetch every submodule at once, then move the branches in the parent one by one
+    const runner = new TaskRunner(options.runner);
+    const fetched = await runner.run(submodules.map(submodule => ({
+      name: submodule.path,
+      module: './sync-main-branches',
+      exportName: 'fetchDefaultBranch',
+      args: [submodule.path]
+    })));
 
     let successCount = 0;
     let errorCount = 0;
 
-    for (const submodule of submodules) {
+    for (const [index, submodule] of submodules.entries()) {
       try {
-        const defaultBranch = getDefaultBranch(submodule.path);
+        if (fetched[index].status !== 'passed') {
+          throw new Error(fetched[index].error);
+        }
+
+        const { defaultBranch, latestCommit } = fetched[index].result;
         const branchName = `${submodule.path}/${defaultBranch}`;
 
         // Check if this mirror branch exists
@@ -85,26 +56,14 @@ function updateMirrorBranches() {
 
         console.log(`🔄 Updating ${branchName}...`);
 
-        // Get the latest commit from the submodule's default branch
-        const originalDir = process.cwd();
-        process.chdir(submodule.path);
-
-        // Fetch latest changes
-        execCommand('git fetch origin', { stdio: 'pipe' });
-
-        // Get the latest commit hash from the default branch
-        const latestCommit = execCommand(`git rev-parse origin/${defaultBranch}`, { stdio: 'pipe' }).trim();
-
-        process.chdir(originalDir);
-
         // Get current commit of the mirror branch
-        const currentCommit = execCommand(`git rev-parse ${branchName}`, { stdio: 'pipe' }).trim();
+        const currentCommit = runSync('git', ['rev-parse', `refs/heads/${branchName}`]).stdout.trim();
 
         if (latestCommit === currentCommit) {
           console.log(`  ✅ ${branchName} is up to date`);
         } else {
           // Update the branch to point to the latest commit
-          execCommand(`git branch -f ${branchName} ${latestCommit}`, { stdio: 'pipe' });
+          runSync('git', ['branch', '-f', branchName, latestCommit]);
           console.log(`  🔄 Updated ${branchName}: ${currentCommit.substring(0, 8)} -> ${latestCommit.substring(0, 8)}`);
         }
 
@@ -124,8 +83,12 @@ function updateMirrorBranches() {
 
   } catch (error) {
     console.error('❌ Error updating mirror branches:', error.message);
-    process.exit(1);
+    process.exit(error.exitCode || 1);
   }
 }
 
-updateMirrorBranches();
\ No newline at end of file
+if (require.main === module) {
+  updateMirrorBranches();
+}
+
+module.exports = { updateMirrorBranches };
\ No newline at end of file
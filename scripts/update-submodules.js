@@ -1,82 +1,70 @@
 #!/usr/bin/env node
-const { execSync } = require('child_process');
-const readline = require('readline');
-
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-function execCommand(command, options = {}) {
-  try {
-    return execSync(command, { encoding: 'utf8', stdio: 'inherit', ...options });
-  } catch (error) {
-    console.error(`❌ Error executing: ${command}`);
-    throw error;
+const { run, runSync, gitUtils, createPrompt } = require('./utils');
+const { getDefaultBranch } = require('./sync-main-branches');
+
+/**
+ * Check out a submodule's default branch and pull it, falling back to main and master.
+ * Returns the branch it updated to, or null when none could be pulled.
+ */
+async function pullDefaultBranch(submodulePath) {
+  await run('git', ['fetch', 'origin'], { cwd: submodulePath, reject: false });
+
+  for (const branch of new Set([getDefaultBranch(submodulePath), 'main', 'master'])) {
+    if ((await run('git', ['checkout', branch], { cwd: submodulePath, reject: false })).error) continue;
+    if (!(await run('git', ['pull', 'origin', branch], { cwd: submodulePath, reject: false })).error) return branch;
   }
-}
 
-function question(query) {
-  return new Promise(resolve => rl.question(query, resolve));
+  return null;
 }
 
-async function updateSubmodules() {
+async function updateSubmodules(options = {}) {
+  const { confirm, close } = createPrompt({ yes: options.yes, no: options.no });
+
   console.log('🔄 Updating all submodules to latest versions...');
 
   try {
-    // Update each submodule
-    execCommand(`git submodule foreach --recursive '
-      echo "📦 Updating $name...";
-      git fetch origin;
-      default_branch=$(git symbolic-ref refs/remotes/origin/HEAD | sed "s@^refs/remotes/origin/@@" 2>/dev/null || echo "main");
-      if git checkout "$default_branch" 2>/dev/null && git pull origin "$default_branch" 2>/dev/null; then
-        echo "✅ Updated $name to latest $default_branch";
-      else
-        for branch in main master; do
-          if git checkout "$branch" 2>/dev/null && git pull origin "$branch" 2>/dev/null; then
-            echo "✅ Updated $name to latest $branch";
-            break;
-          fi;
-        done;
-      fi
-    '`);
+    // Update each submodule, nested ones included
+    for (const submodule of gitUtils.getSubmodules({ recursive: true })) {
+      console.log(`📦 Updating ${submodule.path}...`);
+      const branch = await pullDefaultBranch(submodule.path);
+      if (branch) {
+        console.log(`✅ Updated ${submodule.path} to latest ${branch}`);
+      }
+    }
 
     console.log('\n🔍 Checking for submodule changes...');
 
     // Check if there are changes
-    const hasChanges = execCommand('git diff --quiet HEAD -- . || echo "changes"', { stdio: 'pipe' }).trim();
-
-    if (!hasChanges) {
+    if (!gitUtils.hasChanges()) {
       console.log('ℹ️  No submodule updates available');
-      rl.close();
       return;
     }
 
     // Show what changed
     console.log('📝 Submodule changes:');
-    const changedFiles = execCommand('git diff --name-only HEAD -- .', { stdio: 'pipe' }).trim().split('\n');
+    const changedFiles = runSync('git', ['diff', '--name-only', 'HEAD', '--', '.']).stdout.trim().split('\n');
     changedFiles.forEach(file => {
       if (file) console.log(`  - ${file}`);
     });
 
-    const shouldCommit = await question('\n💾 Commit these submodule updates? (y/N): ');
+    const shouldCommit = await confirm('\n💾 Commit these submodule updates? (y/N): ');
 
-    if (shouldCommit.toLowerCase() === 'y') {
-      execCommand('git add .');
+    if (shouldCommit) {
+      await run('git', ['add', '.'], { stream: true });
 
-      const submoduleStatus = execCommand('git submodule status', { stdio: 'pipe' });
+      const submoduleStatus = runSync('git', ['submodule', 'status']).stdout;
       const updatedModules = submoduleStatus.split('\n')
         .filter(line => line.startsWith('+'))
         .map(line => `- ${line.substring(1).split(' ')[1]}`)
         .join('\n');
 
       const commitMsg = `Update submodules to latest versions\n\n${updatedModules}`;
-      execCommand(`git commit -m "${commitMsg}"`);
+      await run('git', ['commit', '-m', commitMsg], { stream: true });
       console.log('✅ Committed submodule updates');
 
-      const shouldPush = await question('🚀 Push changes to remote? (y/N): ');
-      if (shouldPush.toLowerCase() === 'y') {
-        execCommand('git push');
+      const shouldPush = await confirm('🚀 Push changes to remote? (y/N): ');
+      if (shouldPush) {
+        await run('git', ['push'], { stream: true });
         console.log('✅ Pushed changes to remote');
       }
     } else {
@@ -87,8 +75,13 @@ async function updateSubmodules() {
     console.error('❌ Error updating submodules:', error.message);
     process.exit(1);
   } finally {
-    rl.close();
+    close();
   }
 }
 
-updateSubmodules();
\ No newline at end of file
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  updateSubmodules({ yes: argv.includes('--yes'), no: argv.includes('--no') });
+}
+
+module.exports = { updateSubmodules, pullDefaultBranch };
\ No newline at end of file
@@ -1,9 +1,9 @@
 /**
  * Shared utilities for monorepo CLI scripts
- * Common patterns: exec commands, user input, file operations, logging
+ * Common patterns: run commands, user input, file operations, logging
  */
 
-const { execSync } = require('child_process');
+const { spawn, spawnSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
@@ -42,65 +42,359 @@ const icons = {
   docs: '📚'
 };
 
+// Output kept from a failed command in its error message
+const ERROR_OUTPUT_LINES = 20;
+const KILL_GRACE_MS = 5000;
+
 /**
- * Execute a command with proper error handling and output
+ * A command line for messages, quoting arguments the way a shell would need them
  */
-function execCommand(command, options = {}) {
-  const defaultOptions = {
-    encoding: 'utf8',
-    stdio: 'inherit'
-  };
+function formatCommand(command, args = []) {
+  return [command, ...args]
+    .map(arg => /^[\w@%+=:,./^~-]+$/.test(arg) ? arg : `'${String(arg).replace(/'/g, `'\\''`)}'`)
+    .join(' ');
+}
 
-  try {
-    return execSync(command, { ...defaultOptions, ...options });
-  } catch (error) {
-    throw new Error(`Command failed: ${command}\n${error.message}`);
+/**
+ * A command that could not start, exited non-zero, was killed or timed out.
+ * Carries the whole result: command, args, cwd, code, signal, timedOut, stdout, stderr.
+ */
+class CommandError extends Error {
+  constructor(result, reason) {
+    const output = (result.stderr || result.stdout || '').trim().split('\n').slice(-ERROR_OUTPUT_LINES).join('\n');
+    super(`${formatCommand(result.command, result.args)} ${reason}${output ? `\n${output}` : ''}`);
+    this.name = 'CommandError';
+    Object.assign(this, result);
   }
 }
 
 /**
- * Execute a command silently (for checking/testing)
+ * Dry run: mutating commands and file changes are recorded in the plan instead of made.
+ * The CLI turns it on for --dry-run; the environment variable carries it into
+ * task-runner workers, which send their steps back with their result.
+ *
+ * Plan steps: { action: 'run', command, args, cwd } or { action: 'write' | 'remove', path }
  */
-function execQuiet(command, options = {}) {
-  try {
-    return execSync(command, {
-      encoding: 'utf8',
-      stdio: 'pipe',
-      ...options
-    });
-  } catch (error) {
-    return null;
+const DRY_RUN_ENV = 'XION_APPS_DRY_RUN';
+
+const dryRun = {
+  enabled: process.env[DRY_RUN_ENV] === '1',
+  plan: [],
+
+  enable: () => {
+    dryRun.enabled = true;
+    process.env[DRY_RUN_ENV] = '1';
+  },
+
+  record: (step) => {
+    dryRun.plan.push(step);
+    logger.info(`Dry run, skipped: ${dryRun.describe(step)}`, '📝');
+  },
+
+  describe: (step) => {
+    if (step.action !== 'run') {
+      return `${step.action} ${path.relative(process.cwd(), step.path) || '.'}`;
+    }
+    const where = path.relative(process.cwd(), step.cwd);
+    return `${where ? `(in ${where}) ` : ''}${formatCommand(step.command, step.args)}`;
+  }
+};
+
+// git subcommands that never change refs, the index, the working tree or a remote.
+// fetch only moves remote-tracking refs, and a dry run needs it to see what is upstream.
+const READ_ONLY_GIT_COMMANDS = new Set([
+  'blame', 'cat-file', 'check-ignore', 'check-ref-format', 'describe', 'diff', 'fetch',
+  'for-each-ref', 'grep', 'log', 'ls-files', 'ls-remote', 'ls-tree', 'merge-base',
+  'rev-list', 'rev-parse', 'shortlog', 'show', 'show-ref', 'status', 'version'
+]);
+const TAG_LISTING_FLAGS = ['-l', '--list', '--points-at', '--contains', '--no-contains', '--merged', '--no-merged'];
+const BRANCH_LISTING_FLAGS = ['-l', '--list', '--show-current', '-a', '--all', '-r', '--remotes', '-v', '-vv', '--contains', '--merged', '--no-merged', '--points-at'];
+// Flags that make tag/branch/config write even when a listing flag is also given
+const TAG_MUTATING_FLAGS = ['-d', '--delete', '-f', '--force', '-a', '--annotate', '-s', '--sign', '-u', '--local-user', '-m', '--message', '-F', '--file'];
+const BRANCH_MUTATING_FLAGS = ['-d', '-D', '--delete', '-m', '-M', '--move', '-c', '-C', '--copy', '-f', '--force', '--set-upstream-to', '-u', '--unset-upstream', '--edit-description'];
+const CONFIG_MUTATING_FLAGS = ['--unset', '--unset-all', '--remove-section', '--rename-section', '--add', '--replace-all', '-e', '--edit'];
+const READ_ONLY_PACKAGE_COMMANDS = new Set(['audit', 'ls', 'list', 'outdated', 'view', 'info', 'why', 'explain', 'help', '--version', '-v']);
+
+function isReadOnlyGit(args) {
+  let index = 0;
+  while (args[index]?.startsWith('-')) {
+    index += ['-C', '-c'].includes(args[index]) ? 2 : 1;
+  }
+
+  const [subcommand, ...rest] = args.slice(index);
+  const flags = rest.map(arg => arg.split('=')[0]);
+  const positionals = rest.filter(arg => !arg.startsWith('-'));
+
+  if (READ_ONLY_GIT_COMMANDS.has(subcommand)) return true;
+
+  switch (subcommand) {
+    case 'tag':
+      if (flags.some(flag => TAG_MUTATING_FLAGS.includes(flag))) return false;
+      return rest.length === 0 || flags.some(flag => TAG_LISTING_FLAGS.includes(flag));
+    case 'branch':
+      if (flags.some(flag => BRANCH_MUTATING_FLAGS.includes(flag))) return false;
+      return rest.length === 0 || flags.some(flag => BRANCH_LISTING_FLAGS.includes(flag));
+    case 'config':
+      if (flags.some(flag => CONFIG_MUTATING_FLAGS.includes(flag))) return false;
+      return flags.some(flag => ['--get', '--get-all', '--get-regexp', '--list', '-l'].includes(flag)) || positionals.length === 1;
+    case 'remote': return rest.length === 0 || ['-v', '--verbose', 'get-url', 'show'].includes(rest[0]);
+    case 'submodule': return positionals.length === 0 || ['status', 'summary'].includes(positionals[0]);
+    case 'symbolic-ref': return positionals.length <= 1;
+    case 'stash': return ['list', 'show'].includes(rest[0]);
+    case 'worktree': return rest[0] === 'list';
+    default: return false;
   }
 }
 
 /**
- * Check if a command exists and is executable
+ * Whether a command only reads. Anything not known to be read-only counts as
+ * mutating, including package scripts (npm run) and shell lines (sh -c).
  */
-function commandExists(command) {
-  try {
-    execQuiet(`which ${command}`);
-    return true;
-  } catch (error) {
-    return false;
+function isReadOnlyCommand(command, args = []) {
+  switch (path.basename(command)) {
+    case 'git':
+      return isReadOnlyGit(args);
+    case 'npm':
+    case 'pnpm':
+    case 'yarn': {
+      const [subcommand, ...rest] = args[0] === 'npm' ? args.slice(1) : args; // yarn berry: yarn npm audit
+      return READ_ONLY_PACKAGE_COMMANDS.has(subcommand) && !rest.includes('fix') && !rest.includes('--fix');
+    }
+    case 'ssh-keygen':
+      return args.includes('-Y') && ['verify', 'find-principals', 'check-novalidate'].includes(args[args.indexOf('-Y') + 1]);
+    case 'find':
+      return !args.some(arg => ['-delete', '-exec', '-execdir', '-ok', '-okdir'].includes(arg));
+    default:
+      return false;
   }
 }
 
 /**
- * Prompt user for input with readline
+ * Under a dry run, record a mutating command and return the result it is assumed
+ * to have had (success, no output); null when the command should really run
+ */
+function skipForDryRun(command, args, options) {
+  if (!dryRun.enabled || options.readOnly || isReadOnlyCommand(command, args)) return null;
+
+  const cwd = path.resolve(options.cwd || '.');
+  dryRun.record({ action: 'run', command, args, cwd });
+  return { command, args, cwd, code: 0, signal: null, timedOut: false, stdout: '', stderr: '', error: null, skipped: true };
+}
+
+function describeFailure({ code, signal, timedOut }, spawnError, timeout) {
+  if (spawnError) return `could not start (${spawnError.code || spawnError.message})`;
+  if (timedOut) return `timed out after ${timeout / 1000}s`;
+  if (signal) return `was killed by ${signal}`;
+  if (code !== 0) return `exited with code ${code}`;
+  return null;
+}
+
+function settleCommand(result, failure, reject) {
+  if (!failure) return { ...result, error: null };
+
+  const error = new CommandError(result, failure);
+  if (reject) throw error;
+  return { ...result, error };
+}
+
+function spawnOptions({ cwd, env, input, stream }) {
+  return {
+    cwd,
+    env: env ? { ...process.env, ...env } : process.env,
+    stdio: [input !== undefined ? 'pipe' : stream ? 'inherit' : 'ignore', 'pipe', 'pipe']
+  };
+}
+
+/**
+ * Run a program without a shell. Arguments are passed to it as they are, so paths
+ * and messages need no quoting and can't inject commands.
+ *
+ * Options: cwd, env (merged over process.env), timeout (ms), input (written to stdin),
+ *   stream (also print output as it arrives, on stderr so stdout stays free for --json),
+ *   reject (default true),
+ *   readOnly (run even under a dry run, for commands isReadOnlyCommand can't tell are safe)
+ *
+ * Resolves with { command, args, cwd, code, signal, timedOut, stdout, stderr, error }.
+ * A command that fails rejects with a CommandError, or with { reject: false }
+ * resolves with it as error. Under a dry run a mutating command is only recorded,
+ * and resolves as a success with skipped: true.
  */
-function createPrompt() {
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
+function run(command, args = [], options = {}) {
+  const { timeout, input, stream = false, reject = true } = options;
+
+  const skipped = skipForDryRun(command, args, options);
+  if (skipped) return Promise.resolve(skipped);
+
+  return new Promise((resolve, rejectPromise) => {
+    const child = spawn(command, args, spawnOptions(options));
+    const result = { command, args, cwd: options.cwd || process.cwd(), code: null, signal: null, timedOut: false, stdout: '', stderr: '' };
+    let settled = false;
+    let killTimer = null;
+
+    const timer = timeout && setTimeout(() => {
+      result.timedOut = true;
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+      killTimer.unref();
+    }, timeout);
+
+    const settle = spawnError => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+
+      try {
+        resolve(settleCommand(result, describeFailure(result, spawnError, timeout), reject));
+      } catch (error) {
+        rejectPromise(error);
+      }
+    };
+
+    child.stdout.setEncoding('utf8').on('data', chunk => {
+      result.stdout += chunk;
+      if (stream) process.stderr.write(chunk);
+    });
+    child.stderr.setEncoding('utf8').on('data', chunk => {
+      result.stderr += chunk;
+      if (stream) process.stderr.write(chunk);
+    });
+
+    if (input !== undefined) {
+      child.stdin.on('error', () => {}); // the program may exit without reading it
+      child.stdin.end(input);
+    }
+
+    child.on('error', settle);
+    child.on('close', (code, signal) => {
+      result.code = code;
+      result.signal = signal;
+      settle();
+    });
   });
+}
+
+/**
+ * run() for code that has to stay synchronous. With stream, output goes straight
+ * to stderr instead of being captured.
+ */
+function runSync(command, args = [], options = {}) {
+  const { timeout, input, stream = false, reject = true } = options;
 
-  const question = (query) => {
-    return new Promise(resolve => rl.question(query, resolve));
+  const skipped = skipForDryRun(command, args, options);
+  if (skipped) return skipped;
+
+  const spawned = spawnSync(command, args, {
+    ...spawnOptions(options),
+    stdio: [input !== undefined ? 'pipe' : stream ? 'inherit' : 'ignore', stream ? process.stderr : 'pipe', stream ? 'inherit' : 'pipe'],
+    input,
+    timeout,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024
+  });
+
+  const timedOut = spawned.error?.code === 'ETIMEDOUT';
+  const result = {
+    command,
+    args,
+    cwd: options.cwd || process.cwd(),
+    code: spawned.status,
+    signal: spawned.signal,
+    timedOut,
+    stdout: spawned.stdout || '',
+    stderr: spawned.stderr || ''
   };
 
-  const close = () => rl.close();
+  return settleCommand(result, describeFailure(result, timedOut ? null : spawned.error, timeout), reject);
+}
 
-  return { question, close };
+/**
+ * Check if a command exists and is executable somewhere on PATH
+ */
+function commandExists(command) {
+  return (process.env.PATH || '').split(path.delimiter).filter(Boolean).some(directory => {
+    try {
+      fs.accessSync(path.join(directory, command), fs.constants.X_OK);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+/**
+ * Whether this is a CI run (CI=true, as set by GitHub Actions and most CI services)
+ */
+function isCI() {
+  const ci = process.env.CI;
+  return Boolean(ci) && ci !== 'false' && ci !== '0';
+}
+
+/**
+ * How prompts are answered:
+ *   yes          --yes: confirmations are yes, questions take their default
+ *   no           --no: confirmations are no, questions take their default
+ *   default      CI, or stdin is not a terminal: every prompt takes its default
+ *   interactive  ask on the terminal
+ */
+function resolvePromptMode({ yes = false, no = false } = {}) {
+  if (yes && no) {
+    throw new Error('Use either --yes or --no, not both');
+  }
+  if (yes) return 'yes';
+  if (no) return 'no';
+  if (isCI() || !process.stdin.isTTY) return 'default';
+  return 'interactive';
+}
+
+/**
+ * Prompt user for input with readline; the readline interface is only created
+ * once a prompt is actually asked on a terminal.
+ *
+ * confirm(query, defaultAnswer = false) - the default is what "(y/N)" in the query says
+ * question(query, defaultValue = '')
+ * Without a terminal, or with { yes } / { no }, prompts are answered per resolvePromptMode
+ * and the answer is printed after the query.
+ */
+function createPrompt(options = {}) {
+  const mode = resolvePromptMode(options);
+  let rl = null;
+
+  const getInterface = () => {
+    if (!rl) {
+      // Prompts are not output: on stderr they stay out of --json results on stdout
+      rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stderr
+      });
+    }
+    return rl;
+  };
+
+  const question = (query, defaultValue = '') => {
+    if (mode !== 'interactive') {
+      console.log(`${query}${defaultValue || '(default)'}`);
+      return Promise.resolve(defaultValue);
+    }
+    return new Promise(resolve => getInterface().question(query, answer => resolve(answer || defaultValue)));
+  };
+
+  const confirm = async (query, defaultAnswer = false) => {
+    if (mode !== 'interactive') {
+      const answer = mode === 'default' ? defaultAnswer : mode === 'yes';
+      const reason = mode === 'default' ? 'default, not interactive' : `--${mode}`;
+      console.log(`${query}${answer ? 'y' : 'n'} (${reason})`);
+      return answer;
+    }
+    const answer = (await question(query)).trim().toLowerCase();
+    return answer ? answer === 'y' || answer === 'yes' : defaultAnswer;
+  };
+
+  const close = () => {
+    if (rl) rl.close();
+  };
+
+  return { mode, question, confirm, close };
 }
 
 /**
@@ -137,7 +431,7 @@ const logger = {
 };
 
 /**
- * File system utilities
+ * File system utilities; writes and removals are only recorded under a dry run
  */
 const fileUtils = {
   exists: (filePath) => fs.existsSync(filePath),
@@ -151,6 +445,7 @@ const fileUtils = {
   },
 
   writeJson: (filePath, data, indent = 2) => {
+    if (dryRun.enabled) return dryRun.record({ action: 'write', path: path.resolve(filePath) });
     try {
       fs.writeFileSync(filePath, JSON.stringify(data, null, indent) + '\n');
     } catch (error) {
@@ -167,11 +462,17 @@ const fileUtils = {
   },
 
   writeText: (filePath, content) => {
+    if (dryRun.enabled) return dryRun.record({ action: 'write', path: path.resolve(filePath) });
     try {
       fs.writeFileSync(filePath, content);
     } catch (error) {
       throw new Error(`Failed to write file ${filePath}: ${error.message}`);
     }
+  },
+
+  remove: (filePath) => {
+    if (dryRun.enabled) return dryRun.record({ action: 'remove', path: path.resolve(filePath) });
+    fs.rmSync(filePath, { recursive: true, force: true });
   }
 };
 
@@ -180,22 +481,22 @@ const fileUtils = {
  */
 const gitUtils = {
   hasChanges: () => {
-    return !execQuiet('git diff --quiet HEAD');
+    return runSync('git', ['diff', '--quiet', 'HEAD'], { reject: false }).code !== 0;
   },
 
   getCurrentBranch: () => {
-    return execQuiet('git rev-parse --abbrev-ref HEAD')?.trim();
+    return runSync('git', ['rev-parse', '--abbrev-ref', 'HEAD'], { reject: false }).stdout.trim() || null;
   },
 
-  getCommitHash: (ref = 'HEAD') => {
-    return execQuiet(`git rev-parse ${ref}`)?.trim();
+  getCommitHash: (ref = 'HEAD', cwd) => {
+    const { stdout, error } = runSync('git', ['rev-parse', '--verify', '--quiet', ref], { cwd, reject: false });
+    return error ? null : stdout.trim();
   },
 
-  getSubmodules: () => {
-    const status = execQuiet('git submodule status');
-    if (!status) return [];
+  getSubmodules: ({ recursive = false } = {}) => {
+    const { stdout } = runSync('git', ['submodule', 'status', ...(recursive ? ['--recursive'] : [])], { reject: false });
 
-    return status.trim().split('\n').map(line => {
+    return stdout.trim().split('\n').filter(Boolean).map(line => {
       const parts = line.trim().split(' ');
       return {
         commit: parts[0].replace(/^[+-]/, ''),
@@ -206,32 +507,48 @@ const gitUtils = {
   },
 
   isGitRepo: () => {
-    return execQuiet('git rev-parse --git-dir') !== null;
+    return runSync('git', ['rev-parse', '--git-dir'], { reject: false }).code === 0;
   },
 
   configureBot: () => {
-    execCommand('git config --global user.name "github-actions[bot]"');
-    execCommand('git config --global user.email "github-actions[bot]@users.noreply.github.com"');
+    runSync('git', ['config', '--global', 'user.name', 'github-actions[bot]']);
+    runSync('git', ['config', '--global', 'user.email', 'github-actions[bot]@users.noreply.github.com']);
   }
 };
 
 /**
  * Package manager detection and utilities
+ * Commands are argument arrays: const [command, ...args] = packageUtils.getInstallCommand()
  */
 const packageUtils = {
-  detectPackageManager: () => {
-    if (fileUtils.exists('pnpm-lock.yaml')) return 'pnpm';
-    if (fileUtils.exists('yarn.lock')) return 'yarn';
-    if (fileUtils.exists('package-lock.json')) return 'npm';
+  LOCKFILES: { pnpm: 'pnpm-lock.yaml', yarn: 'yarn.lock', npm: 'package-lock.json' },
+
+  /**
+   * The one detection order for every script: package.json "packageManager" when it
+   * names one, then pnpm, yarn and npm lockfiles, so a stale lockfile of another manager
+   * left next to the real one is ignored
+   */
+  detectPackageManager: (directory = '.') => {
+    try {
+      const declared = JSON.parse(fs.readFileSync(path.join(directory, 'package.json'), 'utf8')).packageManager;
+      const name = typeof declared === 'string' ? declared.split('@')[0] : null;
+      if (packageUtils.LOCKFILES[name]) return name;
+    } catch (error) {
+      // No readable package.json: the lockfiles decide
+    }
+
+    for (const [manager, lockfile] of Object.entries(packageUtils.LOCKFILES)) {
+      if (fileUtils.exists(path.join(directory, lockfile))) return manager;
+    }
     return 'npm'; // default
   },
 
   getInstallCommand: (packageManager = null) => {
     const pm = packageManager || packageUtils.detectPackageManager();
     const commands = {
-      npm: 'npm ci',
-      yarn: 'yarn install --frozen-lockfile',
-      pnpm: 'pnpm install --frozen-lockfile'
+      npm: ['npm', 'ci'],
+      yarn: ['yarn', 'install', '--frozen-lockfile'],
+      pnpm: ['pnpm', 'install', '--frozen-lockfile']
     };
     return commands[pm] || commands.npm;
   },
@@ -239,19 +556,9 @@ const packageUtils = {
   getAuditCommand: (packageManager = null) => {
     const pm = packageManager || packageUtils.detectPackageManager();
     const commands = {
-      npm: 'npm audit --json',
-      yarn: 'yarn audit --json',
-      pnpm: 'pnpm audit --json'
-    };
-    return commands[pm] || commands.npm;
-  },
-
-  getFixCommand: (packageManager = null) => {
-    const pm = packageManager || packageUtils.detectPackageManager();
-    const commands = {
-      npm: 'npm audit fix --force',
-      yarn: 'yarn audit fix',
-      pnpm: 'pnpm audit fix'
+      npm: ['npm', 'audit', '--json'],
+      yarn: ['yarn', 'audit', '--json'],
+      pnpm: ['pnpm', 'audit', '--json']
     };
     return commands[pm] || commands.npm;
   }
@@ -309,7 +616,7 @@ function handleError(error, context = 'Operation') {
   if (process.env.DEBUG) {
     console.error(error.stack);
   }
-  process.exit(1);
+  process.exit(error.exitCode || 1);
 }
 
 /**
@@ -356,9 +663,15 @@ const validators = {
 };
 
 module.exports = {
-  execCommand,
-  execQuiet,
+  run,
+  runSync,
+  CommandError,
+  formatCommand,
   commandExists,
+  isCI,
+  resolvePromptMode,
+  isReadOnlyCommand,
+  dryRun,
   createPrompt,
   logger,
   fileUtils,
@@ -1,23 +1,18 @@
 #!/usr/bin/env node
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { loadServiceConfig, SERVICE_CONFIG_FILE } = require('./service-config');
 
-function execCommand(command, options = {}) {
-  try {
-    return execSync(command, { encoding: 'utf8', ...options });
-  } catch (error) {
-    return null;
-  }
-}
-
-function checkPackageJson(packagePath) {
+function checkPackageJson(packagePath, config = null) {
   const issues = [];
 
   try {
     const pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
     const dir = path.dirname(packagePath);
 
+    // A type declared in xion-service.json replaces the guesswork below
+    const declaredType = config?.declared.type;
+
     // Check for deployment-breaking patterns
 
     // 1. Check for workspace protocol dependencies in production
@@ -35,7 +30,7 @@ function checkPackageJson(packagePath) {
     }
 
     // 2. Check for missing build script if it's a web project
-    const hasWebIndicators = [
+    const hasWebIndicators = declaredType ? ['next-app', 'expo-app'].includes(declaredType) : [
       pkg.scripts?.dev?.includes('vite'),
       pkg.scripts?.dev?.includes('next'),
       pkg.scripts?.dev?.includes('react-scripts'),
@@ -45,12 +40,13 @@ function checkPackageJson(packagePath) {
       fs.existsSync(path.join(dir, 'public'))
     ].some(Boolean);
 
-    if (hasWebIndicators && !pkg.scripts?.build) {
+    const hasBuild = config ? !!config.commands.build : !!pkg.scripts?.build;
+    if (hasWebIndicators && !hasBuild) {
       issues.push({
         type: 'warning',
         category: 'missing-build',
         message: 'Web project missing build script',
-        fix: 'Add a build script for deployment'
+        fix: `Add a build script for deployment, or set commands.build in ${SERVICE_CONFIG_FILE}`
       });
     }
 
@@ -82,7 +78,7 @@ function checkPackageJson(packagePath) {
     }
 
     // 5. Check for missing main/module fields for library packages
-    const isLibrary = pkg.name && (
+    const isLibrary = declaredType ? declaredType === 'library' : pkg.name && (
       pkg.name.startsWith('@') ||
       !hasWebIndicators ||
       pkg.scripts?.prepublishOnly
@@ -275,10 +271,23 @@ function validateWorkspaces() {
 
         console.log(`📦 Checking ${workspace}...`);
 
-        const { pkg, issues: pkgIssues } = checkPackageJson(packageJsonPath);
+        const configIssues = [];
+        let config = null;
+        try {
+          config = loadServiceConfig(workspace);
+        } catch (error) {
+          configIssues.push({
+            type: 'error',
+            category: 'invalid-service-config',
+            message: error.message,
+            fix: `Make ${SERVICE_CONFIG_FILE} match schemas/xion-service.schema.json`
+          });
+        }
+
+        const { pkg, issues: pkgIssues } = checkPackageJson(packageJsonPath, config);
         const deploymentIssues = checkDeploymentFiles(workspace, pkg);
 
-        const allIssues = [...pkgIssues, ...deploymentIssues];
+        const allIssues = [...configIssues, ...pkgIssues, ...deploymentIssues];
 
         if (allIssues.length > 0) {
           packagesWithIssues++;
@@ -0,0 +1,135 @@
+/**
+ * Version resolver - Turn a version spec into one of a submodule's tags
+ *
+ * Specs:
+ *   v1.2.3          an exact tag (any tag name works, semver or not)
+ *   ^1.2, ~2.0.3    a semver range; the highest matching tag wins
+ *   latest          the highest release
+ *   latest-minor    the highest release with the current major version
+ *   latest-patch    the highest release with the current major.minor version
+ *
+ * Precedence follows semver, so 1.0.0-rc.2 < 1.0.0-rc.10 < 1.0.0. Prereleases
+ * only match when asked for (includePrerelease), or when a range names one.
+ *
+ * Update types (classifyUpdate), from the current version to the target:
+ *   major, minor, patch   the highest component that goes up
+ *   prerelease            same major.minor.patch, only the prerelease changes (rc.1 → rc.2, rc.2 → release)
+ *   downgrade             the target has lower precedence than the current version
+ *   same                  equal precedence (build metadata is ignored)
+ *   unknown               either side is not a semantic version
+ */
+
+const semver = require('semver');
+const { runSync } = require('./utils');
+
+const VERSION_KEYWORDS = ['latest', 'latest-minor', 'latest-patch'];
+const UPDATE_TYPES = ['same', 'patch', 'prerelease', 'minor', 'major', 'downgrade', 'unknown'];
+
+/**
+ * Output of a git command in a submodule, or null if it fails
+ */
+function git(submodulePath, args) {
+  const { stdout, error } = runSync('git', args, { cwd: submodulePath, reject: false });
+  return error ? null : stdout;
+}
+
+/**
+ * Semver tags of a submodule: [{ tag, version }], highest first
+ */
+function listVersionTags(submodulePath) {
+  const output = git(submodulePath, ['tag', '-l']) || '';
+  const tags = [];
+
+  for (const tag of output.split('\n').map(line => line.trim()).filter(Boolean)) {
+    const version = semver.valid(tag);
+    if (version) tags.push({ tag, version });
+  }
+
+  return tags.sort((a, b) => semver.rcompare(a.version, b.version) || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * The version a submodule is at: the highest semver tag on HEAD, else the
+ * nearest semver tag in its history, else null
+ */
+function findCurrentVersion(submodulePath) {
+  const onHead = (git(submodulePath, ['tag', '--points-at', 'HEAD']) || '')
+    .split('\n')
+    .map(tag => tag.trim())
+    .filter(tag => semver.valid(tag))
+    .sort((a, b) => semver.rcompare(a, b));
+  if (onHead.length > 0) return onHead[0];
+
+  const nearest = git(submodulePath, ['describe', '--tags', '--abbrev=0', '--match', 'v[0-9]*', '--match', '[0-9]*'])?.trim();
+  return nearest && semver.valid(nearest) ? nearest : null;
+}
+
+/**
+ * Classify moving from currentVersion to targetVersion as one of UPDATE_TYPES
+ */
+function classifyUpdate(currentVersion, targetVersion) {
+  const current = currentVersion ? semver.parse(currentVersion) : null;
+  const target = targetVersion ? semver.parse(targetVersion) : null;
+  if (!current || !target) return 'unknown';
+
+  const order = semver.compare(target, current);
+  if (order === 0) return 'same';
+  if (order < 0) return 'downgrade';
+
+  if (target.major !== current.major) return 'major';
+  if (target.minor !== current.minor) return 'minor';
+  if (target.patch !== current.patch) return 'patch';
+  return 'prerelease';
+}
+
+function keywordRange(spec, currentVersion) {
+  if (spec === 'latest') return '*';
+
+  const current = semver.valid(currentVersion) || semver.coerce(currentVersion)?.version;
+  if (!current) {
+    throw new Error(`${spec} needs the current version, but it is not a semantic version (${currentVersion || 'none'})`);
+  }
+
+  const { major, minor } = semver.parse(current);
+  return spec === 'latest-minor' ? `>=${current} <${major + 1}.0.0-0` : `>=${current} <${major}.${minor + 1}.0-0`;
+}
+
+/**
+ * Resolve a version spec against a submodule's tags.
+ * Returns { spec, tag, version } (version is null for non-semver tags); throws when nothing matches.
+ */
+function resolveVersion(submodulePath, spec, { currentVersion = null, includePrerelease = false } = {}) {
+  const exact = git(submodulePath, ['tag', '-l', spec])?.trim();
+  if (exact === spec) {
+    return { spec, tag: spec, version: semver.valid(spec) };
+  }
+
+  let range;
+  if (VERSION_KEYWORDS.includes(spec)) {
+    range = keywordRange(spec, currentVersion);
+  } else {
+    range = semver.validRange(spec);
+    if (!range) {
+      throw new Error(`${spec} is neither a tag in ${submodulePath} nor a version range`);
+    }
+  }
+
+  const tags = listVersionTags(submodulePath);
+  const match = tags.find(({ version }) => semver.satisfies(version, range, { includePrerelease }));
+
+  if (!match) {
+    const available = tags.slice(0, 5).map(({ tag }) => tag).join(', ') || 'none';
+    throw new Error(`No tag in ${submodulePath} matches ${spec} (latest tags: ${available})`);
+  }
+
+  return { spec, tag: match.tag, version: match.version };
+}
+
+module.exports = {
+  VERSION_KEYWORDS,
+  UPDATE_TYPES,
+  listVersionTags,
+  findCurrentVersion,
+  classifyUpdate,
+  resolveVersion
+};
@@ -1,28 +1,13 @@
 #!/usr/bin/env node
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-
-function execCommand(command, options = {}) {
-  try {
-    return execSync(command, { encoding: 'utf8', ...options });
-  } catch (error) {
-    return null;
-  }
-}
-
-function getPackageManager() {
-  if (fs.existsSync('pnpm-lock.yaml')) return 'pnpm';
-  if (fs.existsSync('yarn.lock')) return 'yarn';
-  if (fs.existsSync('package-lock.json')) return 'npm';
-  return 'npm'; // default
-}
+const { packageUtils } = require('./utils');
 
 function checkWorkspaceHealth() {
   console.log('🏥 Running workspace health check...\n');
 
   const issues = [];
-  const packageManager = getPackageManager();
+  const packageManager = packageUtils.detectPackageManager();
   console.log(`📦 Detected package manager: ${packageManager}`);
 
   // 1. Check workspace configuration consistency